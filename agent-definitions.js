@@ -0,0 +1,291 @@
+// agent-definitions.js - Swarm personas, factory templates and teams, loaded from agents/
+//
+// One YAML or JSON file per definition, named after it:
+//   agents/personas/<role>.yaml     a swarm role: personality, skills, instructions, how often it
+//                                   thinks (thinkIntervalMs) and its voice { name, rate, style }
+//   agents/templates/<type>.yaml    an agent type JITAgentFactory.createAgent can deploy
+//   agents/teams/<team>.yaml        agents created together: members [{ template, name, instructions }]
+// Files are validated when loaded; a problem is reported with the file and the field it is in.
+// Edits are picked up while the agents run. A file that stops validating keeps its last good
+// version, so a half-saved edit does not take a role away.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateSchema } from './tool-registry.js';
+import { parseYaml } from './yaml-subset.js';
+import { DEFAULT_VOICE } from './speech.js';
+import { watchDirectory } from './watch-directory.js';
+
+export const DEFAULT_DEFINITIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'agents');
+export const DEFINITION_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,39}$/;
+export const VOICE_STYLES = ['plain', 'primeagen'];
+export const DEFAULT_THINK_INTERVAL_MS = 60000;
+
+const text = { type: 'string', minLength: 1 };
+const name = { type: 'string' };
+
+const VOICE_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: text,
+    rate: { type: 'number', minimum: 80, maximum: 500 },
+    style: { type: 'string', enum: VOICE_STYLES }
+  },
+  additionalProperties: false
+};
+
+// kind -> { key: the field naming it (defaults to the file name), schema }
+export const DEFINITION_KINDS = {
+  personas: {
+    key: 'role',
+    schema: {
+      type: 'object',
+      required: ['personality', 'skills', 'instructions'],
+      properties: {
+        role: name,
+        personality: text,
+        skills: { type: 'array', items: text, minItems: 1 },
+        instructions: text,
+        thinkIntervalMs: { type: 'integer', minimum: 5000 },
+        voice: VOICE_SCHEMA
+      },
+      additionalProperties: false
+    }
+  },
+  templates: {
+    key: 'type',
+    schema: {
+      type: 'object',
+      required: ['name', 'instructions'],
+      properties: {
+        type: name,
+        name: text,
+        instructions: text,
+        tools: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['type'],
+            properties: { type: { type: 'string', enum: ['code_interpreter', 'file_search', 'function'] } }
+          }
+        },
+        specialization: text,
+        model: text
+      },
+      additionalProperties: false
+    }
+  },
+  teams: {
+    key: 'name',
+    schema: {
+      type: 'object',
+      required: ['members'],
+      properties: {
+        name,
+        description: text,
+        members: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['template'],
+            properties: { template: text, name: text, instructions: text, model: text },
+            additionalProperties: false
+          }
+        }
+      },
+      additionalProperties: false
+    }
+  }
+};
+
+const SINGULAR = { personas: 'persona', templates: 'template', teams: 'team' };
+const DEFINITION_FILE = /\.(ya?ml|json)$/;
+
+export class AgentDefinitionError extends Error {
+  constructor(message, { file = null, problems = [] } = {}) {
+    super(message);
+    this.name = 'AgentDefinitionError';
+    this.file = file;
+    this.problems = problems;
+  }
+}
+
+// Parses and validates one definition file: { kind, name, definition } with defaults filled in
+export function readDefinition(kind, file) {
+  const { key, schema } = DEFINITION_KINDS[kind];
+  const label = path.join(path.basename(path.dirname(file)), path.basename(file));
+  const fail = (problems) => new AgentDefinitionError(`${label}: ${problems.join('; ')}`, { file, problems });
+
+  let data;
+  try {
+    const source = fs.readFileSync(file, 'utf8');
+    data = file.endsWith('.json') ? JSON.parse(source) : parseYaml(source);
+  } catch (error) {
+    throw fail([error.message]);
+  }
+
+  const problems = validateSchema(schema, data, SINGULAR[kind]);
+  const id = data?.[key] ?? path.basename(file).replace(DEFINITION_FILE, '');
+  if (problems.length === 0 && !DEFINITION_NAME_PATTERN.test(id)) {
+    problems.push(`${SINGULAR[kind]}.${key} ${JSON.stringify(id)} must be lowercase letters, digits, - or _`);
+  }
+  if (problems.length > 0) throw fail(problems);
+
+  const definition = { ...data, [key]: id, file };
+  if (kind === 'personas') {
+    definition.thinkIntervalMs ??= DEFAULT_THINK_INTERVAL_MS;
+    definition.voice = { name: DEFAULT_VOICE.voice, rate: DEFAULT_VOICE.rate, style: 'plain', ...data.voice };
+  }
+  if (kind === 'templates') {
+    definition.tools ??= [{ type: 'code_interpreter' }, { type: 'file_search' }];
+    definition.specialization ??= id;
+  }
+  return { kind, name: id, definition };
+}
+
+export class AgentDefinitions {
+  // onChange(kind, name, definition, previous) runs for every definition added, edited or
+  // removed (definition null) after the first load
+  constructor({
+    dir = process.env.AGENT_DEFINITIONS_DIR || DEFAULT_DEFINITIONS_DIR,
+    watch = true,
+    onChange = () => {},
+    log = () => {}
+  } = {}) {
+    this.dir = path.resolve(dir);
+    this.watchEnabled = watch;
+    this.onChange = onChange;
+    this.log = log;
+    this.personas = new Map();
+    this.templates = new Map();
+    this.teams = new Map();
+    // file -> { kind, name } so an edited or deleted file replaces or drops the right entry
+    this.files = new Map();
+    this.errors = new Map();
+    this.watchers = [];
+    this.loaded = false;
+  }
+
+  // Reads every definition; broken files are logged and left out. Returns the problems found.
+  load() {
+    for (const kind of Object.keys(DEFINITION_KINDS)) {
+      for (const file of this.filesOf(kind)) {
+        this.reload(kind, file);
+      }
+    }
+    for (const [team, { members }] of this.teams) {
+      const unknown = members.filter(member => !this.templates.has(member.template));
+      if (unknown.length > 0) this.log(`⚠️ Team ${team} uses unknown template(s): ${unknown.map(member => member.template).join(', ')}`);
+    }
+    this.loaded = true;
+    if (this.watchEnabled) this.watch();
+    this.log(`📋 Loaded ${this.personas.size} persona(s), ${this.templates.size} template(s) and ${this.teams.size} team(s) from ${this.dir}`);
+    return Array.from(this.errors.values());
+  }
+
+  filesOf(kind) {
+    try {
+      return fs.readdirSync(path.join(this.dir, kind))
+        .filter(file => DEFINITION_FILE.test(file)).sort()
+        .map(file => path.join(this.dir, kind, file));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  reload(kind, file) {
+    const entries = this[kind];
+    const previous = this.files.get(file);
+
+    if (!fs.existsSync(file)) {
+      this.errors.delete(file);
+      if (!previous) return null;
+      const removed = entries.get(previous.name);
+      entries.delete(previous.name);
+      this.files.delete(file);
+      this.log(`📋 Removed ${SINGULAR[kind]} ${previous.name}`);
+      if (this.loaded) this.onChange(kind, previous.name, null, removed);
+      return null;
+    }
+
+    let loaded;
+    try {
+      loaded = readDefinition(kind, file);
+      const owner = Array.from(this.files.entries()).find(([other, entry]) => other !== file && entry.kind === kind && entry.name === loaded.name);
+      if (owner) {
+        throw new AgentDefinitionError(`${path.basename(file)}: ${SINGULAR[kind]} ${loaded.name} is already defined in ${path.basename(owner[0])}`, { file });
+      }
+    } catch (error) {
+      this.errors.set(file, error);
+      this.log(`⚠️ ${error.message}${previous ? ' (keeping the previous version)' : ''}`);
+      return null;
+    }
+    this.errors.delete(file);
+
+    // A renamed definition replaces the one this file used to hold
+    const before = previous ? entries.get(previous.name) : undefined;
+    if (previous && previous.name !== loaded.name) {
+      entries.delete(previous.name);
+      if (this.loaded) this.onChange(kind, previous.name, null, before);
+    }
+    entries.set(loaded.name, loaded.definition);
+    this.files.set(file, { kind, name: loaded.name });
+    if (this.loaded) {
+      this.log(`📋 ${previous?.name === loaded.name ? 'Reloaded' : 'Added'} ${SINGULAR[kind]} ${loaded.name}`);
+      this.onChange(kind, loaded.name, loaded.definition, previous?.name === loaded.name ? before : undefined);
+    }
+    return loaded.definition;
+  }
+
+  // One watch per kind directory that exists; a directory created later is not picked up
+  watch() {
+    if (this.watchers.length > 0) return;
+    for (const kind of Object.keys(DEFINITION_KINDS)) {
+      const dir = path.join(this.dir, kind);
+      if (!fs.existsSync(dir)) continue;
+      try {
+        const watcher = watchDirectory(dir, {
+          filter: filename => DEFINITION_FILE.test(filename),
+          onChange: file => this.reload(kind, file),
+          log: this.log
+        });
+        // Watching alone does not keep a short script (e.g. one factory call) running
+        watcher.unref();
+        this.watchers.push(watcher);
+      } catch (error) {
+        this.log(`⚠️ Cannot watch ${dir} for definition changes: ${error.message}`);
+      }
+    }
+  }
+
+  close() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+  }
+}
+
+// Validates every definition and lists them; exits 1 when any file has a problem:
+//   node agent-definitions.js [--dir agents]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const dirIndex = args.indexOf('--dir');
+  const definitions = new AgentDefinitions({ dir: dirIndex === -1 ? undefined : args[dirIndex + 1], watch: false });
+  const errors = definitions.load();
+
+  for (const kind of Object.keys(DEFINITION_KINDS)) {
+    console.log(`${kind}: ${Array.from(definitions[kind].keys()).join(', ') || '(none)'}`);
+  }
+  for (const error of errors) {
+    console.error(`❌ ${error.message}`);
+  }
+  for (const [team, { members }] of definitions.teams) {
+    for (const member of members.filter(member => !definitions.templates.has(member.template))) {
+      console.error(`❌ teams/${team}: unknown template ${member.template}`);
+      errors.push(member);
+    }
+  }
+  process.exit(errors.length > 0 ? 1 : 0);
+}
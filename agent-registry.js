@@ -0,0 +1,124 @@
+// agent-registry.js - The assistants JITAgentFactory created, kept on disk across processes
+//
+// Each record names the Assistants endpoint it lives on, so one file can serve several profiles.
+// Together with the created_by metadata the factory puts on every assistant, this lets a fresh
+// process find agents an earlier one leaked (crashed, killed, run from another directory) and
+// JITAgentFactory.reconcile() compare what is recorded with what the resource actually has.
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+export const DEFAULT_REGISTRY_FILE = path.join('.agent-registry', 'agents.json');
+// Stored in each assistant's metadata (created_by) so later processes can tell ours apart
+export const FACTORY_TAG = 'jit-agent-factory';
+export const TAG_PATTERN = /^[\w.-]{1,40}$/;
+
+// Instructions can be long; the registry keeps a digest to notice edits made elsewhere
+export function instructionsDigest(instructions = '') {
+  return createHash('sha256').update(instructions || '').digest('hex').substring(0, 16);
+}
+
+export function normalizeEndpoint(endpoint) {
+  return endpoint ? endpoint.replace(/\/+$/, '') : null;
+}
+
+// The metadata an assistant created for this record carries (values must be strings)
+export function assistantMetadata(record) {
+  return {
+    created_by: FACTORY_TAG,
+    agent_id: record.id,
+    agent_type: record.type,
+    ...(record.tags?.length ? { tags: record.tags.join(',') } : {})
+  };
+}
+
+// The record an assistant's own fields imply, e.g. for one found on the resource but not recorded
+export function recordFromAssistant(assistant, endpoint) {
+  const metadata = assistant.metadata || {};
+  return {
+    id: metadata.agent_id || assistant.id,
+    type: metadata.agent_type || null,
+    name: assistant.name,
+    azureAgentId: assistant.id,
+    endpoint: normalizeEndpoint(endpoint),
+    model: assistant.model,
+    instructionsDigest: instructionsDigest(assistant.instructions),
+    tools: (assistant.tools || []).map(tool => tool.type),
+    tags: metadata.tags ? metadata.tags.split(',').filter(Boolean) : [],
+    createdAt: new Date(assistant.created_at * 1000).toISOString()
+  };
+}
+
+export class AgentRegistryError extends Error {
+  constructor(message, { file = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'AgentRegistryError';
+    this.file = file;
+  }
+}
+
+export class AgentRegistry {
+  constructor({ file = process.env.AGENT_REGISTRY_FILE || DEFAULT_REGISTRY_FILE, log = () => {} } = {}) {
+    this.file = path.resolve(file);
+    this.log = log;
+    this.records = new Map();
+    // An unreadable file is reported now; list() and every change throw until it is fixed
+    try {
+      this.records = this.load();
+    } catch (error) {
+      this.log(`⚠️ ${error.message}`);
+    }
+  }
+
+  // Only a missing file is an empty registry. Treating a corrupt one as empty would let the next
+  // save() drop every record, and reconcile() call all our assistants orphans.
+  load() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return new Map();
+      throw new AgentRegistryError(`Could not read agent registry ${this.file}: ${error.message}`, { file: this.file, cause: error });
+    }
+    if (!Array.isArray(data?.agents)) {
+      throw new AgentRegistryError(`Agent registry ${this.file} has no agents list`, { file: this.file });
+    }
+    return new Map(data.agents.map(record => [record.id, record]));
+  }
+
+  // Write to a temp file and rename, so a crash never leaves half a registry behind
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify({ version: 1, agents: Array.from(this.records.values()) }, null, 2));
+    fs.renameSync(temp, this.file);
+  }
+
+  // Re-reads the file before each change, so a CLI command and a running swarm that share it
+  // do not undo each other's records
+  update(change) {
+    this.records = this.load();
+    change(this.records);
+    this.save();
+  }
+
+  put(record) {
+    this.update(records => records.set(record.id, { ...record, endpoint: normalizeEndpoint(record.endpoint) }));
+  }
+
+  remove(id) {
+    this.update(records => records.delete(id));
+  }
+
+  get(id) {
+    return this.records.get(id);
+  }
+
+  // Records on one endpoint, or all of them
+  list(endpoint = null) {
+    const records = Array.from(this.load().values());
+    this.records = new Map(records.map(record => [record.id, record]));
+    return endpoint ? records.filter(record => record.endpoint === normalizeEndpoint(endpoint)) : records;
+  }
+}
@@ -0,0 +1,354 @@
+// approval-gate.js - Human-in-the-loop approval for side-effecting tool calls
+//
+// Every tool call is checked against a policy (per tool, overridable per agent role):
+//   allow  run it right away
+//   ask    queue it with a preview until a human approves or rejects it
+//   deny   refuse it
+// Pending actions are shown to every configured approver (terminal, Emacs); the first decision
+// wins and goes back to the model as the tool output.
+
+import readline from 'readline';
+import { randomUUID } from 'crypto';
+import { emacsclientEval } from './emacs-bridge.js';
+import { elisp, readElispJson } from './elisp.js';
+
+export const POLICY_DECISIONS = ['allow', 'ask', 'deny'];
+
+// Tools that change files, run programs or drive the editor
+export const SIDE_EFFECT_TOOLS = ['write_file', 'apply_patch', 'run_command', 'execute_emacs_command', 'execute_emacs'];
+
+// { default, sideEffects, tools: { name: decision }, roles: { role: { name: decision } } }, where
+// sideEffects applies to tools that are flagged as side-effecting when called (e.g. plugins)
+export function sideEffectPolicy(decision = 'ask', overrides = {}) {
+  return {
+    default: 'allow',
+    sideEffects: decision,
+    tools: Object.fromEntries(SIDE_EFFECT_TOOLS.map(tool => [tool, decision])),
+    roles: {},
+    ...overrides
+  };
+}
+
+export class ApprovalGate {
+  constructor({ policy = { default: 'allow' }, approvers = [], timeoutMs = 4 * 60 * 1000, log = () => {} } = {}) {
+    this.policy = { default: 'allow', tools: {}, roles: {}, ...policy };
+    for (const decision of [this.policy.default, this.policy.sideEffects ?? 'allow', ...Object.values(this.policy.tools),
+      ...Object.values(this.policy.roles).flatMap(tools => Object.values(tools))]) {
+      if (!POLICY_DECISIONS.includes(decision)) {
+        throw new Error(`Unknown approval policy: ${decision}. Available: ${POLICY_DECISIONS.join(', ')}`);
+      }
+    }
+
+    this.approvers = [];
+    // Unanswered requests are rejected before the run's own deadline cancels it
+    this.timeoutMs = timeoutMs;
+    this.log = log;
+    this.pending = new Map();
+    approvers.forEach(approver => this.addApprover(approver));
+  }
+
+  addApprover(approver) {
+    this.approvers.push(approver);
+    approver.attach?.(this);
+  }
+
+  decisionFor(role, tool, sideEffect = false) {
+    return this.policy.roles[role]?.[tool] ?? this.policy.tools[tool]
+      ?? (sideEffect ? this.policy.sideEffects : undefined) ?? this.policy.default;
+  }
+
+  // Resolves to { approved, by, reason, note }. preview may be a function, so diffs are only
+  // computed for calls that actually need a human.
+  async authorize({ role = null, agent = null, tool, args = {}, preview = '', sideEffect = false }) {
+    const decision = this.decisionFor(role, tool, sideEffect);
+    if (decision === 'allow') {
+      return { approved: true, by: 'policy' };
+    }
+    if (decision === 'deny') {
+      this.log(`🚫 ${tool} denied by policy${role ? ` for ${role}` : ''}`);
+      return { approved: false, by: 'policy', reason: `${tool} is not allowed${role ? ` for the ${role} agent` : ''}` };
+    }
+    if (this.approvers.length === 0) {
+      return { approved: false, by: 'policy', reason: `${tool} needs human approval but no approver is connected` };
+    }
+
+    const action = {
+      id: randomUUID().substring(0, 8),
+      role,
+      agent,
+      tool,
+      args,
+      preview: this.previewFor(tool, args, preview),
+      requestedAt: new Date().toISOString()
+    };
+
+    this.log(`⏸️ Waiting for approval of ${tool} (${action.id})${agent ? ` from ${agent}` : ''}`);
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.decide(action.id, false, { by: 'timeout', reason: `No decision within ${Math.round(this.timeoutMs / 1000)}s` });
+      }, this.timeoutMs);
+      this.pending.set(action.id, { action, resolve, timer });
+      this.show(action);
+    });
+  }
+
+  // A preview function may run plugin code; if it throws, the human sees the arguments instead
+  previewFor(tool, args, preview) {
+    if (typeof preview !== 'function') return preview;
+    try {
+      return preview();
+    } catch (error) {
+      this.log(`⚠️ Could not preview ${tool}: ${error.message}`);
+      return `${JSON.stringify(args, null, 2)}\n(${error.message})`;
+    }
+  }
+
+  // Hands the action to every approver; when none of them could show it, nobody can decide,
+  // so it is rejected now rather than at the timeout
+  async show(action) {
+    const results = await Promise.allSettled(this.approvers.map(async approver => approver.request(action)));
+    const failures = results.filter(result => result.status === 'rejected').map(result => result.reason?.message || String(result.reason));
+    failures.forEach(message => this.log(`⚠️ Could not show ${action.tool} (${action.id}) for approval: ${message}`));
+    if (failures.length === this.approvers.length) {
+      this.decide(action.id, false, { by: 'policy', reason: `${action.tool} needs human approval but no approver could be reached` });
+    }
+  }
+
+  // Called by approvers; returns false when the action was already decided
+  decide(id, approved, { by = 'human', reason = null, note = null } = {}) {
+    const entry = this.pending.get(id);
+    if (!entry) return false;
+
+    clearTimeout(entry.timer);
+    this.pending.delete(id);
+    this.approvers.forEach(approver => approver.resolved?.(entry.action, approved));
+    this.log(`${approved ? '✅ Approved' : '❌ Rejected'} ${entry.action.tool} (${id}) by ${by}${reason ? `: ${reason}` : ''}`);
+    entry.resolve({ approved, by, reason, note });
+    return true;
+  }
+
+  listPending() {
+    return Array.from(this.pending.values()).map(({ action }) => action);
+  }
+
+  // Reject whatever is still waiting, e.g. at shutdown
+  dispose() {
+    for (const id of Array.from(this.pending.keys())) {
+      this.decide(id, false, { by: 'shutdown', reason: 'Agent is shutting down' });
+    }
+    this.approvers.forEach(approver => approver.dispose?.());
+  }
+}
+
+// Asks on the controlling terminal, one action at a time:
+//   y / yes            approve
+//   n / no [reason]    reject, optionally telling the model why
+//   anything else      approve, passing the text to the model as a note
+export class TerminalApprover {
+  constructor({ input = process.stdin, output = process.stdout } = {}) {
+    this.input = input;
+    this.output = output;
+    this.queue = [];
+    this.current = null;
+    this.rl = null;
+  }
+
+  attach(gate) {
+    this.gate = gate;
+  }
+
+  request(action) {
+    this.queue.push(action);
+    if (!this.current) this.next();
+  }
+
+  resolved(action) {
+    this.queue = this.queue.filter(queued => queued.id !== action.id);
+    if (this.current?.id === action.id) {
+      this.current = null;
+      this.next();
+    }
+  }
+
+  next() {
+    this.current = this.queue.shift() || null;
+    if (!this.current) return;
+
+    if (!this.rl) {
+      this.rl = readline.createInterface({ input: this.input, output: this.output });
+      // readline swallows Ctrl-C; hand it back to the process's own handler
+      this.rl.on('SIGINT', () => process.emit('SIGINT'));
+      this.rl.on('line', line => this.answer(line.trim()));
+    }
+
+    const { id, agent, role, tool, preview } = this.current;
+    this.output.write(`\n🛂 ${agent || role || 'Agent'} wants to run ${tool} (${id}):\n`);
+    this.output.write(`${preview}\n`);
+    this.output.write('Approve? [y]es / [n]o [reason] / or type a note to approve with it: ');
+  }
+
+  answer(line) {
+    if (!this.current) return;
+    const { id } = this.current;
+    const [word, ...rest] = line.split(/\s+/);
+
+    if (/^(y|yes)$/i.test(word)) {
+      this.gate.decide(id, true, { by: 'terminal' });
+    } else if (/^(n|no)$/i.test(word)) {
+      this.gate.decide(id, false, { by: 'terminal', reason: rest.join(' ') || 'Rejected by the user' });
+    } else if (line) {
+      this.gate.decide(id, true, { by: 'terminal', note: line });
+    } else {
+      this.output.write('Approve? [y]es / [n]o [reason]: ');
+    }
+  }
+
+  dispose() {
+    this.rl?.close();
+    this.rl = null;
+  }
+}
+
+// Lists pending actions in an *Agent-Approvals* buffer. M-x mas-approve / mas-reject (or a/r in
+// that buffer) record a decision, which is collected by polling. executeEmacs is normally the
+// host's Emacs bridge; on its own the approver falls back to emacsclient.
+export class EmacsApprover {
+  constructor({ executeEmacs = emacsclientEval, pollMs = 1000 } = {}) {
+    this.executeEmacs = executeEmacs;
+    this.pollMs = pollMs;
+    this.installed = false;
+    this.installing = null;
+    this.poller = null;
+  }
+
+  attach(gate) {
+    this.gate = gate;
+  }
+
+  // Concurrent requests share one attempt; a failed one is tried again by the next request
+  async install() {
+    if (this.installed) return;
+    this.installing ??= this.define().finally(() => {
+      this.installing = null;
+    });
+    await this.installing;
+  }
+
+  async define() {
+    const { success, error } = await this.executeEmacs(`
+(progn
+  (require 'json)
+  (defvar mas-approval-decisions '() "Decisions waiting to be collected by the agents")
+
+  (defun mas-approval-at-point ()
+    (or (get-text-property (point) 'mas-approval-id)
+        (read-string "Action id: ")))
+
+  (defun mas-approve (id &optional note)
+    "Approve pending agent action ID."
+    (interactive (list (mas-approval-at-point) (read-string "Note for the agent (optional): ")))
+    (push (list id t (and note (not (string-empty-p note)) note)) mas-approval-decisions)
+    (message "Approved %s" id))
+
+  (defun mas-reject (id reason)
+    "Reject pending agent action ID, telling the agent REASON."
+    (interactive (list (mas-approval-at-point) (read-string "Reason: ")))
+    (push (list id nil reason) mas-approval-decisions)
+    (message "Rejected %s" id))
+
+  (defun mas-approval-take-decisions ()
+    (prog1 (json-encode (vconcat (mapcar (lambda (d) (list (cons 'id (nth 0 d)) (cons 'approved (if (nth 1 d) t :json-false)) (cons 'text (nth 2 d))))
+                                         (reverse mas-approval-decisions))))
+      (setq mas-approval-decisions '())))
+
+  (define-derived-mode mas-approvals-mode diff-mode "Agent-Approvals"
+    "Pending agent actions; a approves and r rejects the one at point.")
+  (define-key mas-approvals-mode-map (kbd "a") #'mas-approve)
+  (define-key mas-approvals-mode-map (kbd "r") #'mas-reject)
+
+  (defun mas-approval-show (id title preview)
+    (with-current-buffer (get-buffer-create "*Agent-Approvals*")
+      (unless (derived-mode-p 'mas-approvals-mode)
+        (mas-approvals-mode))
+      (let ((inhibit-read-only t))
+        (goto-char (point-max))
+        (let ((start (point)))
+          (insert (format "* %s [%s]\\n%s\\n\\n" title id preview))
+          (put-text-property start (point) 'mas-approval-id id))))
+    (display-buffer "*Agent-Approvals*")
+    (message "🛂 Agent action %s needs approval (a/r in *Agent-Approvals*)" id))
+
+  (defun mas-approval-done (id outcome)
+    (with-current-buffer (get-buffer-create "*Agent-Approvals*")
+      (let ((inhibit-read-only t))
+        (goto-char (point-max))
+        (insert (format ";; %s: %s\\n\\n" id outcome))))))`);
+    if (!success) throw new Error(`could not set up approvals in Emacs: ${error}`);
+    this.installed = true;
+  }
+
+  async request(action) {
+    await this.install();
+    const title = `${action.agent || action.role || 'Agent'} wants to run ${action.tool}`;
+    const { success, error } = await this.executeEmacs(elisp`(mas-approval-show ${action.id} ${title} ${action.preview})`);
+    if (!success) throw new Error(`Emacs did not show the request: ${error}`);
+    this.poller ??= setInterval(() => this.poll(), this.pollMs);
+  }
+
+  resolved(action, approved) {
+    this.executeEmacs(elisp`(mas-approval-done ${action.id} ${approved ? 'approved' : 'rejected'})`);
+    if (this.gate.pending.size === 0) {
+      clearInterval(this.poller);
+      this.poller = null;
+    }
+  }
+
+  async poll() {
+    const { success, result } = await this.executeEmacs('(mas-approval-take-decisions)');
+    if (!success || !result) return;
+
+    let decisions;
+    try {
+      decisions = readElispJson(result);
+    } catch {
+      return;
+    }
+
+    for (const { id, approved, text } of decisions) {
+      this.gate.decide(id, approved, approved
+        ? { by: 'emacs', note: text || null }
+        : { by: 'emacs', reason: text || 'Rejected in Emacs' });
+    }
+  }
+
+  dispose() {
+    clearInterval(this.poller);
+    this.poller = null;
+  }
+}
+
+// { policy, terminal, emacs, timeoutMs, executeEmacs } -> a gate with those approvers attached
+export function createApprovalGate({ policy, terminal = false, emacs = false, timeoutMs, executeEmacs, log } = {}) {
+  const approvers = [
+    ...(terminal ? [new TerminalApprover()] : []),
+    ...(emacs ? [new EmacsApprover({ executeEmacs })] : [])
+  ];
+  return new ApprovalGate({ policy, approvers, timeoutMs, log });
+}
+
+// AGENT_APPROVAL=ask|deny puts every side-effecting tool behind that decision (default: off);
+// AGENT_APPROVERS=terminal,emacs picks where pending actions are shown
+export function approvalConfigFromEnv(env = process.env) {
+  const mode = env.AGENT_APPROVAL || 'off';
+  if (mode === 'off') return {};
+  if (!['ask', 'deny'].includes(mode)) {
+    throw new Error(`Unknown AGENT_APPROVAL mode: ${mode}. Available: off, ask, deny`);
+  }
+
+  const approvers = (env.AGENT_APPROVERS || 'terminal').split(',').map(name => name.trim());
+  return {
+    policy: sideEffectPolicy(mode),
+    terminal: approvers.includes('terminal') && Boolean(process.stdin.isTTY),
+    emacs: approvers.includes('emacs')
+  };
+}
@@ -0,0 +1,375 @@
+// assistants-client.js - One client for the Assistants REST API (assistants, threads, messages, runs)
+
+import { RetryPolicy, CircuitOpenError, circuitBreakerFor, isSafeToRetryCreate } from './retry-policy.js';
+
+// The only place the Assistants api-version is decided
+export const DEFAULT_API_VERSION = '2024-05-01-preview';
+
+export class AssistantsApiError extends Error {
+  constructor(message, { status = null, code = null, type = null, body = null, headers = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.type = type;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+export class BadRequestError extends AssistantsApiError {}
+export class AuthenticationError extends AssistantsApiError {}
+export class NotFoundError extends AssistantsApiError {}
+export class ConflictError extends AssistantsApiError {}
+export class RateLimitError extends AssistantsApiError {}
+export class ServerError extends AssistantsApiError {}
+export class NetworkError extends AssistantsApiError {
+  // beforeSend: the connection was never made, so the server cannot have seen the request
+  constructor(message, { beforeSend = false, ...details } = {}) {
+    super(message, details);
+    this.beforeSend = beforeSend;
+  }
+}
+
+// fetch failure causes that mean the request never left
+const CONNECT_ERROR_CODES = new Set([
+  'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+function errorClassForStatus(status) {
+  if (status === 400 || status === 422) return BadRequestError;
+  if (status === 401 || status === 403) return AuthenticationError;
+  if (status === 404) return NotFoundError;
+  if (status === 409) return ConflictError;
+  if (status === 429) return RateLimitError;
+  if (status >= 500) return ServerError;
+  return AssistantsApiError;
+}
+
+export function errorFromResponse(method, path, response, body) {
+  const apiError = body && typeof body === 'object' ? body.error : null;
+  const detail = apiError?.message || (typeof body === 'string' && body) || response.statusText || 'Unknown error';
+  const ErrorClass = errorClassForStatus(response.status);
+
+  return new ErrorClass(`${method} ${path} failed with ${response.status}: ${detail}`, {
+    status: response.status,
+    code: apiError?.code || null,
+    type: apiError?.type || null,
+    body,
+    headers: Object.fromEntries(response.headers.entries())
+  });
+}
+
+function parseEvent(raw) {
+  let event = 'message';
+  const data = [];
+
+  for (const line of raw.split(/\r?\n/)) {
+    if (!line || line.startsWith(':')) continue;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+    if (field === 'event') event = value;
+    if (field === 'data') data.push(value);
+  }
+
+  if (data.length === 0) return null;
+
+  const text = data.join('\n');
+  if (text === '[DONE]') return null;
+
+  try {
+    return { event, data: JSON.parse(text) };
+  } catch {
+    return { event, data: text };
+  }
+}
+
+// Server-sent events from a fetch body as { event, data } pairs
+export async function* parseEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const raw = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+      const message = parseEvent(raw);
+      if (message) yield message;
+    }
+  }
+
+  const message = parseEvent(buffer + decoder.decode());
+  if (message) yield message;
+}
+
+export class AssistantsClient {
+  constructor({
+    endpoint,
+    basePath = 'openai/',
+    apiVersion = DEFAULT_API_VERSION,
+    auth = async () => ({}),
+    onUnauthorized = null,
+    headers = {},
+    retry = new RetryPolicy(),
+    circuitBreaker,
+    onRequest = null,
+    onResponse = null,
+    onRetry = null
+  } = {}) {
+    if (!endpoint) {
+      throw new Error('AssistantsClient requires an endpoint');
+    }
+
+    this.endpoint = endpoint.endsWith('/') ? endpoint : `${endpoint}/`;
+    this.basePath = basePath;
+    this.apiVersion = apiVersion;
+    this.auth = auth;
+    // Called on a 401 to drop the cached credential; the request is then sent once more
+    this.onUnauthorized = onUnauthorized;
+    this.headers = headers;
+    this.retry = retry instanceof RetryPolicy ? retry : new RetryPolicy(retry || { maxRetries: 0 });
+    // Pass null to opt out; by default all clients of one backend share a breaker
+    this.circuitBreaker = circuitBreaker === undefined ? circuitBreakerFor(this.endpoint) : circuitBreaker;
+    this.onRequest = onRequest;
+    this.onResponse = onResponse;
+    this.onRetry = onRetry;
+  }
+
+  url(path, query = {}) {
+    const url = new URL(`${this.basePath}${path}`, this.endpoint);
+
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, String(value));
+      }
+    }
+
+    if (this.apiVersion) {
+      url.searchParams.set('api-version', this.apiVersion);
+    }
+
+    return url.toString();
+  }
+
+  // POSTs create things, so they are only retried when the server cannot have acted on them
+  // (see isSafeToRetryCreate) unless the call site passes idempotent: true; retry: false
+  // turns retries off for one call
+  async request(method, path, options = {}) {
+    const { idempotent = method !== 'POST', retry = true } = options;
+    return this.retry.execute(async () => {
+      const trial = this.circuitBreaker?.beforeRequest();
+
+      try {
+        const result = await this.sendAuthorized(method, path, options);
+        this.circuitBreaker?.recordSuccess();
+        return result;
+      } catch (error) {
+        // Our own cancellations say nothing about the backend's health, but must not keep
+        // holding the half-open trial slot
+        if (options.signal?.aborted) {
+          if (trial) this.circuitBreaker.releaseTrial();
+        } else if (!(error instanceof CircuitOpenError)) {
+          this.circuitBreaker?.recordFailure(error);
+        }
+        throw error;
+      }
+    }, {
+      isRetryable: error => retry && (idempotent || isSafeToRetryCreate(error)),
+      onRetry: ({ error, attempt, delay }) => this.onRetry?.({ method, path, error, attempt, delay })
+    });
+  }
+
+  // Streaming variant of request(); only opening the stream is retried
+  async *stream(method, path, options = {}) {
+    const response = await this.request(method, path, { ...options, stream: true });
+    yield* parseEventStream(response.body);
+  }
+
+  // A revoked or rotated credential keeps failing until it expires from the cache, so a 401
+  // refetches it and tries again, once
+  async sendAuthorized(method, path, options) {
+    try {
+      return await this.send(method, path, options);
+    } catch (error) {
+      if (!this.onUnauthorized || !(error instanceof AuthenticationError) || error.status !== 401) throw error;
+      await this.onUnauthorized(error);
+      return this.send(method, path, options);
+    }
+  }
+
+  // A single attempt, no retries. With stream: true the raw Response is returned on success.
+  async send(method, path, { body, query, stream = false, signal } = {}) {
+    const url = this.url(path, query);
+    const headers = {
+      'Content-Type': 'application/json',
+      ...(stream ? { 'Accept': 'text/event-stream' } : {}),
+      ...this.headers,
+      ...(await this.auth())
+    };
+
+    const options = { method, headers, signal };
+    if (body !== undefined) {
+      options.body = JSON.stringify(body);
+    }
+
+    this.onRequest?.({ method, url, body });
+
+    let response;
+    try {
+      response = await fetch(url, options);
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason ?? error;
+      const code = error.cause?.code ?? error.code ?? null;
+      throw new NetworkError(`${method} ${path} failed: ${error.message}${code ? ` (${code})` : ''}`, {
+        cause: error,
+        code,
+        beforeSend: CONNECT_ERROR_CODES.has(code)
+      });
+    }
+
+    if (stream && response.ok) {
+      this.onResponse?.({ method, url, status: response.status, body: null });
+      return response;
+    }
+
+    const text = await response.text();
+    let result = text;
+    if (text) {
+      try {
+        result = JSON.parse(text);
+      } catch {
+        // Leave non-JSON bodies (proxies, gateways) as text for the error message
+      }
+    } else {
+      result = null;
+    }
+
+    this.onResponse?.({ method, url, status: response.status, body: result });
+
+    if (!response.ok) {
+      throw errorFromResponse(method, path, response, result);
+    }
+
+    return result;
+  }
+
+  // Walk every page of a list endpoint, e.g. paginate(q => client.listAssistants(q))
+  async *paginate(listPage, query = {}) {
+    let after = query.after;
+
+    do {
+      const page = await listPage({ ...query, after });
+      yield* page.data || [];
+      after = page.has_more ? page.last_id : undefined;
+    } while (after);
+  }
+
+  async listAll(listPage, query = {}) {
+    const items = [];
+    for await (const item of this.paginate(listPage, query)) {
+      items.push(item);
+    }
+    return items;
+  }
+
+  // Assistants
+  createAssistant(assistant) {
+    return this.request('POST', 'assistants', { body: assistant });
+  }
+
+  getAssistant(assistantId) {
+    return this.request('GET', `assistants/${assistantId}`);
+  }
+
+  updateAssistant(assistantId, changes) {
+    return this.request('POST', `assistants/${assistantId}`, { body: changes, idempotent: true });
+  }
+
+  deleteAssistant(assistantId) {
+    return this.request('DELETE', `assistants/${assistantId}`);
+  }
+
+  listAssistants(query = {}) {
+    return this.request('GET', 'assistants', { query });
+  }
+
+  // Threads
+  createThread(thread = {}) {
+    return this.request('POST', 'threads', { body: thread });
+  }
+
+  getThread(threadId) {
+    return this.request('GET', `threads/${threadId}`);
+  }
+
+  deleteThread(threadId) {
+    return this.request('DELETE', `threads/${threadId}`);
+  }
+
+  // Messages
+  createMessage(threadId, message) {
+    return this.request('POST', `threads/${threadId}/messages`, { body: message });
+  }
+
+  listMessages(threadId, query = {}) {
+    return this.request('GET', `threads/${threadId}/messages`, { query });
+  }
+
+  // Runs
+  createRun(threadId, run) {
+    return this.request('POST', `threads/${threadId}/runs`, { body: run });
+  }
+
+  // Async iterable of run events (thread.run.*, thread.message.delta, ...)
+  createRunStream(threadId, run, { signal } = {}) {
+    return this.stream('POST', `threads/${threadId}/runs`, { body: { ...run, stream: true }, signal });
+  }
+
+  getRun(threadId, runId) {
+    return this.request('GET', `threads/${threadId}/runs/${runId}`);
+  }
+
+  listRuns(threadId, query = {}) {
+    return this.request('GET', `threads/${threadId}/runs`, { query });
+  }
+
+  cancelRun(threadId, runId) {
+    return this.request('POST', `threads/${threadId}/runs/${runId}/cancel`, { idempotent: true });
+  }
+
+  submitToolOutputs(threadId, runId, toolOutputs) {
+    return this.request('POST', `threads/${threadId}/runs/${runId}/submit_tool_outputs`, {
+      body: { tool_outputs: toolOutputs }
+    });
+  }
+
+  submitToolOutputsStream(threadId, runId, toolOutputs, { signal } = {}) {
+    return this.stream('POST', `threads/${threadId}/runs/${runId}/submit_tool_outputs`, {
+      body: { tool_outputs: toolOutputs, stream: true },
+      signal
+    });
+  }
+
+  // Run steps
+  listRunSteps(threadId, runId, query = {}) {
+    return this.request('GET', `threads/${threadId}/runs/${runId}/steps`, { query });
+  }
+
+  getRunStep(threadId, runId, stepId) {
+    return this.request('GET', `threads/${threadId}/runs/${runId}/steps/${stepId}`);
+  }
+
+  // Convenience: text of the newest assistant message on a thread
+  async latestAssistantText(threadId) {
+    const messages = await this.listMessages(threadId, { order: 'desc', limit: 20 });
+    const assistantMessage = messages.data.find(msg => msg.role === 'assistant');
+    return assistantMessage?.content?.find(part => part.type === 'text')?.text?.value ?? null;
+  }
+}
+
+export default AssistantsClient;
@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+
+// cli.js - One command line for the agent factory and the agents
+//
+//   node cli.js agents create <template> [--name <name>] [--instructions <text>] [--model <model>] [--tag <tag>] ...
+//   node cli.js agents list
+//   node cli.js agents destroy <agent-id | assistant-id | name> ...
+//   node cli.js agents cleanup [--dry-run]
+//   node cli.js agents reconcile [--adopt] [--dry-run]
+//   node cli.js agents gc [--older-than <7d | 12h | 30m>] [--tag <tag>] [--orphans] [--dry-run]
+//   node cli.js ask <agent | assistant-id | default> "<prompt>"    (a prompt of - is read from stdin)
+//   node cli.js run autonomous | swarm
+//   node cli.js stats
+//
+// Every command takes the config.js flags (--profile, --config, --provider.endpoint, ...),
+// --verbose for the factory's progress on stderr, and --json to print one JSON document on
+// stdout instead of text, including for errors ({ error, exitCode }). Exit codes: EXIT_CODES.
+
+import fs from 'fs';
+import { JITAgentFactory } from './jit-agent-factory.js';
+import { AgentDefinitions } from './agent-definitions.js';
+import { SimpleAgentTask } from './simple-task-demo.js';
+import { TrulyAutonomousAgent } from './truly-autonomous-agent.js';
+import { UltimateMultiAgentSystem } from './ultimate-multi-agent-system.js';
+import { loadConfig, ConfigError } from './config.js';
+
+export const EXIT_CODES = {
+  ok: 0,
+  failed: 1, // the backend refused, a run failed, an agent could not be destroyed
+  usage: 2, // unknown command or flag, missing argument
+  config: 3, // agent.config.yaml, an environment variable or a setting flag is invalid
+  notFound: 4 // no such template or agent
+};
+
+const USAGE = `Usage: node cli.js <command> [--json] [--verbose] [--profile <name>] [--<setting> <value>]
+
+  agents create <template>      deploy an agent (--name, --instructions, --model override the template; --tag labels it)
+  agents list                   the agents in the registry that still exist on the resource
+  agents destroy <agent> ...    delete agents by id, assistant id or name
+  agents cleanup [--dry-run]    delete every agent in the registry
+  agents reconcile              compare the registry with the resource: orphans, drift, deleted agents
+                                (--adopt records the orphans)
+  agents gc                     delete our agents by --older-than 7d, --tag or --orphans
+  ask <agent> "<prompt>"        ask an agent (or an assistant id, or "default") one question
+  run autonomous | swarm        start truly-autonomous-agent.js or the multi-agent swarm
+  stats                         agent counts by type and status`;
+
+// Flags the commands take (config.js handles --profile, --config and the setting flags)
+const COMMAND_FLAGS = {
+  json: 'boolean',
+  verbose: 'boolean',
+  help: 'boolean',
+  'dry-run': 'boolean',
+  adopt: 'boolean',
+  orphans: 'boolean',
+  'older-than': 'string',
+  tag: 'list',
+  name: 'string',
+  instructions: 'string',
+  model: 'string'
+};
+
+export class CliError extends Error {
+  constructor(message, exitCode = EXIT_CODES.failed) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+function usage(message) {
+  return new CliError(message, EXIT_CODES.usage);
+}
+
+export function parseCommandArgs(args) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(/^--([\w-]+)(?:=([\s\S]*))?$/);
+    if (!match) {
+      positional.push(args[i]);
+      continue;
+    }
+    const [, name, inline] = match;
+    if (!COMMAND_FLAGS[name]) throw usage(`Unknown option --${name}`);
+    if (COMMAND_FLAGS[name] === 'boolean') {
+      flags[name] = inline === undefined || !['false', '0', 'no'].includes(inline);
+    } else {
+      const value = inline ?? args[++i];
+      if (value === undefined) throw usage(`--${name} needs a value`);
+      flags[name] = COMMAND_FLAGS[name] === 'list' ? [...(flags[name] || []), value] : value;
+    }
+  }
+  return { positional, flags };
+}
+
+// The factory with the configured templates, not yet connected
+function createFactory({ options, log }) {
+  const definitions = new AgentDefinitions({ ...options.definitions, watch: false, log });
+  definitions.load();
+  return new JITAgentFactory(log, { ...options.factory, definitions });
+}
+
+// Connects to the configured endpoint (or the Azure resource it discovers) and loads the
+// registered agents that still exist there. Only agents reconcile and gc change the registry
+// or the assistants' metadata; here the reconciliation just reports.
+async function connect(factory, { reconcile = true } = {}) {
+  if (!(await factory.initialize())) {
+    throw new CliError('Could not connect to the Assistants endpoint (run with --verbose for details)');
+  }
+  if (reconcile) await factory.reconcile({ dryRun: true });
+  return factory;
+}
+
+// 30m, 12h, 7d (or plain milliseconds) -> milliseconds
+export function parseDuration(text) {
+  const match = String(text).match(/^(\d+(?:\.\d+)?)(ms|s|m|h|d|w)?$/);
+  if (!match) throw usage(`Invalid duration ${text} (use e.g. 30m, 12h or 7d)`);
+  const unit = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 }[match[2] || 'ms'];
+  return Number(match[1]) * unit;
+}
+
+// An agent of this factory by id, assistant id or name
+function findAgent(factory, reference) {
+  const agents = factory.listAgents();
+  return agents.find(agent => agent.id === reference || agent.azureAgentId === reference)
+    || agents.find(agent => agent.name?.toLowerCase() === reference.toLowerCase());
+}
+
+function describeAgent(agent) {
+  return `${agent.id}  ${agent.type || '?'}  ${agent.name}  ${agent.azureAgentId}  ${agent.createdAt}`;
+}
+
+function readStdin() {
+  return fs.readFileSync(0, 'utf8').trim();
+}
+
+const commands = {
+  async 'agents create'(context, [template]) {
+    if (!template) throw usage('agents create needs a template');
+    const factory = createFactory(context);
+    if (!factory.agentTemplates.has(template)) {
+      throw new CliError(`Unknown template ${template}. Available: ${Array.from(factory.agentTemplates.keys()).join(', ')}`, EXIT_CODES.notFound);
+    }
+    await connect(factory);
+
+    const { name, instructions, model, tag: tags } = context.flags;
+    const overrides = Object.fromEntries(Object.entries({ name, instructions, model, tags }).filter(([, value]) => value !== undefined));
+    const agent = await factory.createAgent(template, overrides);
+    return { result: agent, text: [`✅ Created ${agent.name}`, `   id ${agent.id}, assistant ${agent.azureAgentId}`] };
+  },
+
+  async 'agents list'(context) {
+    const factory = await connect(createFactory(context));
+    const agents = factory.listAgents();
+    const { orphans, missing, drifted, tagged } = factory.lastReconcile;
+    return {
+      result: agents,
+      text: [
+        ...(agents.length > 0 ? agents.map(describeAgent) : ['No agents']),
+        ...(orphans.length > 0 ? [`⚠️ ${orphans.length} orphaned agent(s) not in the registry: agents reconcile --adopt records them, agents gc --orphans deletes them`] : []),
+        ...(missing.length + tagged.length > 0 ? [`⚠️ The registry is out of date (${missing.length} deleted elsewhere, ${tagged.length} untagged): agents reconcile updates it`] : []),
+        ...(drifted.length > 0 ? [`⚠️ ${drifted.length} agent(s) changed on the resource since they were created: agents reconcile lists them`] : [])
+      ]
+    };
+  },
+
+  async 'agents destroy'(context, references) {
+    if (references.length === 0) throw usage('agents destroy needs at least one agent');
+    const factory = await connect(createFactory(context));
+
+    const result = { destroyed: [], notFound: [], failed: [] };
+    for (const reference of references) {
+      const agent = findAgent(factory, reference);
+      if (!agent) {
+        result.notFound.push(reference);
+        continue;
+      }
+      try {
+        await factory.destroyAgent(agent.id);
+        result.destroyed.push(agent.id);
+      } catch (error) {
+        result.failed.push({ id: agent.id, error: error.message });
+      }
+    }
+
+    const exitCode = result.failed.length > 0 ? EXIT_CODES.failed : result.notFound.length > 0 ? EXIT_CODES.notFound : EXIT_CODES.ok;
+    return {
+      result,
+      exitCode,
+      text: [
+        ...result.destroyed.map(id => `🗑️ Destroyed ${id}`),
+        ...result.notFound.map(reference => `❌ No agent ${reference} (see agents list)`),
+        ...result.failed.map(({ id, error }) => `❌ Could not destroy ${id}: ${error}`)
+      ]
+    };
+  },
+
+  async 'agents cleanup'(context) {
+    const factory = await connect(createFactory(context));
+    if (context.flags['dry-run']) {
+      const agents = factory.listAgents();
+      return { result: { wouldDestroy: agents.map(agent => agent.id) }, text: agents.length > 0 ? agents.map(agent => `Would destroy ${describeAgent(agent)}`) : ['No agents'] };
+    }
+
+    const result = await factory.cleanup();
+    return {
+      result,
+      exitCode: result.failed.length > 0 ? EXIT_CODES.failed : EXIT_CODES.ok,
+      text: [
+        `🧹 Destroyed ${result.destroyed.length} agent(s)`,
+        ...result.failed.map(({ id, error }) => `❌ Could not destroy ${id}: ${error}`)
+      ]
+    };
+  },
+
+  async 'agents reconcile'(context) {
+    const factory = await connect(createFactory(context), { reconcile: false });
+    const report = await factory.reconcile({ adopt: Boolean(context.flags.adopt), dryRun: Boolean(context.flags['dry-run']) });
+    const change = context.flags['dry-run'] ? 'would be' : 'was';
+    return {
+      result: report,
+      text: [
+        `🔄 ${report.endpoint}: ${report.tracked.length} tracked agent(s)`,
+        ...report.missing.map(record => `   gone: ${record.id} (${record.name}) no longer exists and ${change} dropped from the registry`),
+        ...report.tagged.map(record => `   tagged: ${record.id} (${record.name}) ${change} given our metadata`),
+        ...report.adopted.map(record => `   adopted: ${record.id} (${record.name}) ${change} recorded`),
+        ...report.orphans.map(record => `   orphan: ${record.id} (${record.name}, ${record.azureAgentId}, created ${record.createdAt})`),
+        ...report.drifted.map(({ id, changes }) => `   drifted: ${id}: ${changes.map(({ field }) => field).join(', ')} changed on the resource`)
+      ]
+    };
+  },
+
+  async 'agents gc'(context) {
+    const { 'older-than': olderThan, tag: tags = [], orphans, 'dry-run': dryRun } = context.flags;
+    if (tags.length > 1) throw usage('agents gc takes one --tag');
+    if (olderThan === undefined && tags.length === 0 && !orphans) throw usage('agents gc needs --older-than, --tag or --orphans (agents cleanup deletes everything)');
+    const olderThanMs = olderThan === undefined ? null : parseDuration(olderThan);
+
+    const factory = await connect(createFactory(context), { reconcile: false });
+    const result = await factory.collectGarbage({ olderThanMs, tag: tags[0] ?? null, orphansOnly: Boolean(orphans), dryRun: Boolean(dryRun) });
+    return {
+      result,
+      exitCode: result.failed.length > 0 ? EXIT_CODES.failed : EXIT_CODES.ok,
+      text: dryRun
+        ? (result.wouldDestroy.length > 0 ? result.wouldDestroy.map(record => `Would destroy ${describeAgent(record)}`) : ['Nothing to collect'])
+        : [
+          `🧹 Destroyed ${result.destroyed.length} agent(s)`,
+          ...result.failed.map(({ id, error }) => `❌ Could not destroy ${id}: ${error}`)
+        ]
+    };
+  },
+
+  async ask(context, [reference, ...words]) {
+    if (!reference) throw usage('ask needs an agent and a prompt');
+    let prompt = words.join(' ');
+    if (prompt === '-') prompt = readStdin();
+    if (!prompt) throw usage('ask needs a prompt');
+
+    let assistantId = reference === 'default' ? context.options.assistantId : reference;
+    let name = reference;
+    if (!assistantId) {
+      throw new CliError('No assistant configured: set provider.assistantId in agent.config.yaml or AGENT_ASSISTANT_ID', EXIT_CODES.config);
+    }
+    const factory = await connect(createFactory(context));
+    if (reference !== 'default' && !reference.startsWith('asst_')) {
+      const agent = findAgent(factory, reference);
+      if (!agent) throw new CliError(`No agent ${reference} (see agents list)`, EXIT_CODES.notFound);
+      ({ azureAgentId: assistantId, name } = agent);
+    }
+
+    const task = new SimpleAgentTask({ client: factory.client, log: context.log });
+    const answer = await task.ask(assistantId, prompt, name);
+    return { result: { agent: name, assistantId, prompt, answer }, text: [answer] };
+  },
+
+  async run(context, [target]) {
+    const Agent = { autonomous: TrulyAutonomousAgent, swarm: UltimateMultiAgentSystem }[target];
+    if (!Agent) throw usage('run needs autonomous or swarm');
+    if (context.flags.json) throw usage('run streams its log; use --output.sinks jsonl for machine-readable output');
+
+    const agent = new Agent(context.options);
+    context.config.describe().forEach(line => agent.log(line));
+    process.on('SIGINT', async () => {
+      console.log('\n🛑 Stopping...');
+      await agent.shutdown();
+      process.exit(EXIT_CODES.ok);
+    });
+    // Keeps running on the agents' timers until interrupted
+    await agent.start();
+    return { result: null, text: [] };
+  },
+
+  async stats(context) {
+    const factory = await connect(createFactory(context));
+    const stats = factory.getStats();
+    return {
+      result: stats,
+      text: [
+        `Resource: ${stats.azureResource}`,
+        `Registry: ${stats.registry}`,
+        `Agents: ${stats.totalAgents} (${stats.activeAgents} active, ${stats.failedAgents} failed, ${stats.orphanedAgents} orphaned, ${stats.driftedAgents} drifted)`,
+        ...Object.entries(stats.agentTypes).map(([type, count]) => `   ${type}: ${count}`)
+      ]
+    };
+  }
+};
+
+// Runs one command line; resolves to the exit code
+export async function main(argv = process.argv.slice(2)) {
+  let json = argv.includes('--json');
+  const fail = (error) => {
+    const exitCode = error instanceof ConfigError ? EXIT_CODES.config : error.exitCode ?? EXIT_CODES.failed;
+    if (json) console.log(JSON.stringify({ error: error.message, exitCode }, null, 2));
+    else console.error(`❌ ${error.message}${exitCode === EXIT_CODES.usage ? `\n\n${USAGE}` : ''}`);
+    return exitCode;
+  };
+
+  try {
+    const config = loadConfig({ argv });
+    const { positional, flags } = parseCommandArgs(config.rest);
+    json = Boolean(flags.json);
+    if (flags.help) {
+      console.log(USAGE);
+      return EXIT_CODES.ok;
+    }
+
+    const [group, action, ...args] = positional;
+    if (group === 'agents' && !action) throw usage('agents needs create, list, destroy, cleanup, reconcile or gc');
+    const name = group === 'agents' ? `agents ${action}` : group;
+    const command = Object.hasOwn(commands, name) ? commands[name] : null;
+    if (!command) throw usage(group ? `Unknown command: ${group === 'agents' ? name : group}` : 'No command given');
+
+    const context = {
+      config,
+      options: config.options(),
+      flags,
+      log: flags.verbose ? message => console.error(message) : () => {}
+    };
+    const { result, text, exitCode = EXIT_CODES.ok } = await command(context, group === 'agents' ? args : [action, ...args].filter(arg => arg !== undefined));
+    if (json) console.log(JSON.stringify(result, null, 2));
+    else text.forEach(line => console.log(line));
+    return exitCode;
+  } catch (error) {
+    return fail(error);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = await main();
+}
@@ -0,0 +1,247 @@
+// command-sandbox.js - Policy-checked, time- and output-limited shell commands for agents
+//
+// Commands run from inside a workspace root with a scrubbed environment. The cwd jail only
+// controls where a command starts; for real confinement use isolation: 'namespace' (bubblewrap:
+// the filesystem is read-only outside the workspace) or 'user' (a dedicated unprivileged account).
+
+import { spawn } from 'child_process';
+import { StringDecoder } from 'string_decoder';
+import fs from 'fs';
+import path from 'path';
+
+export class CommandPolicyError extends Error {
+  constructor(message, { command = null } = {}) {
+    super(message);
+    this.name = 'CommandPolicyError';
+    this.command = command;
+  }
+}
+
+// Matched against the whole command line, so they also catch a dangerous call behind an
+// allowed program (e.g. in a pipe or after &&)
+export const DEFAULT_DENY_PATTERNS = [
+  /\bsudo\b|\bsu\s/,
+  /\brm\s+(-[a-zA-Z]*[rf][a-zA-Z]*\s+)+(\/|~|\$HOME)(\s|$)/,
+  /\bmkfs(\.\w+)?\b|\bdd\s+.*\bof=\/dev\//,
+  /\b(shutdown|reboot|halt|poweroff)\b/,
+  /:\(\)\s*\{.*\};\s*:/,
+  /\b(curl|wget)\b[^|]*\|\s*(ba|z)?sh\b/,
+  /\bchmod\s+(-R\s+)?[0-7]*777\s+\//,
+  />\s*\/dev\/sd[a-z]/
+];
+
+// Variables a command gets to see; everything else (API keys, tokens) is dropped
+export const DEFAULT_ENV_PASSTHROUGH = ['PATH', 'HOME', 'USER', 'LANG', 'LC_ALL', 'TERM', 'TMPDIR', 'TZ'];
+
+export const ISOLATION_MODES = ['none', 'user', 'namespace'];
+
+// The program name of every command in a pipeline or list, e.g. "ls -l | grep x && make" -> ls, grep, make
+export function commandNames(command) {
+  return command
+    .replace(/\d*>&\d*|&>>?/g, ' ')
+    .split(/\|\||&&|[|;&\n]/)
+    .map(segment => segment.trim().split(/\s+/).filter(word => !/^\w+=/.test(word))[0])
+    .filter(Boolean)
+    .map(name => path.basename(name.replace(/^[({]+|[)}]+$/g, '')));
+}
+
+export class CommandSandbox {
+  constructor({
+    root = process.cwd(),
+    allow = null,
+    deny = DEFAULT_DENY_PATTERNS,
+    timeoutMs = 30000,
+    maxOutputBytes = 64 * 1024,
+    envPassthrough = DEFAULT_ENV_PASSTHROUGH,
+    env = {},
+    shell = '/bin/sh',
+    isolation = 'none',
+    uid = null,
+    gid = null,
+    network = false,
+    log = () => {}
+  } = {}) {
+    if (!ISOLATION_MODES.includes(isolation)) {
+      throw new Error(`Unknown isolation mode: ${isolation}. Available: ${ISOLATION_MODES.join(', ')}`);
+    }
+    if (isolation !== 'none' && process.platform !== 'linux') {
+      throw new Error(`Isolation mode '${isolation}' is only supported on Linux`);
+    }
+    if (isolation === 'user' && uid === null) {
+      throw new Error("Isolation mode 'user' needs the uid (and optionally gid) to run commands as");
+    }
+
+    this.root = fs.realpathSync(root);
+    // null allows any program that no deny pattern matches
+    this.allow = allow;
+    this.deny = deny.map(pattern => pattern instanceof RegExp ? pattern : new RegExp(pattern));
+    this.timeoutMs = timeoutMs;
+    this.maxOutputBytes = maxOutputBytes;
+    this.envPassthrough = envPassthrough;
+    this.env = env;
+    this.shell = shell;
+    this.isolation = isolation;
+    this.uid = uid;
+    this.gid = gid ?? uid;
+    this.network = network;
+    this.log = log;
+  }
+
+  // Throws CommandPolicyError when the command may not run
+  check(command) {
+    if (typeof command !== 'string' || !command.trim()) {
+      throw new CommandPolicyError('Command is empty', { command });
+    }
+
+    const denied = this.deny.find(pattern => pattern.test(command));
+    if (denied) {
+      throw new CommandPolicyError(`Command matches deny rule ${denied}`, { command });
+    }
+
+    if (this.allow) {
+      // Substitutions would let any program run inside an allowed one
+      if (/\$\(|`/.test(command)) {
+        throw new CommandPolicyError('Command substitution is not allowed with an allow list', { command });
+      }
+      const blocked = commandNames(command).filter(name => !this.allow.includes(name));
+      if (blocked.length > 0) {
+        throw new CommandPolicyError(`Not on the allow list: ${blocked.join(', ')}. Allowed: ${this.allow.join(', ')}`, { command });
+      }
+    }
+  }
+
+  // A directory inside the root, resolved through symlinks
+  resolveCwd(cwd = '.') {
+    const target = path.resolve(this.root, cwd);
+    let real;
+    try {
+      real = fs.realpathSync(target);
+    } catch {
+      throw new CommandPolicyError(`Working directory does not exist: ${cwd}`);
+    }
+    if (real !== this.root && !real.startsWith(`${this.root}${path.sep}`)) {
+      throw new CommandPolicyError(`Working directory ${cwd} is outside the workspace ${this.root}`);
+    }
+    return real;
+  }
+
+  environment() {
+    const env = {};
+    for (const name of this.envPassthrough) {
+      if (process.env[name] !== undefined) env[name] = process.env[name];
+    }
+    return { ...env, ...this.env };
+  }
+
+  // [program, args] for the configured isolation
+  invocation(command, cwd) {
+    if (this.isolation === 'namespace') {
+      return ['bwrap', [
+        '--ro-bind', '/', '/',
+        '--bind', this.root, this.root,
+        '--dev', '/dev',
+        '--proc', '/proc',
+        '--tmpfs', '/tmp',
+        '--unshare-all',
+        ...(this.network ? ['--share-net'] : []),
+        '--die-with-parent',
+        '--chdir', cwd,
+        this.shell, '-c', command
+      ]];
+    }
+    return [this.shell, ['-c', command]];
+  }
+
+  // Resolves to { success, exitCode, signal, stdout, stderr, truncated, timedOut, durationMs };
+  // policy violations resolve with success: false and the reason instead of running anything
+  async run(command, { cwd, timeoutMs = this.timeoutMs } = {}) {
+    let workdir;
+    try {
+      this.check(command);
+      workdir = this.resolveCwd(cwd);
+    } catch (error) {
+      if (!(error instanceof CommandPolicyError)) throw error;
+      this.log(`🚫 Command refused: ${error.message}`);
+      return { success: false, error: error.message, policy: true };
+    }
+
+    const [program, args] = this.invocation(command, workdir);
+    const started = Date.now();
+
+    return new Promise((resolve) => {
+      const child = spawn(program, args, {
+        cwd: workdir,
+        env: this.environment(),
+        stdio: ['ignore', 'pipe', 'pipe'],
+        // Own process group, so a timeout takes down everything the command started
+        detached: true,
+        ...(this.isolation === 'user' ? { uid: this.uid, gid: this.gid } : {})
+      });
+
+      const output = { stdout: '', stderr: '' };
+      // One decoder per stream keeps a character split across chunks whole. A stream cut at the
+      // byte limit is never flushed, so a character cut in half is dropped rather than mangled.
+      const decoders = { stdout: new StringDecoder('utf8'), stderr: new StringDecoder('utf8') };
+      const cut = new Set();
+      let bytes = 0;
+      let truncated = false;
+      let timedOut = false;
+
+      const collect = (stream) => (data) => {
+        const room = this.maxOutputBytes - bytes;
+        if (room <= 0) {
+          truncated = true;
+          cut.add(stream);
+          return;
+        }
+        const chunk = data.length > room ? data.subarray(0, room) : data;
+        if (data.length > room) {
+          truncated = true;
+          cut.add(stream);
+        }
+        bytes += chunk.length;
+        output[stream] += decoders[stream].write(chunk);
+      };
+      const decoded = (stream) => output[stream] + (cut.has(stream) ? '' : decoders[stream].end());
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
+
+      const killGroup = (signal) => {
+        try {
+          process.kill(-child.pid, signal);
+        } catch {
+          // Already gone
+        }
+      };
+
+      let forceKill = null;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        killGroup('SIGTERM');
+        forceKill = setTimeout(() => killGroup('SIGKILL'), 2000);
+      }, timeoutMs);
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        const reason = error.code === 'ENOENT' ? `${program} is not installed` : error.message;
+        resolve({ success: false, error: reason, stdout: '', stderr: '', durationMs: Date.now() - started });
+      });
+
+      child.on('close', (exitCode, signal) => {
+        clearTimeout(timer);
+        clearTimeout(forceKill);
+        resolve({
+          success: exitCode === 0 && !timedOut,
+          exitCode,
+          signal,
+          stdout: decoded('stdout'),
+          stderr: decoded('stderr'),
+          truncated,
+          timedOut,
+          durationMs: Date.now() - started,
+          ...(timedOut ? { error: `Timed out after ${Math.round(timeoutMs / 1000)}s` } : {})
+        });
+      });
+    });
+  }
+}
@@ -0,0 +1,324 @@
+// config.js - One place for the settings every entry point needs, with named profiles
+//
+// Each setting is resolved from, lowest to highest:
+//   agent.config.yaml (or .json)   the shared settings at the top of the file
+//   its profiles.<name> section    picked with --profile, AGENT_PROFILE or the file's "profile"
+//   environment variables          the AGENT_* / AZURE_* / LLM_* names listed in SETTINGS
+//   command-line flags             --provider.endpoint <url>, --output.headless, ...
+// The file is found with --config, AGENT_CONFIG, the current directory, then this directory.
+// config.options() turns the result into constructor options, through the same *ConfigFromEnv
+// helpers the modules already use, and config.describe() lists what is in effect and why.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseYaml } from './yaml-subset.js';
+import { PROVIDER_TYPES, VENDOR_KEY_ENV, providerConfigFromEnv } from './llm-providers.js';
+import { approvalConfigFromEnv } from './approval-gate.js';
+import { elispPolicyConfigFromEnv } from './elisp-policy.js';
+import { OUTPUT_SINKS, outputConfigFromEnv } from './output-sinks.js';
+import { SPEECH_BACKENDS, speechConfigFromEnv } from './speech.js';
+
+export const CONFIG_FILES = ['agent.config.yaml', 'agent.config.yml', 'agent.config.json'];
+const MODULE_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// key, environment variables (the first one set wins), type: string | number | boolean | list
+// or a list of allowed values; secret values are masked by describe(). The vendor keys
+// (AZURE_OPENAI_API_KEY, OPENAI_API_KEY) are not settings: which one applies depends on
+// provider.type, so options() hands them to providerConfigFromEnv as they are.
+export const SETTINGS = [
+  { key: 'provider.type', env: ['LLM_PROVIDER'], type: PROVIDER_TYPES },
+  { key: 'provider.endpoint', env: ['AZURE_OPENAI_ENDPOINT'] },
+  { key: 'provider.baseUrl', env: ['LLM_BASE_URL'] },
+  { key: 'provider.model', env: ['LLM_MODEL'] },
+  { key: 'provider.embeddingModel', env: ['LLM_EMBEDDING_MODEL'] },
+  { key: 'provider.apiKey', env: ['LLM_API_KEY'], secret: true },
+  { key: 'provider.apiKeyFile', env: ['LLM_API_KEY_FILE'] },
+  { key: 'provider.credentials', env: ['LLM_CREDENTIALS'], type: 'list' },
+  { key: 'provider.assistantId', env: ['AGENT_ASSISTANT_ID'] },
+  { key: 'azure.subscription', env: ['AZURE_SUBSCRIPTION_ID'] },
+  { key: 'azure.resourceName', env: ['AZURE_OPENAI_RESOURCE'] },
+  { key: 'azure.resourceGroup', env: ['AZURE_RESOURCE_GROUP'] },
+  { key: 'approval.mode', env: ['AGENT_APPROVAL'], type: ['off', 'ask', 'deny'] },
+  { key: 'approval.approvers', env: ['AGENT_APPROVERS'], type: 'list' },
+  { key: 'elisp.allow', env: ['AGENT_ELISP_ALLOW'], type: 'list' },
+  { key: 'elisp.dryRun', env: ['AGENT_ELISP_DRY_RUN'], type: 'boolean' },
+  { key: 'output.sinks', env: ['AGENT_OUTPUT'], type: 'list' },
+  { key: 'output.headless', env: ['AGENT_HEADLESS'], type: 'boolean' },
+  { key: 'output.dir', env: ['AGENT_OUTPUT_DIR'] },
+  { key: 'output.port', env: ['AGENT_OUTPUT_PORT'], type: 'number' },
+  { key: 'speech.backend', env: ['AGENT_SPEECH'], type: [...SPEECH_BACKENDS, 'auto'] },
+  { key: 'speech.engine', env: ['AGENT_SPEECH_ENGINE'], type: ['say', 'espeak', 'piper', 'auto'] },
+  { key: 'speech.format', env: ['AGENT_SPEECH_FORMAT'], type: ['wav', 'mp3'] },
+  { key: 'speech.dir', env: ['AGENT_SPEECH_DIR'] },
+  { key: 'speech.models', env: ['AGENT_PIPER_MODELS'] },
+  { key: 'definitions.dir', env: ['AGENT_DEFINITIONS_DIR'] },
+  { key: 'registry.file', env: ['AGENT_REGISTRY_FILE'] },
+  { key: 'emacs.socket', env: ['AGENT_EMACS_SOCKET'] }
+];
+
+const SETTING = new Map(SETTINGS.map(setting => [setting.key, setting]));
+
+export class ConfigError extends Error {
+  constructor(message, { file = null, key = null } = {}) {
+    super(message);
+    this.name = 'ConfigError';
+    this.file = file;
+    this.key = key;
+  }
+}
+
+// A raw value (YAML/JSON value, or the text of a variable or flag) as the setting's type;
+// throws a ConfigError naming where the value came from
+function coerce(setting, value, where) {
+  const fail = (expected) => new ConfigError(`${where}: ${setting.key} must be ${expected}, got ${JSON.stringify(value)}`, { key: setting.key });
+  const type = setting.type || 'string';
+
+  if (Array.isArray(type)) {
+    if (!type.includes(value)) throw fail(`one of ${type.join(', ')}`);
+    return value;
+  }
+  switch (type) {
+    case 'string':
+      if (typeof value === 'number') return String(value);
+      if (typeof value !== 'string' || value === '') throw fail('a non-empty string');
+      return value;
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) throw fail('a number');
+      return number;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (['1', 'true', 'yes'].includes(String(value))) return true;
+      if (['0', 'false', 'no', ''].includes(String(value))) return false;
+      throw fail('true or false');
+    case 'list': {
+      const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : null;
+      if (!items || items.some(item => typeof item !== 'string')) throw fail('a list of strings (or a comma-separated string)');
+      return items.map(item => item.trim()).filter(Boolean);
+    }
+  }
+}
+
+// Nested settings from the file ({ provider: { endpoint } }) -> Map of key -> value
+function flatten(section, where, prefix = '') {
+  const values = new Map();
+  if (section === null || section === undefined) return values;
+  if (typeof section !== 'object' || Array.isArray(section)) {
+    throw new ConfigError(`${where}: ${prefix || 'settings'} must be a mapping of settings`);
+  }
+
+  for (const [name, value] of Object.entries(section)) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    const setting = SETTING.get(key);
+    if (setting) {
+      values.set(key, coerce(setting, value, where));
+    } else if (SETTINGS.some(entry => entry.key.startsWith(`${key}.`))) {
+      for (const [nested, item] of flatten(value, where, key)) values.set(nested, item);
+    } else {
+      const group = prefix ? SETTINGS.filter(entry => entry.key.startsWith(`${prefix}.`)).map(entry => entry.key.slice(prefix.length + 1)) : null;
+      throw new ConfigError(`${where}: ${key} is not a known setting${group ? ` (expected: ${group.join(', ')})` : ''}`, { key });
+    }
+  }
+  return values;
+}
+
+export function findConfigFile({ file = null, env = process.env, cwd = process.cwd() } = {}) {
+  const explicit = file || env.AGENT_CONFIG;
+  if (explicit) {
+    const resolved = path.resolve(cwd, explicit);
+    if (!fs.existsSync(resolved)) throw new ConfigError(`Config file not found: ${resolved}`, { file: resolved });
+    return resolved;
+  }
+  for (const dir of [cwd, MODULE_DIR]) {
+    const found = CONFIG_FILES.map(name => path.join(dir, name)).find(candidate => fs.existsSync(candidate));
+    if (found) return found;
+  }
+  return null;
+}
+
+export function readConfigFile(file) {
+  let data;
+  try {
+    const source = fs.readFileSync(file, 'utf8');
+    data = file.endsWith('.json') ? JSON.parse(source) : parseYaml(source);
+  } catch (error) {
+    throw new ConfigError(`${path.basename(file)}: ${error.message}`, { file });
+  }
+  if (data !== null && (typeof data !== 'object' || Array.isArray(data))) {
+    throw new ConfigError(`${path.basename(file)}: expected a mapping of settings`, { file });
+  }
+  return data || {};
+}
+
+// --config, --profile and --<setting> [value] / --<setting>=value flags; anything else is left
+// in rest for the entry point. A setting flag without a value means true.
+export function parseConfigArgs(argv = []) {
+  const flags = new Map();
+  const rest = [];
+  let file = null;
+  let profile = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([\w.-]+)(?:=([\s\S]*))?$/);
+    const name = match?.[1];
+    if (!match || !(name === 'config' || name === 'profile' || SETTING.has(name))) {
+      rest.push(argv[i]);
+      continue;
+    }
+    let value = match[2];
+    if (value === undefined) {
+      const next = argv[i + 1];
+      const takesValue = name !== 'config' && name !== 'profile' ? SETTING.get(name).type !== 'boolean' || ['true', 'false', '1', '0'].includes(next) : true;
+      value = takesValue && next !== undefined && !next.startsWith('--') ? argv[++i] : 'true';
+    }
+    if (name === 'config') file = value;
+    else if (name === 'profile') profile = value;
+    else flags.set(name, value);
+  }
+  return { file, profile, flags, rest };
+}
+
+export class Config {
+  constructor({ values, sources, profile, file, profiles, rest = [], vendorKeys = {} }) {
+    this.values = values;
+    this.vendorKeys = vendorKeys;
+    this.sources = sources;
+    this.profile = profile;
+    this.file = file;
+    this.profiles = profiles;
+    this.rest = rest;
+  }
+
+  get(key) {
+    return this.values.get(key);
+  }
+
+  // The settings as the environment variables the modules read, so their own parsing applies
+  toEnv() {
+    const env = {};
+    for (const [key, value] of this.values) {
+      env[SETTING.get(key).env[0]] = Array.isArray(value) ? value.join(',') : typeof value === 'boolean' ? (value ? '1' : '0') : String(value);
+    }
+    return env;
+  }
+
+  // Constructor options for the agents (and the factory they share), e.g.
+  //   new UltimateMultiAgentSystem(loadConfig({ argv }).options())
+  options() {
+    const env = this.toEnv();
+    const provider = providerConfigFromEnv({ ...this.vendorKeys, ...env });
+    const azure = {
+      subscription: this.get('azure.subscription'),
+      resourceName: this.get('azure.resourceName'),
+      resourceGroup: this.get('azure.resourceGroup')
+    };
+    const output = outputConfigFromEnv(env);
+    const registryFile = this.get('registry.file');
+
+    return {
+      provider,
+      assistantId: this.get('provider.assistantId'),
+      azure,
+      // An explicit Azure endpoint (e.g. the mock server) is shared with the factory
+      factory: provider.type === 'azure' && provider.endpoint ? { endpoint: provider.endpoint, apiKey: provider.apiKey, azure, registryFile } : { azure, registryFile },
+      approval: approvalConfigFromEnv(env),
+      elisp: elispPolicyConfigFromEnv(env),
+      output: {
+        ...output,
+        ...(this.values.has('output.dir') ? { dir: this.get('output.dir') } : {}),
+        ...(this.values.has('output.port') ? { port: this.get('output.port') } : {})
+      },
+      speech: speechConfigFromEnv(env),
+      definitions: this.values.has('definitions.dir') ? { dir: this.get('definitions.dir') } : {},
+      emacs: this.values.has('emacs.socket') ? { socket: this.get('emacs.socket') } : {}
+    };
+  }
+
+  // Lines describing the effective configuration, one per setting that is set
+  describe() {
+    const lines = [`⚙️ Config: profile ${this.profile || '(none)'}, file ${this.file || '(none)'}`];
+    const width = Math.max(...Array.from(this.values.keys(), key => key.length));
+    for (const { key, secret } of SETTINGS) {
+      if (!this.values.has(key)) continue;
+      const value = this.get(key);
+      const shown = secret ? '********' : Array.isArray(value) ? value.join(', ') : String(value);
+      lines.push(`   ${key.padEnd(width)}  ${shown}  (${this.sources.get(key)})`);
+    }
+    return lines;
+  }
+
+  toJSON() {
+    const settings = {};
+    for (const [key, value] of this.values) settings[key] = SETTING.get(key).secret ? '********' : value;
+    return { profile: this.profile, file: this.file, settings, sources: Object.fromEntries(this.sources) };
+  }
+}
+
+export function loadConfig({ argv = [], env = process.env, cwd = process.cwd(), file = null, profile = null } = {}) {
+  const args = parseConfigArgs(argv);
+  const configFile = findConfigFile({ file: args.file || file, env, cwd });
+  const data = configFile ? readConfigFile(configFile) : {};
+  const label = configFile ? path.basename(configFile) : 'config';
+  const { profile: defaultProfile = null, profiles = {}, ...shared } = data;
+
+  if (profiles === null || typeof profiles !== 'object' || Array.isArray(profiles)) {
+    throw new ConfigError(`${label}: profiles must be a mapping of profile names to settings`, { file: configFile });
+  }
+  const selected = args.profile || profile || env.AGENT_PROFILE || defaultProfile;
+  if (selected && !Object.hasOwn(profiles, selected)) {
+    const available = Object.keys(profiles);
+    throw new ConfigError(`Unknown profile ${selected}${available.length ? `. Available: ${available.join(', ')}` : ` (${configFile ? `${label} defines no profiles` : 'no config file found'})`}`, { file: configFile });
+  }
+
+  const values = new Map();
+  const sources = new Map();
+  const apply = (entries, source) => {
+    for (const [key, value] of entries) {
+      values.set(key, value);
+      sources.set(key, source);
+    }
+  };
+
+  apply(flatten(shared, label), label);
+  if (selected) apply(flatten(profiles[selected], `${label}: profiles.${selected}`, ''), `profile ${selected}`);
+  for (const setting of SETTINGS) {
+    const name = setting.env.find(variable => env[variable] !== undefined && env[variable] !== '');
+    if (name) apply([[setting.key, coerce(setting, env[name], `$${name}`)]], `env ${name}`);
+  }
+  for (const [key, value] of args.flags) {
+    apply([[key, coerce(SETTING.get(key), value, `--${key}`)]], `--${key}`);
+  }
+
+  const vendorKeys = Object.fromEntries(Object.values(VENDOR_KEY_ENV)
+    .filter(variable => env[variable])
+    .map(variable => [variable, env[variable]]));
+
+  return new Config({ values, sources, profile: selected, file: configFile, profiles: Object.keys(profiles), rest: args.rest, vendorKeys });
+}
+
+// For entry points: the configuration from argv, or the problem printed and exit code 1
+export function configFromArgs(argv = process.argv.slice(2), options = {}) {
+  try {
+    return loadConfig({ argv, ...options });
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Prints the effective configuration:
+//   node config.js [--profile staging] [--config file] [--json]
+//   node config.js profiles
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const config = configFromArgs();
+  if (config.rest[0] === 'profiles') {
+    console.log(config.profiles.map(name => `${name === config.profile ? '*' : ' '} ${name}`).join('\n') || 'No profiles defined');
+  } else if (config.rest.includes('--json')) {
+    console.log(JSON.stringify(config, null, 2));
+  } else {
+    config.describe().forEach(line => console.log(line));
+  }
+}
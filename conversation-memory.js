@@ -0,0 +1,140 @@
+// conversation-memory.js - One long-lived thread per agent, trimmed and summarized as it grows
+//
+// Each thinking cycle adds its prompt to the same thread, so the agent can build on what it
+// decided before. Runs only see the most recent messages (truncation_strategy), and once the
+// thread has grown past its limits the agent is asked to summarize it; the summary seeds a
+// fresh thread and the old one is deleted.
+
+import { NotFoundError } from './assistants-client.js';
+import { ACTIVE_RUN_STATUSES } from './run-lifecycle.js';
+
+const SUMMARY_PROMPT = `Summarize our conversation so far for your own future reference.
+Keep the decisions you made, actions you took and their results, open tasks and anything you learned
+about the environment. Leave out pleasantries. Reply with the summary only.`;
+
+export class ConversationMemory {
+  constructor({
+    client,
+    runs,
+    log = () => {},
+    name = 'agent',
+    maxContextMessages = 20,
+    summarizeAfterTurns = 12,
+    summarizeAbovePromptTokens = 24000,
+    summaryPrompt = SUMMARY_PROMPT
+  }) {
+    this.client = client;
+    this.runs = runs;
+    this.log = log;
+    this.name = name;
+    // null sends every message on the thread to the model
+    this.maxContextMessages = maxContextMessages;
+    this.summarizeAfterTurns = summarizeAfterTurns;
+    this.summarizeAbovePromptTokens = summarizeAbovePromptTokens;
+    this.summaryPrompt = summaryPrompt;
+    this.threadId = null;
+    this.turns = 0;
+    this.summary = null;
+  }
+
+  // Append a prompt to the agent's thread (starting one if needed) and return the thread id
+  async addUserMessage(content) {
+    if (this.threadId) {
+      try {
+        await this.client.createMessage(this.threadId, { role: 'user', content });
+        return this.threadId;
+      } catch (error) {
+        // Expired or deleted server-side: carry on in a new thread from the last summary
+        if (!(error instanceof NotFoundError)) throw error;
+        this.log(`⚠️ ${this.name} thread ${this.threadId} is gone, starting a new one`);
+      }
+    }
+
+    const thread = await this.client.createThread({
+      messages: [...this.seedMessages(), { role: 'user', content }]
+    });
+    this.threadId = thread.id;
+    this.turns = 0;
+    this.log(`🧵 ${this.name} conversation thread: ${this.threadId}`);
+    return this.threadId;
+  }
+
+  seedMessages() {
+    if (!this.summary) return [];
+    return [{ role: 'user', content: `Summary of your earlier work in this session:\n${this.summary}` }];
+  }
+
+  // Extra run parameters that keep the model's context window bounded
+  runOptions() {
+    if (!this.maxContextMessages) return {};
+    return { truncation_strategy: { type: 'last_messages', last_messages: this.maxContextMessages } };
+  }
+
+  needsSummary(outcome) {
+    if (this.summarizeAfterTurns && this.turns >= this.summarizeAfterTurns) return true;
+    const promptTokens = outcome?.usage?.prompt_tokens || 0;
+    return Boolean(this.summarizeAbovePromptTokens && promptTokens >= this.summarizeAbovePromptTokens);
+  }
+
+  // Call after every run on the thread; rolls the thread over into a summary when it is due
+  async recordOutcome(outcome, assistantId) {
+    if (ACTIVE_RUN_STATUSES.includes(outcome.status)) {
+      // The run could not be settled, so the thread stays locked; move on without it
+      this.log(`⚠️ ${this.name} thread ${this.threadId} still has a ${outcome.status} run, starting fresh next cycle`);
+      this.threadId = null;
+      return;
+    }
+
+    this.turns++;
+    if (outcome.ok && this.needsSummary(outcome)) {
+      await this.summarize(assistantId);
+    }
+  }
+
+  async summarize(assistantId) {
+    const previousThreadId = this.threadId;
+    this.log(`📝 ${this.name} summarizing ${this.turns} turns of conversation...`);
+
+    try {
+      await this.client.createMessage(previousThreadId, { role: 'user', content: this.summaryPrompt });
+      // No tools and the full thread: the summary should cover everything, not only the recent window
+      const outcome = await this.runs.execute(previousThreadId, {
+        assistant_id: assistantId,
+        tools: [],
+        truncation_strategy: { type: 'auto' }
+      }, {
+        onToolCalls: toolCalls => toolCalls.map(toolCall => ({
+          tool_call_id: toolCall.id,
+          output: JSON.stringify({ success: false, error: 'Tools are unavailable while summarizing' })
+        }))
+      });
+
+      if (!outcome.ok || !outcome.text) {
+        this.log(`⚠️ ${this.name} summary run ${outcome.status}, keeping the current thread`);
+        return null;
+      }
+
+      this.summary = outcome.text;
+    } catch (error) {
+      this.log(`⚠️ ${this.name} could not summarize its conversation: ${error.message}`);
+      return null;
+    }
+
+    // The next prompt starts a new thread seeded with the summary
+    this.threadId = null;
+    this.turns = 0;
+    await this.client.deleteThread(previousThreadId).catch(() => {});
+    this.log(`✅ ${this.name} conversation summarized (${this.summary.length} chars), continuing in a fresh thread`);
+    return this.summary;
+  }
+
+  // Forget everything, e.g. when the agent is given an unrelated job
+  async reset() {
+    if (this.threadId) {
+      await this.client.deleteThread(this.threadId).catch(() => {});
+    }
+    this.threadId = null;
+    this.turns = 0;
+    this.summary = null;
+  }
+}
@@ -0,0 +1,297 @@
+// credentials.js - Cached, auto-refreshing credentials for the Assistants backends
+//
+// A CredentialProvider walks an ordered list of sources (API key, az CLI token, az CLI resource key,
+// managed identity), caches whatever the first working source returns until shortly before it
+// expires, and refreshes it in the background so requests never wait on `az`.
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+
+export const COGNITIVE_SERVICES_RESOURCE = 'https://cognitiveservices.azure.com';
+
+export class CredentialUnavailableError extends Error {
+  constructor(message, { source = null, failures = [] } = {}) {
+    super(message);
+    this.name = 'CredentialUnavailableError';
+    this.source = source;
+    this.failures = failures;
+  }
+}
+
+function runAz(args) {
+  return new Promise((resolve, reject) => {
+    const process = spawn('az', args);
+    let output = '';
+    let error = '';
+
+    process.stdout.on('data', (data) => output += data.toString());
+    process.stderr.on('data', (data) => error += data.toString());
+    process.on('error', (err) => reject(new Error(err.code === 'ENOENT' ? 'Azure CLI (az) is not installed' : err.message)));
+    process.on('close', (code) => {
+      if (code === 0) {
+        resolve(output.trim());
+      } else {
+        reject(new Error(error.trim() || `az exited with code ${code}`));
+      }
+    });
+  });
+}
+
+// Token from `az login`; sent as a bearer token
+export class AzureCliTokenSource {
+  constructor({ resource = COGNITIVE_SERVICES_RESOURCE } = {}) {
+    this.name = 'az-cli';
+    this.resource = resource;
+  }
+
+  async fetch() {
+    const output = await runAz(['account', 'get-access-token', '--resource', this.resource, '--output', 'json']);
+    const token = JSON.parse(output);
+
+    // Newer CLIs report expires_on (epoch seconds); older ones only a local-time expiresOn
+    const expiresOn = token.expires_on
+      ? Number(token.expires_on) * 1000
+      : new Date(token.expiresOn.replace(' ', 'T')).getTime();
+
+    return { value: token.accessToken, scheme: 'bearer', expiresOn };
+  }
+}
+
+// Resource key from `az cognitiveservices account keys list`; keys do not expire
+export class AzureCliKeySource {
+  constructor({ resourceName, resourceGroup, subscription = null }) {
+    this.name = 'az-cli-key';
+    this.resourceName = resourceName;
+    this.resourceGroup = resourceGroup;
+    this.subscription = subscription;
+  }
+
+  async fetch() {
+    if (!this.resourceName || !this.resourceGroup) {
+      throw new Error('resource name and resource group are required');
+    }
+
+    const key = await runAz([
+      'cognitiveservices', 'account', 'keys', 'list',
+      '--name', this.resourceName,
+      '--resource-group', this.resourceGroup,
+      ...(this.subscription ? ['--subscription', this.subscription] : []),
+      '--query', 'key1',
+      '--output', 'tsv'
+    ]);
+
+    return { value: key, scheme: 'api-key', expiresOn: null };
+  }
+}
+
+// Static key given directly, through an environment variable, or in a file (re-read on refresh)
+export class ApiKeySource {
+  constructor({ value = null, env = null, file = null, scheme = 'api-key' } = {}) {
+    this.name = file ? 'api-key-file' : 'api-key';
+    this.value = value;
+    this.env = env;
+    this.file = file;
+    this.scheme = scheme;
+  }
+
+  async fetch() {
+    let value = this.value || (this.env && process.env[this.env]);
+
+    if (!value && this.file) {
+      try {
+        value = fs.readFileSync(this.file, 'utf8').trim();
+      } catch (error) {
+        throw new Error(`cannot read key file ${this.file}: ${error.message}`);
+      }
+    }
+
+    if (!value) {
+      throw new Error(this.env ? `${this.env} is not set` : 'no API key configured');
+    }
+
+    return { value, scheme: this.scheme, expiresOn: null };
+  }
+}
+
+// Managed-identity style token endpoint: App Service / Container Apps (IDENTITY_ENDPOINT +
+// IDENTITY_HEADER) or the VM instance metadata service
+export class ManagedIdentitySource {
+  constructor({
+    resource = COGNITIVE_SERVICES_RESOURCE,
+    clientId = process.env.AZURE_CLIENT_ID,
+    endpoint = process.env.IDENTITY_ENDPOINT,
+    identityHeader = process.env.IDENTITY_HEADER,
+    timeoutMs = 3000
+  } = {}) {
+    this.name = 'managed-identity';
+    this.resource = resource;
+    this.clientId = clientId;
+    this.endpoint = endpoint;
+    this.identityHeader = identityHeader;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async fetch() {
+    const url = this.endpoint
+      ? new URL(this.endpoint)
+      : new URL('http://169.254.169.254/metadata/identity/oauth2/token');
+    url.searchParams.set('api-version', this.endpoint ? '2019-08-01' : '2018-02-01');
+    url.searchParams.set('resource', this.resource);
+    if (this.clientId) url.searchParams.set('client_id', this.clientId);
+
+    const headers = this.endpoint ? { 'X-IDENTITY-HEADER': this.identityHeader } : { 'Metadata': 'true' };
+
+    let response;
+    try {
+      response = await fetch(url, { headers, signal: AbortSignal.timeout(this.timeoutMs) });
+    } catch (error) {
+      throw new Error(`token endpoint unreachable: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(`token endpoint returned ${response.status}: ${await response.text()}`);
+    }
+
+    const token = await response.json();
+    const expiresOn = token.expires_on
+      ? Number(token.expires_on) * 1000
+      : Date.now() + Number(token.expires_in || 3600) * 1000;
+
+    return { value: token.access_token, scheme: 'bearer', expiresOn };
+  }
+}
+
+export class CredentialProvider {
+  constructor({ sources, refreshMarginMs = 5 * 60 * 1000, backgroundRefresh = true, log = () => {} }) {
+    if (!sources || sources.length === 0) {
+      throw new Error('CredentialProvider needs at least one source');
+    }
+
+    this.sources = sources;
+    this.refreshMarginMs = refreshMarginMs;
+    this.backgroundRefresh = backgroundRefresh;
+    this.log = log;
+    this.cached = null;
+    this.inflight = null;
+    this.refreshTimer = null;
+  }
+
+  isFresh(credential) {
+    return credential && (credential.expiresOn === null || credential.expiresOn - this.refreshMarginMs > Date.now());
+  }
+
+  async getToken() {
+    if (this.isFresh(this.cached)) {
+      return this.cached;
+    }
+
+    return this.refresh();
+  }
+
+  async getAuthHeaders() {
+    const credential = await this.getToken();
+    return credential.scheme === 'bearer'
+      ? { 'Authorization': `Bearer ${credential.value}` }
+      : { 'api-key': credential.value };
+  }
+
+  // Concurrent callers share a single fetch
+  refresh() {
+    this.inflight ??= this.acquire().finally(() => {
+      this.inflight = null;
+    });
+    return this.inflight;
+  }
+
+  async acquire() {
+    const failures = [];
+
+    for (const source of this.sources) {
+      try {
+        const credential = { ...(await source.fetch()), source: source.name };
+        if (!credential.value) {
+          throw new Error('returned an empty credential');
+        }
+
+        this.cached = credential;
+        this.scheduleRefresh();
+        return credential;
+      } catch (error) {
+        failures.push({ source: source.name, message: error.message });
+      }
+    }
+
+    // A still-valid cached token beats failing outright during a background refresh
+    if (this.cached && (this.cached.expiresOn === null || this.cached.expiresOn > Date.now())) {
+      this.log(`⚠️ Credential refresh failed, keeping current ${this.cached.source} token until it expires`);
+      return this.cached;
+    }
+
+    const details = failures.map(f => `  - ${f.source}: ${f.message}`).join('\n');
+    throw new CredentialUnavailableError(`No credential available. Tried:\n${details}`, { failures });
+  }
+
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+
+    if (!this.backgroundRefresh || this.cached?.expiresOn == null) return;
+
+    const delay = Math.max(this.cached.expiresOn - this.refreshMarginMs - Date.now(), 1000);
+    this.refreshTimer = setTimeout(() => {
+      this.refresh().catch(error => this.log(`⚠️ Background credential refresh failed: ${error.message}`));
+    }, delay);
+    // Never keep the process alive just to refresh a token
+    this.refreshTimer.unref?.();
+  }
+
+  invalidate() {
+    this.cached = null;
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  dispose() {
+    this.invalidate();
+  }
+}
+
+// Build a provider from names, e.g. { sources: ['api-key', 'az-cli'], apiKey, apiKeyFile }.
+// Without an explicit list: a configured API key first, then the az CLI token, then managed identity.
+export function createCredentialProvider({
+  sources,
+  apiKey,
+  apiKeyEnv = 'AZURE_OPENAI_API_KEY',
+  apiKeyFile,
+  scheme = 'api-key',
+  resource = COGNITIVE_SERVICES_RESOURCE,
+  resourceName,
+  resourceGroup,
+  subscription,
+  log
+} = {}) {
+  const names = sources || [
+    ...(apiKey || apiKeyFile || process.env[apiKeyEnv] ? ['api-key'] : []),
+    'az-cli',
+    'managed-identity'
+  ];
+
+  const built = names.map((name) => {
+    switch (name) {
+      case 'api-key':
+        return new ApiKeySource({ value: apiKey, env: apiKeyEnv, file: apiKeyFile, scheme });
+      case 'api-key-file':
+        return new ApiKeySource({ file: apiKeyFile, scheme });
+      case 'az-cli':
+        return new AzureCliTokenSource({ resource });
+      case 'az-cli-key':
+        return new AzureCliKeySource({ resourceName, resourceGroup, subscription });
+      case 'managed-identity':
+        return new ManagedIdentitySource({ resource });
+      default:
+        throw new Error(`Unknown credential source: ${name}. Available: api-key, api-key-file, az-cli, az-cli-key, managed-identity`);
+    }
+  });
+
+  return new CredentialProvider({ sources: built, log });
+}
@@ -0,0 +1,375 @@
+// elisp-policy.js - What the execute_emacs tools may evaluate in the user's editor
+//
+// Elisp from the model is read (not evaluated) first, and every function it calls is checked:
+//   deny     never evaluated (shell commands, deleting files, killing Emacs, ...)
+//   allow    when set, the only functions that may be called (besides basic special forms)
+//   confirm  evaluated only after the user says yes in Emacs (eval, redefinitions, writes, ...)
+// Symbols passed as data ('delete-file, #'shell-command) count too, since funcall and mapc can
+// call them, and a higher-order call (mapc, run-at-time, ...) whose function is computed rather
+// than a quoted symbol or lambda needs confirming. Every evaluation, refusal and dry run is
+// appended to a log.
+
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_JOURNAL_DIR } from './workspace-files.js';
+
+export class ElispPolicyError extends Error {
+  constructor(message, { code = null } = {}) {
+    super(message);
+    this.name = 'ElispPolicyError';
+    this.code = code;
+  }
+}
+
+// Functions that run programs, reach the network, delete or move files or end Emacs; code
+// that names any of them, called or quoted, is refused even if AGENT_ELISP_ALLOW lists it
+export const DEFAULT_ELISP_DENY = [
+  'kill-emacs', 'save-buffers-kill-emacs', 'save-buffers-kill-terminal', 'restart-emacs',
+  'shell-command', 'async-shell-command', 'shell-command-to-string', 'shell-command-on-region',
+  'call-process', 'call-process-shell-command', 'call-process-region', 'process-file', 'process-lines',
+  'start-process', 'start-process-shell-command', 'start-file-process', 'make-process', 'make-pipe-process',
+  'make-network-process', 'open-network-stream', 'url-retrieve', 'url-retrieve-synchronously',
+  'delete-file', 'delete-directory', 'rename-file', 'make-symbolic-link', 'set-file-modes',
+  'move-file-to-trash', 'server-eval-at', 'mas-bridge-stop', 'byte-code', 'make-byte-code'
+];
+
+// Evaluated only after the user confirms in Emacs: indirection that hides what gets called,
+// redefining functions, and changes to files or buffers that cannot be taken back
+export const DEFAULT_ELISP_CONFIRM = [
+  'eval', 'funcall', 'funcall-interactively', 'apply', 'apply-partially', 'read', 'read-from-string',
+  'intern', 'intern-soft', 'symbol-function', 'indirect-function', 'mapatoms', 'call-interactively',
+  'command-execute', 'execute-kbd-macro', 'load', 'load-file', 'require-theme',
+  'run-at-time', 'run-with-timer', 'run-with-idle-timer',
+  'defun', 'defmacro', 'defalias', 'fset', 'advice-add', 'add-hook', 'add-function',
+  'write-region', 'write-file', 'with-temp-file', 'save-buffer', 'save-some-buffers', 'copy-file', 'append-to-file',
+  'kill-buffer', 'erase-buffer', 'revert-buffer', 'set-visited-file-name', 'set-buffer-modified-p'
+];
+
+// Always allowed by an allow list: the language itself, not things it can do
+export const ELISP_SPECIAL_FORMS = [
+  'progn', 'prog1', 'prog2', 'if', 'when', 'unless', 'cond', 'and', 'or', 'not', 'null',
+  'let', 'let*', 'setq', 'quote', 'function', 'lambda', 'while', 'dolist', 'dotimes',
+  'condition-case', 'unwind-protect', 'catch', 'throw', 'save-excursion', 'save-restriction',
+  'save-current-buffer', 'with-current-buffer', 'if-let', 'if-let*', 'when-let', 'when-let*', 'and-let*'
+];
+
+const DELIMITERS = /[\s()[\]";'`,]/;
+
+// Reads Elisp source into nodes without evaluating anything: { type: 'list', items, vector },
+// { type: 'symbol', name }, { type: 'string' | 'number' | 'char' } and
+// { type: 'quote', kind: 'quote' | 'function' | 'backquote' | 'unquote', form }
+export function readElisp(code) {
+  let i = 0;
+  const fail = message => new ElispPolicyError(`Cannot read the Elisp: ${message} at offset ${i}`, { code });
+
+  const skip = () => {
+    while (i < code.length) {
+      if (/\s/.test(code[i])) {
+        i++;
+      } else if (code[i] === ';') {
+        while (i < code.length && code[i] !== '\n') i++;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const readSequence = (close, vector) => {
+    const items = [];
+    for (;;) {
+      skip();
+      if (i >= code.length) throw fail(`missing "${close}"`);
+      if (code[i] === close) {
+        i++;
+        return { type: 'list', items, vector };
+      }
+      if (code[i] === ')' || code[i] === ']') throw fail(`unexpected "${code[i]}"`);
+      items.push(read());
+    }
+  };
+
+  const read = () => {
+    skip();
+    if (i >= code.length) throw fail('unexpected end of input');
+    const char = code[i];
+
+    if (char === '(') {
+      i++;
+      return readSequence(')', false);
+    }
+    if (char === '[') {
+      i++;
+      return readSequence(']', true);
+    }
+    if (char === ')' || char === ']') throw fail(`unexpected "${char}"`);
+    if (char === "'" || char === '`') {
+      i++;
+      return { type: 'quote', kind: char === "'" ? 'quote' : 'backquote', form: read() };
+    }
+    if (char === ',') {
+      i += code[i + 1] === '@' ? 2 : 1;
+      return { type: 'quote', kind: 'unquote', form: read() };
+    }
+    if (char === '"') {
+      i++;
+      while (i < code.length && code[i] !== '"') i += code[i] === '\\' ? 2 : 1;
+      if (i >= code.length) throw fail('unterminated string');
+      i++;
+      return { type: 'string' };
+    }
+    if (char === '?') {
+      // Character literals: ?a ?\n ?\C-x ?\(
+      i++;
+      while (code[i] === '\\') i += 2;
+      while (i < code.length && !DELIMITERS.test(code[i])) i++;
+      return { type: 'char' };
+    }
+    if (char === '#') {
+      if (code[i + 1] === "'") {
+        i += 2;
+        return { type: 'quote', kind: 'function', form: read() };
+      }
+      if (/[xXoObB]/.test(code[i + 1] ?? '')) {
+        i += 2;
+        while (i < code.length && !DELIMITERS.test(code[i])) i++;
+        return { type: 'number' };
+      }
+      // #[...] byte code, #@ skips, #N= references: nothing an agent needs, and hard to vet
+      throw fail(`unsupported reader syntax "${code.substring(i, i + 2)}"`);
+    }
+
+    let name = '';
+    while (i < code.length && !DELIMITERS.test(code[i])) {
+      if (code[i] === '\\') i++;
+      name += code[i++] ?? '';
+    }
+    return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+|e\+INF|e\+NaN)?$/.test(name) ? { type: 'number' } : { type: 'symbol', name };
+  };
+
+  const forms = [];
+  for (skip(); i < code.length; skip()) {
+    forms.push(read());
+  }
+  return forms;
+}
+
+const BINDING_FORMS = ['let', 'let*', 'if-let', 'if-let*', 'when-let', 'when-let*', 'and-let*'];
+const DEFINING_FORMS = ['defun', 'defmacro', 'defsubst', 'cl-defun', 'cl-defmacro', 'define-inline'];
+
+// Functions that call one of their arguments -> the position of that argument
+const HIGHER_ORDER_FORMS = {
+  funcall: 0, 'funcall-interactively': 0, apply: 0, 'apply-partially': 0,
+  mapc: 0, mapcar: 0, mapcan: 0, mapconcat: 0, mapatoms: 0, maphash: 0, 'map-keymap': 0,
+  'seq-do': 0, 'seq-map': 0, 'seq-filter': 0, 'seq-remove': 0, 'seq-reduce': 0, 'seq-find': 0,
+  'cl-mapcar': 0, 'cl-remove-if': 0, 'cl-remove-if-not': 0, 'cl-some': 0, 'cl-every': 0,
+  sort: 1, 'seq-sort': 0, 'add-hook': 1, 'advice-add': 2, 'call-interactively': 0,
+  'run-at-time': 2, 'run-with-timer': 2, 'run-with-idle-timer': 2
+};
+
+// A function argument that names what it calls: 'sym, #'sym, (quote sym), (function sym) or a lambda
+function literalFunction(node) {
+  if (!node) return { literal: true };
+  if (node.type === 'quote' && (node.kind === 'quote' || node.kind === 'function')) {
+    if (node.form.type === 'symbol') return { literal: true, name: node.form.name };
+    if (node.form.type === 'list' && node.form.items[0]?.type === 'symbol' && node.form.items[0].name === 'lambda') return { literal: true };
+  }
+  if (node.type === 'list' && node.items[0]?.type === 'symbol') {
+    const [head, form] = node.items;
+    if (head.name === 'lambda') return { literal: true };
+    if ((head.name === 'quote' || head.name === 'function') && form?.type === 'symbol') return { literal: true, name: form.name };
+  }
+  return { literal: false };
+}
+
+// { calls, data, computed }: symbols in function position (or #'quoted, or the quoted function of
+// a higher-order call), symbols quoted as data, and higher-order calls whose function is computed
+export function elispSymbols(forms) {
+  const calls = new Set();
+  const data = new Set();
+  const computed = new Set();
+
+  const quoted = (node, unquote) => {
+    if (node.type === 'symbol') data.add(node.name);
+    if (node.type === 'list') node.items.forEach(item => quoted(item, unquote));
+    if (node.type === 'quote') {
+      if (node.kind === 'unquote' && unquote) walk(node.form);
+      else quoted(node.form, unquote);
+    }
+  };
+
+  const walkAll = items => items.forEach(walk);
+
+  function walk(node) {
+    if (node.type === 'quote') {
+      if (node.kind === 'function' && node.form.type === 'symbol') calls.add(node.form.name);
+      else if (node.kind === 'function' || node.kind === 'unquote') walk(node.form);
+      else quoted(node.form, node.kind === 'backquote');
+      return;
+    }
+    if (node.type !== 'list' || node.items.length === 0) return;
+    if (node.vector) {
+      node.items.forEach(item => quoted(item, false));
+      return;
+    }
+
+    const [head, ...rest] = node.items;
+    if (head.type !== 'symbol') {
+      walkAll(node.items);
+      return;
+    }
+    const name = head.name;
+    calls.add(name);
+
+    if (Object.hasOwn(HIGHER_ORDER_FORMS, name)) {
+      const target = literalFunction(rest[HIGHER_ORDER_FORMS[name]]);
+      if (!target.literal) computed.add(name);
+      else if (target.name) calls.add(target.name);
+    }
+
+    if (name === 'quote') {
+      rest.forEach(item => quoted(item, false));
+    } else if (name === 'function') {
+      rest.forEach(item => item.type === 'symbol' ? calls.add(item.name) : walk(item));
+    } else if (BINDING_FORMS.includes(name)) {
+      const bindings = rest[0]?.type === 'list' ? rest[0].items : [];
+      bindings.forEach(binding => {
+        if (binding.type !== 'list') return;
+        walkAll(binding.items.length === 1 ? binding.items : binding.items.slice(1));
+      });
+      walkAll(rest.slice(1));
+    } else if (name === 'lambda') {
+      walkAll(rest.slice(1));
+    } else if (DEFINING_FORMS.includes(name)) {
+      walkAll(rest.slice(2));
+    } else if (name === 'dolist' || name === 'dotimes') {
+      if (rest[0]?.type === 'list') walkAll(rest[0].items.slice(1));
+      walkAll(rest.slice(1));
+    } else if (name === 'cond') {
+      rest.forEach(clause => clause.type === 'list' ? walkAll(clause.items) : walk(clause));
+    } else if (name === 'condition-case' || name === 'condition-case-unless-debug') {
+      if (rest[1]) walk(rest[1]);
+      rest.slice(2).forEach(handler => handler.type === 'list' && walkAll(handler.items.slice(1)));
+    } else {
+      walkAll(rest);
+    }
+  }
+
+  walkAll(forms);
+  return { calls: Array.from(calls), data: Array.from(data), computed: Array.from(computed) };
+}
+
+function matches(rules, symbol) {
+  return rules.some(rule => rule instanceof RegExp ? rule.test(symbol) : rule === symbol);
+}
+
+export class ElispPolicy {
+  constructor({
+    emacs,
+    allow = null,
+    deny = DEFAULT_ELISP_DENY,
+    confirm = DEFAULT_ELISP_CONFIRM,
+    dryRun = false,
+    confirmTimeoutMs = 4 * 60 * 1000,
+    logFile = process.env.AGENT_ELISP_LOG || path.join(DEFAULT_JOURNAL_DIR, 'elisp.jsonl'),
+    log = () => {}
+  } = {}) {
+    // emacs: anything with eval(code, { timeoutMs, confirm }), i.e. an EmacsBridge
+    this.emacs = emacs;
+    // null allows any function that is neither denied nor needs confirming
+    this.allow = allow;
+    this.deny = deny;
+    this.confirm = confirm;
+    this.dryRun = dryRun;
+    this.confirmTimeoutMs = confirmTimeoutMs;
+    this.logFile = logFile ? path.resolve(logFile) : null;
+    this.log = log;
+  }
+
+  // { decision: 'allow' | 'confirm' | 'deny', reason, calls }
+  check(code) {
+    if (typeof code !== 'string' || !code.trim()) {
+      return { decision: 'deny', reason: 'No Elisp to evaluate', calls: [] };
+    }
+
+    let symbols;
+    try {
+      symbols = elispSymbols(readElisp(code));
+    } catch (error) {
+      if (!(error instanceof ElispPolicyError)) throw error;
+      return { decision: 'deny', reason: error.message, calls: [] };
+    }
+    const { calls, data, computed } = symbols;
+
+    const denied = [...calls, ...data].filter(symbol => matches(this.deny, symbol));
+    if (denied.length > 0) {
+      return { decision: 'deny', reason: `Calls denied function(s): ${[...new Set(denied)].join(', ')}`, calls };
+    }
+
+    if (this.allow) {
+      const blocked = calls.filter(symbol => !ELISP_SPECIAL_FORMS.includes(symbol) && !matches(this.allow, symbol));
+      if (blocked.length > 0) {
+        return { decision: 'deny', reason: `Not on the allow list: ${blocked.join(', ')}`, calls };
+      }
+    }
+
+    const risky = [...calls, ...data].filter(symbol => matches(this.confirm, symbol));
+    if (risky.length > 0 || computed.length > 0) {
+      const reasons = [
+        ...(risky.length > 0 ? [[...new Set(risky)].join(', ')] : []),
+        ...(computed.length > 0 ? [`a computed function through ${computed.join(', ')}`] : [])
+      ];
+      return { decision: 'confirm', reason: `Uses ${reasons.join(' and ')}`, calls };
+    }
+    return { decision: 'allow', reason: null, calls };
+  }
+
+  // Checks and (unless it is a dry run) evaluates code; resolves to a tool result
+  // (a policy in dry-run mode never evaluates, whatever the call asks for)
+  async evaluate(code, { agent = 'Agent', dryRun = false } = {}) {
+    const verdict = this.check(code);
+    dryRun = this.dryRun || Boolean(dryRun);
+    let result;
+
+    if (verdict.decision === 'deny') {
+      this.log(`🚫 Elisp refused: ${verdict.reason}`);
+      result = { success: false, policy: true, error: `Elisp refused: ${verdict.reason}` };
+    } else if (dryRun) {
+      result = { success: true, dryRun: true, decision: verdict.decision, reason: verdict.reason, calls: verdict.calls };
+    } else if (verdict.decision === 'confirm') {
+      this.log(`❓ Asking in Emacs before evaluating Elisp from ${agent} (${verdict.reason})`);
+      result = await this.emacs.eval(code, {
+        timeoutMs: this.confirmTimeoutMs,
+        confirm: `${agent} wants to evaluate Elisp that ${verdict.reason.replace(/^Uses/, 'uses')}. Evaluate it?`
+      });
+    } else {
+      result = await this.emacs.eval(code);
+    }
+
+    if (verdict.decision !== 'deny') {
+      this.log(`${result.success ? '✅' : '❌'} Elisp from ${agent} ${dryRun ? `checked (${verdict.decision})` : result.success ? 'evaluated' : `failed: ${result.error}`}`);
+    }
+    this.record({ agent, code, ...verdict, dryRun, success: result.success, result: result.result, error: result.error });
+    return result;
+  }
+
+  record(entry) {
+    if (!this.logFile) return;
+    const { result, ...rest } = entry;
+    const line = { at: new Date().toISOString(), ...rest, ...(result !== undefined ? { result: String(result).substring(0, 2000) } : {}) };
+    try {
+      fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+      fs.appendFileSync(this.logFile, `${JSON.stringify(line)}\n`);
+    } catch (error) {
+      this.log(`⚠️ Cannot write the Elisp log ${this.logFile}: ${error.message}`);
+    }
+  }
+}
+
+// AGENT_ELISP_ALLOW=fn,fn restricts execute_emacs to those functions; AGENT_ELISP_DRY_RUN=1 only
+// checks code without evaluating it
+export function elispPolicyConfigFromEnv(env = process.env) {
+  return {
+    ...(env.AGENT_ELISP_ALLOW ? { allow: env.AGENT_ELISP_ALLOW.split(',').map(name => name.trim()).filter(Boolean) } : {}),
+    ...(env.AGENT_ELISP_DRY_RUN ? { dryRun: env.AGENT_ELISP_DRY_RUN === '1' || env.AGENT_ELISP_DRY_RUN === 'true' } : {})
+  };
+}
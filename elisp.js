@@ -0,0 +1,63 @@
+// elisp.js - Elisp literals for values that end up in forms sent to Emacs
+//
+// Text from the model, the user or a file is only ever passed to Emacs as a literal built here,
+// never spliced into code, so it cannot close a string early and add forms of its own:
+//
+//   elisp`(mas-agent-broadcast ${role} ${message})`  ->  (mas-agent-broadcast "coder" "say \"hi\"")
+
+export class ElispEncodingError extends TypeError {
+  constructor(message) {
+    super(message);
+    this.name = 'ElispEncodingError';
+  }
+}
+
+const ESCAPES = { '"': '\\"', '\\': '\\\\', '\n': '\\n', '\t': '\\t', '\r': '\\r' };
+
+// A string literal the Lisp reader turns back into exactly this text. Other control characters
+// become 3-digit octal escapes, which (unlike \x) cannot swallow the digits that follow.
+export function elispString(text) {
+  const body = String(text).replace(/["\\\n\t\r]|[\x00-\x1f\x7f]/g,
+    char => ESCAPES[char] ?? `\\${char.charCodeAt(0).toString(8).padStart(3, '0')}`);
+  return `"${body}"`;
+}
+
+// strings, finite numbers, booleans (t/nil), null/undefined (nil) and arrays (a list)
+export function elispLiteral(value) {
+  if (typeof value === 'string') return elispString(value);
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new ElispEncodingError(`Cannot encode ${value} for Elisp`);
+    return String(value);
+  }
+  if (typeof value === 'boolean') return value ? 't' : 'nil';
+  if (value === null || value === undefined) return 'nil';
+  if (Array.isArray(value)) return value.length === 0 ? 'nil' : `(list ${value.map(elispLiteral).join(' ')})`;
+  throw new ElispEncodingError(`Cannot encode a ${typeof value} for Elisp`);
+}
+
+// Template tag: every interpolated value becomes a literal, the template itself is the code
+export function elisp(strings, ...values) {
+  return strings.reduce((code, part, index) => code + elispLiteral(values[index - 1]) + part);
+}
+
+// Reads a string as Emacs prints it (emacsclient --eval output, prin1-to-string).
+// Throws when the text is not a single string literal.
+export function readElispString(printed) {
+  const match = String(printed).trim().match(/^"((?:[^"\\]|\\[\s\S])*)"$/);
+  if (!match) throw new ElispEncodingError(`Not an Elisp string: ${String(printed).substring(0, 100)}`);
+
+  const named = { n: '\n', t: '\t', r: '\r', e: '\x1b', a: '\x07', f: '\f', b: '\b', v: '\v', d: '\x7f', s: ' ' };
+  return match[1].replace(/\\(?:([0-7]{1,3})|x([0-9a-fA-F]+)(?:\\ )?|N\{U\+([0-9a-fA-F]+)\}|u([0-9a-fA-F]{4})|U([0-9a-fA-F]{8})|([ \n])|([\s\S]))/g,
+    (_, octal, hex, named16, u4, u8, ignored, char) => {
+      if (octal) return String.fromCharCode(parseInt(octal, 8));
+      const code = hex || named16 || u4 || u8;
+      if (code) return String.fromCodePoint(parseInt(code, 16));
+      if (ignored) return '';
+      return named[char] ?? char;
+    });
+}
+
+// The value of Elisp that ends in (json-encode ...): Emacs prints the JSON as a string literal
+export function readElispJson(printed) {
+  return JSON.parse(readElispString(printed));
+}
@@ -0,0 +1,275 @@
+// emacs-bridge.js - One long-lived connection to Emacs instead of an emacsclient process per call
+//
+// emacs/mas-bridge.el serves newline-delimited JSON on a local socket. Requests carry an id and
+// get a reply with the same id; notifications (log lines, streamed tokens) carry none and get no
+// reply. Everything is queued and written in batches over the one socket, so Emacs evaluates
+// messages in the order they were sent. The first connection loads the Emacs side through a
+// single emacsclient call. While Emacs is unreachable, requests fail at once, notifications are
+// dropped, and reconnecting is retried every retryMs.
+
+import net from 'net';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { elisp, readElispString } from './elisp.js';
+
+export const BRIDGE_PACKAGE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'emacs', 'mas-bridge.el');
+
+// One emacsclient --eval; used to start the bridge, and by hosts without one
+export function emacsclientEval(elisp, { timeoutMs = 10000 } = {}) {
+  return new Promise((resolve) => {
+    const process = spawn('emacsclient', ['--eval', elisp], { stdio: 'pipe' });
+    let output = '';
+    let errors = '';
+
+    process.stdout.on('data', (data) => output += data.toString());
+    process.stderr.on('data', (data) => errors += data.toString());
+    const timeout = setTimeout(() => {
+      process.kill();
+      resolve({ success: false, error: 'timeout' });
+    }, timeoutMs);
+
+    process.on('error', (err) => {
+      clearTimeout(timeout);
+      resolve({ success: false, error: err.message });
+    });
+    process.on('close', (code) => {
+      clearTimeout(timeout);
+      resolve(code === 0
+        ? { success: true, result: output.trim() }
+        : { success: false, result: output.trim(), error: errors.trim() || `emacsclient exited with code ${code}` });
+    });
+  });
+}
+
+export class EmacsBridge {
+  constructor({
+    socket = process.env.AGENT_EMACS_SOCKET || null,
+    requestTimeoutMs = 10000,
+    flushMs = 10,
+    retryMs = 30000,
+    maxQueue = 1000,
+    bootstrap = emacsclientEval,
+    log = () => {}
+  } = {}) {
+    this.socketPath = socket;
+    this.requestTimeoutMs = requestTimeoutMs;
+    this.flushMs = flushMs;
+    this.retryMs = retryMs;
+    this.maxQueue = maxQueue;
+    this.bootstrap = bootstrap;
+    this.log = log;
+
+    // idle (not tried yet, or the connection closed) | connecting | open | offline
+    this.state = 'idle';
+    this.socket = null;
+    this.connecting = null;
+    this.retryAt = 0;
+    this.offlineReason = null;
+    this.queue = [];
+    this.flushTimer = null;
+    this.pending = new Map();
+    this.nextId = 1;
+    this.buffer = '';
+    this.dropped = 0;
+    this.closed = false;
+  }
+
+  get connected() {
+    return this.state === 'open';
+  }
+
+  // Resolves to true once the socket is open; false while Emacs is unreachable
+  async connect() {
+    if (this.closed) return false;
+    if (this.state === 'open') return true;
+    if (this.connecting) return this.connecting;
+    if (this.state === 'offline' && Date.now() < this.retryAt) return false;
+
+    this.state = 'connecting';
+    this.connecting = (async () => {
+      try {
+        // A known socket (configured, or from an earlier start) is tried before asking Emacs
+        const reused = this.socketPath && await this.open(this.socketPath).then(() => true, () => false);
+        if (!reused) {
+          await this.open(await this.start());
+        }
+        if (this.closed) {
+          this.socket.destroy();
+          return false;
+        }
+        this.state = 'open';
+        this.offlineReason = null;
+        this.log(`🔗 Connected to Emacs at ${this.socketPath}${this.dropped ? ` (${this.dropped} message(s) dropped while offline)` : ''}`);
+        this.dropped = 0;
+        this.flush();
+        return true;
+      } catch (error) {
+        const wasOffline = this.offlineReason !== null;
+        this.state = 'offline';
+        this.retryAt = Date.now() + this.retryMs;
+        this.offlineReason = `Emacs is not reachable: ${error.message}`;
+        // Requests queued while connecting cannot be sent; notifications are dropped
+        this.dropQueue(this.offlineReason);
+        if (!wasOffline) this.log(`⚠️ ${this.offlineReason} (retrying every ${Math.round(this.retryMs / 1000)}s)`);
+        return false;
+      } finally {
+        this.connecting = null;
+      }
+    })();
+    return this.connecting;
+  }
+
+  // Loads mas-bridge.el into the running Emacs (unless already loaded) and returns its socket path
+  async start() {
+    const { success, result, error } = await this.bootstrap(
+      elisp`(progn (unless (fboundp 'mas-bridge-start) (load ${BRIDGE_PACKAGE} nil t)) (mas-bridge-start))`);
+    if (!success) throw new Error(error || 'emacsclient failed');
+    try {
+      this.socketPath = readElispString(result);
+    } catch {
+      throw new Error(`unexpected reply from mas-bridge-start: ${result}`);
+    }
+    return this.socketPath;
+  }
+
+  open(socketPath) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(socketPath);
+      socket.setEncoding('utf8');
+      socket.once('error', reject);
+      socket.once('connect', () => {
+        socket.off('error', reject);
+        socket.on('error', error => this.disconnected(socket, error));
+        socket.on('close', () => this.disconnected(socket));
+        socket.on('data', chunk => this.receive(chunk));
+        this.socket = socket;
+        this.buffer = '';
+        resolve(socket);
+      });
+    });
+  }
+
+  // Evaluates elisp and resolves to { success, result } (result printed as by emacsclient),
+  // or { success: false, error }. With confirm (a question), Emacs shows the code and evaluates it
+  // only if the user says yes before timeoutMs runs out.
+  async eval(elisp, { timeoutMs = this.requestTimeoutMs, confirm = null } = {}) {
+    if (!(await this.connect())) {
+      return { success: false, error: this.offlineReason || 'Emacs bridge is closed' };
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        resolve({ success: false, error: `timeout after ${timeoutMs}ms` });
+      }, timeoutMs);
+      this.pending.set(id, { resolve, timer });
+      this.enqueue(confirm ? { id, eval: elisp, confirm, expires: (Date.now() + timeoutMs) / 1000 } : { id, eval: elisp });
+    });
+  }
+
+  // Evaluates elisp without waiting for (or getting) a result
+  notify(elisp) {
+    if (this.closed) return;
+    if (this.state === 'offline' && Date.now() < this.retryAt) {
+      this.dropped++;
+      return;
+    }
+    this.enqueue({ eval: elisp });
+    if (this.state !== 'open') this.connect();
+  }
+
+  enqueue(message) {
+    // Under backpressure the oldest notifications go first; requests are always kept
+    if (this.queue.length >= this.maxQueue) {
+      const index = this.queue.findIndex(entry => entry.id === undefined);
+      if (index !== -1) {
+        this.queue.splice(index, 1);
+        this.dropped++;
+      }
+    }
+    this.queue.push(message);
+    if (this.state === 'open') {
+      this.flushTimer ??= setTimeout(() => this.flush(), this.flushMs);
+    }
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.state !== 'open' || this.queue.length === 0) return;
+
+    const batch = this.queue.map(message => `${JSON.stringify(message)}\n`).join('');
+    this.queue = [];
+    this.socket.write(batch);
+  }
+
+  receive(chunk) {
+    const lines = (this.buffer + chunk).split('\n');
+    this.buffer = lines.pop();
+
+    for (const line of lines) {
+      let reply;
+      try {
+        reply = JSON.parse(line);
+      } catch {
+        this.log(`⚠️ Unreadable reply from Emacs: ${line.substring(0, 100)}`);
+        continue;
+      }
+      const request = this.pending.get(reply.id);
+      if (!request) continue;
+      this.pending.delete(reply.id);
+      clearTimeout(request.timer);
+      request.resolve(reply.ok ? { success: true, result: reply.result } : { success: false, error: reply.error });
+    }
+  }
+
+  dropQueue(reason) {
+    for (const message of this.queue) {
+      if (message.id === undefined) {
+        this.dropped++;
+        continue;
+      }
+      const request = this.pending.get(message.id);
+      this.pending.delete(message.id);
+      clearTimeout(request?.timer);
+      request?.resolve({ success: false, error: reason });
+    }
+    this.queue = [];
+  }
+
+  // The socket closed (Emacs exited, or mas-bridge-stop): answer what is in flight and reconnect
+  // on the next message
+  disconnected(socket, error = null) {
+    if (socket !== this.socket) return;
+    this.socket = null;
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.state === 'open' && !this.closed) {
+      this.log(`🔌 Emacs bridge disconnected${error ? `: ${error.message}` : ''}`);
+    }
+    this.state = 'idle';
+
+    const reason = `Emacs bridge disconnected${error ? `: ${error.message}` : ''}`;
+    for (const [id, request] of this.pending) {
+      clearTimeout(request.timer);
+      request.resolve({ success: false, error: reason });
+      this.pending.delete(id);
+    }
+  }
+
+  // Sends what is queued, then closes the connection
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.flush();
+    const socket = this.socket;
+    if (socket) {
+      await new Promise(resolve => socket.end(resolve));
+      socket.destroy();
+    }
+    this.dropQueue('Emacs bridge is closed');
+    this.disconnected(socket);
+  }
+}
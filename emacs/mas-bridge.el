@@ -0,0 +1,153 @@
+;;; mas-bridge.el --- Socket bridge between Emacs and the agents  -*- lexical-binding: t -*-
+
+;;; Commentary:
+
+;; The agents keep one connection to this server instead of starting an emacsclient process for
+;; every call.  The protocol is one JSON object per line:
+;;
+;;   {"id": 7, "eval": "(+ 1 2)"}   evaluated, answered with {"id": 7, "ok": true, "result": "3"}
+;;   {"eval": "(message \"hi\")"}   evaluated, no answer (notifications such as log lines)
+;;   {"id": 8, "eval": "...", "confirm": "Evaluate it?", "expires": 1700000000.5}
+;;       shows the code and evaluates it only if the user says yes before EXPIRES
+;;
+;; A message may hold several forms; the value of the last one is the result.  Results are printed
+;; with `prin1', as emacsclient --eval would print them.  Messages are evaluated in the order they
+;; arrive, so a batch of notifications and requests keeps its order (confirmations wait for the
+;; user, one at a time).
+;;
+;; emacs-bridge.js loads this file through emacsclient the first time it connects.  To start the
+;; bridge yourself, add this directory to `load-path' and put in your init file:
+;;
+;;   (require 'mas-bridge)
+;;   (mas-bridge-start)
+;;
+;; The socket lives in `server-socket-dir', which only your user can open: anything that can
+;; connect to it can evaluate Lisp in this Emacs.
+
+;;; Code:
+
+(require 'json)
+(require 'server)
+
+(defvar mas-bridge-process nil
+  "The listening bridge process, or nil when the bridge is stopped.")
+
+(defun mas-bridge-socket-file ()
+  "Path of the bridge socket, next to the Emacs server socket."
+  (server-ensure-safe-dir server-socket-dir)
+  (expand-file-name "mas-bridge" server-socket-dir))
+
+(defun mas-bridge-start ()
+  "Start listening for agent connections; return the socket path."
+  (interactive)
+  (let ((socket (mas-bridge-socket-file)))
+    (unless (process-live-p mas-bridge-process)
+      (when (file-exists-p socket)
+        (delete-file socket))
+      (setq mas-bridge-process
+            (make-network-process :name "mas-bridge"
+                                  :family 'local
+                                  :service socket
+                                  :server t
+                                  :noquery t
+                                  :coding 'utf-8
+                                  :filter #'mas-bridge--filter
+                                  :sentinel #'ignore)))
+    (when (called-interactively-p 'interactive)
+      (message "Agent bridge listening on %s" socket))
+    socket))
+
+(defun mas-bridge-stop ()
+  "Stop the bridge and disconnect every agent."
+  (interactive)
+  (dolist (process (process-list))
+    (when (eq (process-get process 'mas-bridge-client) t)
+      (delete-process process)))
+  (when (process-live-p mas-bridge-process)
+    (delete-process mas-bridge-process))
+  (setq mas-bridge-process nil))
+
+(defun mas-bridge--filter (process chunk)
+  "Evaluate each complete line that PROCESS has sent, buffering CHUNK's remainder."
+  (process-put process 'mas-bridge-client t)
+  (let ((pending (concat (or (process-get process 'mas-bridge-pending) "") chunk)))
+    (process-put process 'mas-bridge-pending "")
+    (while (string-match "\n" pending)
+      (let ((line (substring pending 0 (match-beginning 0))))
+        (setq pending (substring pending (match-end 0)))
+        (unless (string-empty-p line)
+          (mas-bridge--handle process line))))
+    (process-put process 'mas-bridge-pending pending)))
+
+(defvar mas-bridge--confirmations '()
+  "Confirmations waiting to be asked, oldest first: (PROCESS ID MESSAGE).")
+
+(defun mas-bridge--handle (process line)
+  "Evaluate the message in LINE and answer PROCESS when it has an id."
+  (let* ((message (condition-case nil
+                      (let ((json-object-type 'alist)
+                            (json-key-type 'symbol))
+                        (json-read-from-string line))
+                    (error nil)))
+         (id (alist-get 'id message)))
+    (if (and id (stringp (alist-get 'confirm message)))
+        ;; Asked from a timer: prompting inside the filter would hold up every other message
+        (progn
+          (setq mas-bridge--confirmations
+                (append mas-bridge--confirmations (list (list process id message))))
+          (when (= (length mas-bridge--confirmations) 1)
+            (run-at-time 0 nil #'mas-bridge--confirm-next)))
+      (mas-bridge--reply process id (mas-bridge--evaluate message line)))))
+
+(defun mas-bridge--evaluate (message &optional line)
+  "Evaluate the code in MESSAGE; return the reply without its id."
+  (condition-case err
+      (let ((form (alist-get 'eval message)))
+        (unless (stringp form)
+          (error "Malformed bridge message: %s" line))
+        `((ok . t)
+          (result . ,(prin1-to-string (eval (car (read-from-string (concat "(progn " form "\n)"))) t)))))
+    (error `((ok . :json-false)
+             (error . ,(error-message-string err))))))
+
+(defun mas-bridge--reply (process id reply)
+  "Send REPLY to PROCESS as the answer to request ID, or log a failed notification."
+  (cond
+   (id (when (process-live-p process)
+         (process-send-string process (concat (json-encode (cons (cons 'id id) reply)) "\n"))))
+   ;; Failed notifications go to *Messages* without interrupting the echo area
+   ((eq (alist-get 'ok reply) :json-false)
+    (let ((inhibit-message t))
+      (message "mas-bridge: %s" (alist-get 'error reply))))))
+
+(defun mas-bridge--confirm-next ()
+  "Show the oldest code waiting for confirmation and ask about it."
+  (pcase-let ((`(,process ,id ,message) (car mas-bridge--confirmations)))
+    (unwind-protect
+        (let ((expires (alist-get 'expires message))
+              approved)
+          (with-current-buffer (get-buffer-create "*Agent-Elisp*")
+            (let ((inhibit-read-only t))
+              (erase-buffer)
+              (insert (alist-get 'eval message))
+              (emacs-lisp-mode)
+              (setq buffer-read-only t)))
+          (display-buffer "*Agent-Elisp*")
+          ;; C-g, or a minibuffer that is already in use, counts as no
+          (setq approved (condition-case nil
+                             (yes-or-no-p (concat (alist-get 'confirm message) " "))
+                           ((quit error) nil)))
+          (mas-bridge--reply process id
+                             (cond
+                              ((not approved)
+                               '((ok . :json-false) (error . "Rejected in Emacs")))
+                              ((and (numberp expires) (> (float-time) expires))
+                               '((ok . :json-false) (error . "Approved after the agent stopped waiting; not evaluated")))
+                              (t (mas-bridge--evaluate message)))))
+      (setq mas-bridge--confirmations (cdr mas-bridge--confirmations))
+      (when mas-bridge--confirmations
+        (run-at-time 0 nil #'mas-bridge--confirm-next)))))
+
+(provide 'mas-bridge)
+
+;;; mas-bridge.el ends here
@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+// generated-tools.js - Tools the model writes on demand, tested in a sandbox and kept in a library
+//
+// When an agent calls a tool nobody has implemented, ToolGenerator asks the model for a JavaScript
+// implementation, a JSON Schema and self-tests. The code runs in a worker thread inside an empty
+// vm context: no require, process, filesystem or network unless a capability grants it. Only
+// tools whose self-tests pass are saved to the library, as <dir>/<name>/v<N>.json, where every
+// agent (and every later session) can use them.
+
+import { Worker } from 'worker_threads';
+import fs from 'fs';
+import path from 'path';
+import { TOOL_NAME_PATTERN, validateSchema } from './tool-registry.js';
+
+export const DEFAULT_TOOL_LIBRARY_DIR = '.agent-tools';
+export const SANDBOX_CAPABILITIES = ['network'];
+
+export class ToolGenerationError extends Error {
+  constructor(message, { tool = null, failures = [] } = {}) {
+    super(message);
+    this.name = 'ToolGenerationError';
+    this.tool = tool;
+    this.failures = failures;
+  }
+}
+
+// Runs inside the worker. Generated code only ever sees objects from its own context (arguments
+// and results cross as JSON strings), so it cannot reach the worker's process through a host
+// object's constructor. Capabilities must keep to that too, errors included: the host side of
+// fetch never throws, it returns { error } as JSON, and the context throws its own Error from it.
+const WORKER_SOURCE = `
+const { parentPort, workerData } = require('worker_threads');
+const vm = require('vm');
+const { source, calls, timeoutMs, capabilities } = workerData;
+
+const context = vm.createContext(Object.create(null), { codeGeneration: { strings: false, wasm: false } });
+vm.runInContext(\`
+  globalThis.__logs = [];
+  const write = (...parts) => { if (__logs.length < 100) __logs.push(parts.map(String).join(' ').slice(0, 500)); };
+  globalThis.console = { log: write, info: write, warn: write, error: write };
+\`, context);
+
+if (capabilities.includes('network')) {
+  const bridge = vm.runInContext(\`(request) => async (url, options) => {
+    const reply = JSON.parse(await request(String(url), JSON.stringify(options || {})));
+    if (reply.error !== undefined) throw new Error(reply.error);
+    return reply.response;
+  }\`, context);
+  context.fetch = bridge(async (url, options) => {
+    try {
+      const response = await fetch(url, JSON.parse(options));
+      return JSON.stringify({ response: { ok: response.ok, status: response.status, headers: Object.fromEntries(response.headers), body: await response.text() } });
+    } catch (error) {
+      return JSON.stringify({ error: String(error && error.message || error) });
+    }
+  });
+}
+
+(async () => {
+  const results = [];
+  try {
+    vm.runInContext(source, context, { timeout: timeoutMs, filename: 'generated-tool.js' });
+    vm.runInContext(\`
+      if (typeof run !== 'function') throw new Error('The tool must define a function run(args)');
+      globalThis.__invoke = async (argsJson) => {
+        const result = await run(JSON.parse(argsJson));
+        return JSON.stringify(result === undefined ? null : result);
+      };
+    \`, context, { timeout: timeoutMs });
+
+    for (const args of calls) {
+      context.__args = JSON.stringify(args);
+      try {
+        const output = await vm.runInContext('__invoke(__args)', context, { timeout: timeoutMs });
+        results.push({ ok: true, value: JSON.parse(output) });
+      } catch (error) {
+        results.push({ ok: false, error: String(error && error.message || error) });
+      }
+    }
+  } catch (error) {
+    const message = String(error && error.message || error);
+    while (results.length < calls.length) results.push({ ok: false, error: message });
+  }
+  parentPort.postMessage({ results, logs: JSON.parse(vm.runInContext('JSON.stringify(__logs)', context)) });
+})();
+`;
+
+// Calls run(args) once per entry in calls; resolves to { results: [{ ok, value | error }], logs }.
+// A call that runs past timeoutMs or over memoryMb takes the whole worker down with it.
+export function runInSandbox(source, calls, { timeoutMs = 5000, memoryMb = 64, capabilities = [] } = {}) {
+  const unknown = capabilities.filter(capability => !SANDBOX_CAPABILITIES.includes(capability));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown sandbox capability: ${unknown.join(', ')}. Available: ${SANDBOX_CAPABILITIES.join(', ')}`);
+  }
+
+  return new Promise((resolve) => {
+    const worker = new Worker(WORKER_SOURCE, {
+      eval: true,
+      workerData: { source, calls, timeoutMs, capabilities },
+      env: {},
+      execArgv: [],
+      stdout: true,
+      stderr: true,
+      resourceLimits: { maxOldGenerationSizeMb: memoryMb, maxYoungGenerationSizeMb: Math.min(16, memoryMb) }
+    });
+
+    let settled = false;
+    const finish = (outcome) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate().catch(() => {});
+      resolve(outcome);
+    };
+    const failAll = (error) => finish({ results: calls.map(() => ({ ok: false, error })), logs: [] });
+
+    // Covers async work the per-call vm timeout cannot interrupt
+    const timer = setTimeout(() => failAll(`Timed out after ${timeoutMs}ms`), timeoutMs * (calls.length + 1) + 1000);
+
+    worker.on('message', finish);
+    worker.on('error', error => failAll(error.code === 'ERR_WORKER_OUT_OF_MEMORY' ? `Exceeded the ${memoryMb} MB memory limit` : error.message));
+    worker.on('exit', () => failAll('The tool never produced a result (a promise that never settles?)'));
+  });
+}
+
+// JSON with sorted keys, so results compare by value
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Runs a tool's self-tests; resolves to the list of failures (empty when all pass)
+export async function checkTool(tool, sandboxOptions = {}) {
+  const tests = tool.tests || [];
+  const failures = [];
+  tests.forEach((test, index) => {
+    const problems = validateSchema(tool.parameters, test.args ?? {});
+    if (problems.length > 0) failures.push(`test ${index + 1}: its args do not match the schema (${problems.join('; ')})`);
+  });
+  if (failures.length > 0) return failures;
+
+  const { results } = await runInSandbox(tool.source, tests.map(test => test.args ?? {}), sandboxOptions);
+  results.forEach((result, index) => {
+    const expected = canonical(tests[index].expect);
+    if (!result.ok) {
+      failures.push(`test ${index + 1} ${JSON.stringify(tests[index].args)}: threw ${result.error}`);
+    } else if (canonical(result.value) !== expected) {
+      failures.push(`test ${index + 1} ${JSON.stringify(tests[index].args)}: expected ${expected}, got ${canonical(result.value)}`);
+    }
+  });
+  return failures;
+}
+
+export class ToolLibrary {
+  constructor({ dir = process.env.AGENT_TOOL_LIBRARY || DEFAULT_TOOL_LIBRARY_DIR, log = () => {} } = {}) {
+    this.dir = dir;
+    this.log = log;
+  }
+
+  versions(name) {
+    try {
+      return fs.readdirSync(path.join(this.dir, name))
+        .map(file => file.match(/^v(\d+)\.json$/)?.[1])
+        .filter(Boolean)
+        .map(Number)
+        .sort((a, b) => a - b);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // The latest version by default
+  load(name, version = null) {
+    const chosen = version ?? this.versions(name).at(-1);
+    if (!chosen) return null;
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.dir, name, `v${chosen}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Latest version of every tool
+  list() {
+    let names;
+    try {
+      names = fs.readdirSync(this.dir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return names.map(name => this.load(name)).filter(Boolean);
+  }
+
+  // Stores the tool as the next version of its name and returns the stored record
+  save(tool) {
+    if (!TOOL_NAME_PATTERN.test(tool.name)) {
+      throw new ToolGenerationError(`Invalid tool name: ${tool.name}`, { tool: tool.name });
+    }
+    const version = (this.versions(tool.name).at(-1) || 0) + 1;
+    const record = { ...tool, version, savedAt: new Date().toISOString() };
+    const dir = path.join(this.dir, tool.name);
+    const file = path.join(dir, `v${version}.json`);
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(record, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+    this.log(`📚 Saved tool ${tool.name} v${version} to ${file}`);
+    return record;
+  }
+}
+
+// The first JSON object in a model reply, with or without a ```json fence
+function parseReply(text) {
+  const fenced = text.match(/```(?:json)?\s*\n([\s\S]*?)\n```/);
+  const body = fenced ? fenced[1] : text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+  return JSON.parse(body);
+}
+
+export class ToolGenerator {
+  constructor({
+    client,
+    runs,
+    library,
+    assistantId = null,
+    capabilities = (process.env.AGENT_TOOL_CAPABILITIES || '').split(',').map(name => name.trim()).filter(Boolean),
+    sandbox = {},
+    minTests = 2,
+    attempts = 2,
+    log = () => {}
+  }) {
+    this.client = client;
+    this.runs = runs;
+    this.library = library;
+    this.assistantId = assistantId;
+    this.capabilities = capabilities;
+    this.sandbox = sandbox;
+    this.minTests = minTests;
+    this.attempts = attempts;
+    this.log = log;
+    this.pending = new Map();
+  }
+
+  prompt({ name, description, parameters, args, role }) {
+    const network = this.capabilities.includes('network');
+    return [
+      `Write a JavaScript tool named "${name}" for the ${role || 'autonomous'} agent.`,
+      description ? `What it should do: ${description}` : `Work out what it should do from its name.`,
+      args ? `The agent is calling it with these arguments: ${JSON.stringify(args)}` : '',
+      parameters
+        ? `Its arguments follow this JSON Schema, which must stay as it is: ${JSON.stringify(parameters)}`
+        : 'Design a JSON Schema for its arguments: { "type": "object", "properties": {...}, "required": [...] }.',
+      '',
+      'The code runs in a bare JavaScript sandbox: there is no require or import, no process, no filesystem' +
+        (network ? '. fetch(url, options) is available and resolves to { ok, status, headers, body }.' : ' and no network.'),
+      'Define `async function run(args)` returning a JSON-serializable result. console.log output is captured.',
+      `Include at least ${this.minTests} self-tests with exact expected results; they must be deterministic.`,
+      '',
+      'Reply with only a JSON object:',
+      '{ "description": "...", "parameters": {...}, "source": "async function run(args) { ... }", "tests": [{ "args": {...}, "expect": ... }] }'
+    ].filter(line => line !== '').join('\n');
+  }
+
+  // Generates, tests and saves a tool; concurrent requests for the same name share one attempt
+  create(spec) {
+    if (!this.pending.has(spec.name)) {
+      this.pending.set(spec.name, this.generate(spec).finally(() => this.pending.delete(spec.name)));
+    }
+    return this.pending.get(spec.name);
+  }
+
+  async generate({ name, description = null, parameters = null, args = null, role = null, assistantId = this.assistantId }) {
+    this.log(`🛠️ Generating tool ${name}${role ? ` for ${role}` : ''}...`);
+    const thread = await this.client.createThread({ metadata: { purpose: 'tool-generation', tool: name } });
+    let message = this.prompt({ name, description, parameters, args, role });
+    let failures = [];
+
+    try {
+      for (let attempt = 1; attempt <= this.attempts; attempt++) {
+        await this.client.createMessage(thread.id, { role: 'user', content: message });
+        const outcome = await this.runs.execute(thread.id, { assistant_id: assistantId, tools: [] }, {
+          onToolCalls: toolCalls => toolCalls.map(toolCall => ({
+            tool_call_id: toolCall.id,
+            output: JSON.stringify({ success: false, error: 'Tools are unavailable while writing a tool' })
+          }))
+        });
+        if (!outcome.ok) {
+          throw new ToolGenerationError(`Generating ${name} failed: run ${outcome.status}`, { tool: name });
+        }
+
+        let tool;
+        try {
+          const reply = parseReply(outcome.text);
+          tool = {
+            name,
+            description: description || reply.description || name,
+            parameters: parameters || reply.parameters,
+            source: reply.source,
+            tests: reply.tests
+          };
+          failures = this.problems(tool);
+          if (failures.length === 0) failures = await checkTool(tool, { ...this.sandbox, capabilities: this.capabilities });
+        } catch (error) {
+          failures = [`the reply is not the requested JSON object (${error.message})`];
+        }
+
+        if (failures.length === 0) {
+          return this.library.save({ ...tool, capabilities: this.capabilities, createdBy: role, createdAt: new Date().toISOString() });
+        }
+
+        this.log(`⚠️ Tool ${name} attempt ${attempt} failed: ${failures.join('; ')}`);
+        message = `That did not work:\n- ${failures.join('\n- ')}\nFix it and reply with the complete JSON object again.`;
+      }
+    } finally {
+      await this.client.deleteThread(thread.id).catch(() => {});
+    }
+
+    throw new ToolGenerationError(`Could not generate a working ${name}: ${failures.join('; ')}`, { tool: name, failures });
+  }
+
+  problems(tool) {
+    const problems = [];
+    if (typeof tool.source !== 'string' || !/\bfunction\s+run\b|\brun\s*=/.test(tool.source)) problems.push('source must define run(args)');
+    if (tool.parameters?.type !== 'object') problems.push('parameters must be a JSON Schema with type "object"');
+    if (!Array.isArray(tool.tests) || tool.tests.length < this.minTests) problems.push(`at least ${this.minTests} tests are required`);
+    return problems;
+  }
+
+  // Runs a saved tool once; resolves to a tool result
+  async execute(tool, args) {
+    const { results: [result], logs } = await runInSandbox(tool.source, [args], { ...this.sandbox, capabilities: tool.capabilities || [] });
+    return result.ok
+      ? { success: true, result: result.value, tool: `${tool.name} v${tool.version}`, ...(logs.length ? { logs } : {}) }
+      : { success: false, error: result.error, tool: `${tool.name} v${tool.version}` };
+  }
+}
+
+// node generated-tools.js [--dir .agent-tools] list | show <name> [version] | test <name> [version]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const index = args.indexOf('--dir');
+  const library = new ToolLibrary({ ...(index === -1 ? {} : { dir: args.splice(index, 2)[1] }), log: console.log });
+  const [command = 'list', name, version] = args;
+
+  const tool = () => {
+    const found = name && library.load(name, version ? Number(version) : null);
+    if (!found) throw new Error(name ? `No tool ${name}${version ? ` v${version}` : ''} in ${library.dir}` : 'A tool name is required');
+    return found;
+  };
+
+  try {
+    switch (command) {
+      case 'list': {
+        const tools = library.list();
+        if (tools.length === 0) console.log(`📭 No generated tools in ${library.dir}`);
+        for (const entry of tools) {
+          console.log(`${entry.name.padEnd(28)} v${String(entry.version).padEnd(4)} ${entry.createdBy ? `by ${entry.createdBy}  ` : ''}${entry.description}`);
+        }
+        break;
+      }
+      case 'show': {
+        const { source, ...rest } = tool();
+        console.log(JSON.stringify(rest, null, 2));
+        console.log(`\n${source}`);
+        break;
+      }
+      case 'test': {
+        const entry = tool();
+        const failures = await checkTool(entry, { capabilities: entry.capabilities || [] });
+        console.log(failures.length === 0 ? `✅ ${entry.name} v${entry.version}: ${entry.tests.length} test(s) passed` : `❌ ${failures.join('\n❌ ')}`);
+        process.exitCode = failures.length === 0 ? 0 : 1;
+        break;
+      }
+      default:
+        throw new Error(`Unknown command: ${command}. Available: list, show, test`);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -2,25 +2,66 @@
 import { spawn } from 'child_process';
 import { promisify } from 'util';
 import { v4 as uuidv4 } from 'uuid';
+import { AssistantsClient, NotFoundError } from './assistants-client.js';
+import { createCredentialProvider } from './credentials.js';
+import { AgentDefinitions } from './agent-definitions.js';
+import {
+  AgentRegistry, FACTORY_TAG, TAG_PATTERN, assistantMetadata, recordFromAssistant, instructionsDigest, normalizeEndpoint
+} from './agent-registry.js';
 
 const sleep = promisify(setTimeout);
 
+export { FACTORY_TAG };
+
 export class JITAgentFactory {
-  constructor(logFunction = console.log) {
+  // options.endpoint skips Azure discovery and talks to that Assistants endpoint directly
+  // (e.g. mock-assistants-server.js); options.apiKey authenticates it, else the az CLI token is used.
+  // options.definitions shares an AgentDefinitions (see agent-definitions.js) with the host, and
+  // options.azure ({ subscription, resourceName, resourceGroup }) narrows discovery to one resource.
+  // Created agents are recorded in options.registry, or an AgentRegistry on options.registryFile.
+  constructor(logFunction = console.log, options = {}) {
+    this.options = options;
     this.activeAgents = new Map();
-    this.agentTemplates = new Map();
     this.azureResources = null;
+    this.client = null;
+    this.credentials = null;
     this.log = logFunction; // Use the provided log function
+    this.registry = options.registry || new AgentRegistry({ file: options.registryFile, log: this.log });
+    this.lastReconcile = null;
     
     this.setupAgentTemplates();
   }
 
   // Initialize factory with Azure resources
   async initialize() {
+    if (this.options.endpoint) {
+      this.azureResources = { name: 'configured', resourceGroup: null, endpoint: this.options.endpoint, location: null };
+      this.credentials = createCredentialProvider({ apiKey: this.options.apiKey, log: this.log });
+      this.client = new AssistantsClient({
+        endpoint: this.options.endpoint,
+        auth: () => this.credentials.getAuthHeaders(),
+        onUnauthorized: () => this.credentials.invalidate()
+      });
+      this.log(`✅ Using configured Assistants endpoint: ${this.options.endpoint}`);
+      return true;
+    }
+
     this.log('🔍 Discovering Azure AI resources...');
     
     try {
       this.azureResources = await this.discoverAzureResources();
+      this.credentials = createCredentialProvider({
+        sources: ['az-cli-key'],
+        resourceName: this.azureResources.name,
+        resourceGroup: this.azureResources.resourceGroup,
+        subscription: this.options.azure?.subscription,
+        log: this.log
+      });
+      this.client = new AssistantsClient({
+        endpoint: this.azureResources.endpoint,
+        auth: () => this.credentials.getAuthHeaders(),
+        onUnauthorized: () => this.credentials.invalidate()
+      });
       this.log('✅ Azure AI resources discovered');
       return true;
     } catch (error) {
@@ -30,9 +71,12 @@ export class JITAgentFactory {
   }
 
   async discoverAzureResources() {
+    const { subscription, resourceName, resourceGroup } = this.options.azure || {};
     return new Promise((resolve, reject) => {
       const azProcess = spawn('az', [
         'cognitiveservices', 'account', 'list',
+        ...(subscription ? ['--subscription', subscription] : []),
+        ...(resourceGroup ? ['--resource-group', resourceGroup] : []),
         '--query', '[?kind==`OpenAI`]',
         '--output', 'json'
       ]);
@@ -51,13 +95,14 @@ export class JITAgentFactory {
       azProcess.on('close', (code) => {
         if (code === 0) {
           try {
-            const resources = JSON.parse(output);
+            const resources = JSON.parse(output)
+              .filter(resource => !resourceName || resource.name.toLowerCase() === resourceName.toLowerCase());
             if (resources.length === 0) {
-              reject(new Error('No Azure OpenAI resources found'));
+              reject(new Error(resourceName ? `Azure OpenAI resource ${resourceName} not found` : 'No Azure OpenAI resources found'));
               return;
             }
 
-            const resource = resources[0]; // Use first available
+            const resource = resources[0]; // The configured one, else the first available
             resolve({
               name: resource.name,
               resourceGroup: resource.resourceGroup,
@@ -74,84 +119,21 @@ export class JITAgentFactory {
     });
   }
 
+  // Resource key, fetched once through the az CLI and cached
   async getApiKey() {
-    if (!this.azureResources) {
+    if (!this.credentials) {
       throw new Error('Azure resources not initialized');
     }
 
-    return new Promise((resolve, reject) => {
-      const azProcess = spawn('az', [
-        'cognitiveservices', 'account', 'keys', 'list',
-        '--name', this.azureResources.name,
-        '--resource-group', this.azureResources.resourceGroup,
-        '--query', 'key1',
-        '--output', 'tsv'
-      ]);
-
-      let output = '';
-      let error = '';
-
-      azProcess.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-
-      azProcess.stderr.on('data', (data) => {
-        error += data.toString();
-      });
-
-      azProcess.on('close', (code) => {
-        if (code === 0) {
-          resolve(output.trim());
-        } else {
-          reject(new Error(`Failed to get API key: ${error}`));
-        }
-      });
-    });
+    return (await this.credentials.getToken()).value;
   }
 
+  // Agent types come from agents/templates and teams from agents/teams; edits apply to the
+  // next agent created
   setupAgentTemplates() {
-    // Define different agent types that can be created on-demand
-    this.agentTemplates.set('coder', {
-      name: 'Coding Agent',
-      instructions: 'You are an expert programmer. Write clean, efficient code with proper error handling. Use code_interpreter to run and test code, and file_search to examine existing code.',
-      tools: [{ type: 'code_interpreter' }, { type: 'file_search' }],
-      specialization: 'programming'
-    });
-
-    this.agentTemplates.set('analyst', {
-      name: 'Data Analyst Agent',
-      instructions: 'You are a data analyst. Analyze data patterns and provide insights. Use code_interpreter for data analysis and file_search to examine files.',
-      tools: [{ type: 'code_interpreter' }, { type: 'file_search' }],
-      specialization: 'analysis'
-    });
-
-    this.agentTemplates.set('optimizer', {
-      name: 'Performance Optimizer',
-      instructions: 'You optimize code and systems for better performance and efficiency. Use code_interpreter to test optimizations and file_search to analyze code.',
-      tools: [{ type: 'code_interpreter' }, { type: 'file_search' }],
-      specialization: 'optimization'
-    });
-
-    this.agentTemplates.set('researcher', {
-      name: 'Research Agent',
-      instructions: 'You conduct thorough research and provide comprehensive findings. Use code_interpreter for analysis and file_search to examine documents.',
-      tools: [{ type: 'code_interpreter' }, { type: 'file_search' }],
-      specialization: 'research'
-    });
-
-    this.agentTemplates.set('collaborator', {
-      name: 'Collaboration Agent',
-      instructions: 'You facilitate collaboration between teams and coordinate complex projects. Use code_interpreter and file_search to analyze and organize work.',
-      tools: [{ type: 'code_interpreter' }, { type: 'file_search' }],
-      specialization: 'coordination'
-    });
-
-    this.agentTemplates.set('innovator', {
-      name: 'Innovation Agent',
-      instructions: 'You generate creative solutions and novel approaches to problems. Use code_interpreter to prototype ideas and file_search to research existing solutions.',
-      tools: [{ type: 'code_interpreter' }, { type: 'file_search' }],
-      specialization: 'innovation'
-    });
+    this.definitions = this.options.definitions || new AgentDefinitions({ log: this.log });
+    if (!this.definitions.loaded) this.definitions.load();
+    this.agentTemplates = this.definitions.templates;
   }
 
   // Create an agent on-demand
@@ -163,6 +145,12 @@ export class JITAgentFactory {
       throw new Error(`Unknown agent type: ${type}. Available: ${Array.from(this.agentTemplates.keys()).join(', ')}`);
     }
 
+    const tags = customConfig.tags || [];
+    const badTag = tags.find(tag => !TAG_PATTERN.test(tag));
+    if (badTag !== undefined) {
+      throw new Error(`Invalid tag ${JSON.stringify(badTag)}: use up to 40 letters, digits, _, . or -`);
+    }
+
     const agentId = uuidv4();
     const agentConfig = {
       id: agentId,
@@ -171,10 +159,11 @@ export class JITAgentFactory {
       instructions: customConfig.instructions || template.instructions,
       tools: customConfig.tools || template.tools,
       specialization: template.specialization,
-      model: customConfig.model || 'gpt-4.1',
+      model: customConfig.model || template.model || 'gpt-4.1',
       createdAt: new Date().toISOString(),
       status: 'creating',
-      ...customConfig
+      ...customConfig,
+      tags
     };
 
     try {
@@ -182,8 +171,18 @@ export class JITAgentFactory {
       const agent = await this.deployAgentToAzure(agentConfig, type);
       
       agentConfig.status = 'active';
-      agentConfig.azureAgentId = agent.id;
+      agentConfig.azureAgentId = agent.azureAgentId;
       
+      // One entry per agent, under its id; an assistant that cannot be recorded is not kept,
+      // since nothing would find it again
+      try {
+        this.registry.put(this.recordFor(agentConfig));
+      } catch (error) {
+        this.log(`❌ Could not record agent ${agentId} (${agent.azureAgentId}) in ${this.registry.file}: ${error.message}`);
+        await this.deleteAgentFromAzure(agent.azureAgentId).catch(deleteError =>
+          this.log(`⚠️ Assistant ${agent.azureAgentId} is left on the resource unrecorded: ${deleteError.message}`));
+        throw error;
+      }
       this.activeAgents.set(agentId, agentConfig);
       
       this.log(`✅ Agent created: ${agentConfig.name} (${agentId})`);
@@ -202,68 +201,46 @@ export class JITAgentFactory {
       throw new Error('Azure resources not initialized');
     }
 
-    const apiKey = await this.getApiKey();
-    
     const agentPayload = {
       instructions: agentConfig.instructions,
       name: agentConfig.name,
       tools: agentConfig.tools,
-      model: agentConfig.model
+      model: agentConfig.model,
+      metadata: assistantMetadata({ id: agentConfig.id, type: agentType, tags: agentConfig.tags })
     };
 
-    // Use curl to create assistant via OpenAI API (Azure uses assistants, not agents)
-    return new Promise((resolve, reject) => {
-      const curlProcess = spawn('curl', [
-        '--request', 'POST',
-        '--url', `${this.azureResources.endpoint}openai/assistants?api-version=2024-05-01-preview`,
-        '--header', `api-key: ${apiKey}`,
-        '--header', 'Content-Type: application/json',
-        '--data', JSON.stringify(agentPayload)
-      ]);
-
-      let output = '';
-      let error = '';
+    // Azure exposes these as assistants, not agents
+    const azureResponse = await this.client.createAssistant(agentPayload);
+    if (!azureResponse.id || !azureResponse.id.startsWith('asst_')) {
+      throw new Error(`Agent creation failed: ${JSON.stringify(azureResponse)}`);
+    }
 
-      curlProcess.stdout.on('data', (data) => {
-        output += data.toString();
-      });
+    // What Azure created; createAgent registers it
+    const agent = {
+      azureAgentId: azureResponse.id,
+      name: azureResponse.name,
+      type: agentType,
+      tools: azureResponse.tools || [],
+      model: azureResponse.model
+    };
 
-      curlProcess.stderr.on('data', (data) => {
-        error += data.toString();
-      });
+    this.log(`✅ Assistant deployed: ${agent.name} (${agent.azureAgentId})`);
+    return agent;
+  }
 
-      curlProcess.on('close', (code) => {
-        if (code === 0) {
-          try {
-            const azureResponse = JSON.parse(output);
-            if (azureResponse.id && azureResponse.id.startsWith('asst_')) {
-              // Create our internal agent object
-              const agent = {
-                id: `agent-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-                azureAgentId: azureResponse.id,
-                name: azureResponse.name,
-                type: agentType,
-                created: Date.now(),
-                tools: azureResponse.tools || [],
-                model: azureResponse.model
-              };
-              
-              this.activeAgents.set(agent.id, agent);
-              this.log(`✅ Agent created: ${agent.name} (${agent.azureAgentId})`);
-              resolve(agent);
-            } else {
-              reject(new Error(`Agent creation failed: ${output}`));
-            }
-          } catch (parseError) {
-            this.log(`Parse error: ${parseError.message}`);
-            this.log(`Raw output: ${output}`);
-            reject(new Error(`Failed to parse agent response: ${parseError.message}`));
-          }
-        } else {
-          reject(new Error(`Curl failed: ${error}`));
-        }
-      });
-    });
+  recordFor(agent) {
+    return {
+      id: agent.id,
+      type: agent.type,
+      name: agent.name,
+      azureAgentId: agent.azureAgentId,
+      endpoint: normalizeEndpoint(this.azureResources?.endpoint),
+      model: agent.model,
+      instructionsDigest: instructionsDigest(agent.instructions),
+      tools: (agent.tools || []).map(tool => tool.type),
+      tags: agent.tags || [],
+      createdAt: agent.createdAt
+    };
   }
 
   // Create multiple agents at once
@@ -294,32 +271,128 @@ export class JITAgentFactory {
     }
   }
 
-  // Create agents for specific use cases
+  // Create the agents of a team defined in agents/teams
+  async createTeam(name) {
+    const team = this.definitions.teams.get(name);
+    if (!team) {
+      throw new Error(`Unknown team: ${name}. Available: ${Array.from(this.definitions.teams.keys()).join(', ')}`);
+    }
+
+    return await this.createAgentSwarm(team.members.map(({ template, ...config }) => ({ type: template, config })));
+  }
+
   async createDevTeam() {
-    return await this.createAgentSwarm([
-      { type: 'coder', config: { name: 'Senior Developer', instructions: 'Lead development with best practices' } },
-      { type: 'optimizer', config: { name: 'Performance Engineer', instructions: 'Optimize for speed and efficiency' } },
-      { type: 'analyst', config: { name: 'Code Reviewer', instructions: 'Review code for quality and security' } },
-      { type: 'researcher', config: { name: 'Tech Scout', instructions: 'Research new technologies and approaches' } }
-    ]);
+    return await this.createTeam('dev');
   }
 
   async createResearchTeam() {
-    return await this.createAgentSwarm([
-      { type: 'researcher', config: { name: 'Lead Researcher', instructions: 'Conduct primary research' } },
-      { type: 'analyst', config: { name: 'Data Scientist', instructions: 'Analyze research data' } },
-      { type: 'innovator', config: { name: 'Innovation Lead', instructions: 'Generate novel research directions' } },
-      { type: 'collaborator', config: { name: 'Research Coordinator', instructions: 'Coordinate research activities' } }
-    ]);
+    return await this.createTeam('research');
   }
 
   async createOptimizationTeam() {
-    return await this.createAgentSwarm([
-      { type: 'optimizer', config: { name: 'System Optimizer', instructions: 'Optimize overall system performance' } },
-      { type: 'analyst', config: { name: 'Metrics Analyst', instructions: 'Measure and track performance metrics' } },
-      { type: 'coder', config: { name: 'Implementation Specialist', instructions: 'Implement optimizations' } },
-      { type: 'innovator', config: { name: 'Architecture Innovator', instructions: 'Design new optimization strategies' } }
-    ]);
+    return await this.createTeam('optimization');
+  }
+
+  // Compares the registry with the assistants on the resource and loads what is ours into
+  // activeAgents. Registered assistants without our metadata get it; records whose assistant is
+  // gone are dropped; with adopt, orphans (tagged as ours but not recorded here, e.g. after a crash
+  // before the record was written or from another checkout) are recorded. Returns a report:
+  //   { endpoint, tracked, tagged, missing, adopted, orphans, drifted: [{ id, changes }] }
+  // dryRun reports without changing the registry or any assistant.
+  async reconcile({ adopt = false, dryRun = false } = {}) {
+    if (!this.client) {
+      throw new Error('Azure resources not initialized');
+    }
+
+    const endpoint = normalizeEndpoint(this.azureResources.endpoint);
+    const assistants = await this.client.listAll(query => this.client.listAssistants(query), { limit: 100 });
+    const remote = new Map(assistants.map(assistant => [assistant.id, assistant]));
+    const records = this.registry.list(endpoint);
+    const recorded = new Set(records.map(record => record.azureAgentId));
+    const report = { endpoint, tracked: [], tagged: [], missing: [], adopted: [], orphans: [], drifted: [] };
+
+    for (const record of records) {
+      const assistant = remote.get(record.azureAgentId);
+      if (!assistant) {
+        report.missing.push(record);
+        if (!dryRun) this.registry.remove(record.id);
+        this.activeAgents.delete(record.id);
+        continue;
+      }
+
+      if (assistant.metadata?.created_by !== FACTORY_TAG) {
+        report.tagged.push(record);
+        if (!dryRun) {
+          await this.client.updateAssistant(assistant.id, { metadata: { ...assistant.metadata, ...assistantMetadata(record) } });
+        }
+      }
+
+      // Edited elsewhere (portal, another tool) since it was recorded
+      const actual = recordFromAssistant(assistant, endpoint);
+      const changes = ['name', 'model', 'instructionsDigest']
+        .filter(field => record[field] !== undefined && record[field] !== actual[field])
+        .map(field => ({ field, recorded: record[field], actual: actual[field] }));
+      if (record.tools && actual.tools.join(',') !== record.tools.join(',')) {
+        changes.push({ field: 'tools', recorded: record.tools, actual: actual.tools });
+      }
+      if (changes.length > 0) report.drifted.push({ id: record.id, azureAgentId: record.azureAgentId, changes });
+
+      report.tracked.push(record);
+      this.activeAgents.set(record.id, { ...record, status: 'active' });
+    }
+
+    for (const assistant of assistants) {
+      if (assistant.metadata?.created_by !== FACTORY_TAG || recorded.has(assistant.id)) continue;
+      const record = recordFromAssistant(assistant, endpoint);
+      if (adopt) {
+        report.adopted.push(record);
+        if (!dryRun) this.registry.put(record);
+        this.activeAgents.set(record.id, { ...record, status: 'active' });
+      } else {
+        report.orphans.push(record);
+      }
+    }
+
+    this.lastReconcile = report;
+    this.log(`🔄 Reconciled ${endpoint}: ${report.tracked.length} tracked, ${report.orphans.length} orphaned, ${report.missing.length} gone, ${report.drifted.length} drifted`);
+    return report;
+  }
+
+  // Deletes our assistants on the resource (recorded or orphaned) created more than olderThanMs
+  // ago and/or carrying tag; orphansOnly limits it to the unrecorded ones. At least one filter is
+  // required: cleanup() is the way to delete everything. Returns { destroyed, failed, wouldDestroy }
+  // (wouldDestroy lists the matches when dryRun).
+  async collectGarbage({ olderThanMs = null, tag = null, orphansOnly = false, dryRun = false } = {}) {
+    if (olderThanMs === null && tag === null && !orphansOnly) {
+      throw new Error('Garbage collection needs an age, a tag or orphansOnly');
+    }
+
+    const report = await this.reconcile({ dryRun });
+    const candidates = [...report.orphans, ...(orphansOnly ? [] : report.tracked)];
+    const now = Date.now();
+    const matches = candidates.filter(record =>
+      (olderThanMs === null || now - Date.parse(record.createdAt) >= olderThanMs)
+      && (tag === null || record.tags?.includes(tag)));
+
+    const result = { destroyed: [], failed: [], wouldDestroy: dryRun ? matches : [] };
+    if (dryRun) return result;
+
+    for (const record of matches) {
+      try {
+        await this.deleteAgentFromAzure(record.azureAgentId);
+        result.destroyed.push(record.id);
+      } catch (error) {
+        if (!(error instanceof NotFoundError)) {
+          result.failed.push({ id: record.id, error: error.message });
+          continue;
+        }
+        result.destroyed.push(record.id);
+      }
+      this.activeAgents.delete(record.id);
+      if (this.registry.get(record.id)) this.registry.remove(record.id);
+    }
+    this.log(`🧹 Garbage collected ${result.destroyed.length} agent(s)${result.failed.length ? `, ${result.failed.length} failed` : ''}`);
+    return result;
   }
 
   // Get agent by ID
@@ -342,12 +415,15 @@ export class JITAgentFactory {
     this.log(`🗑️ Destroying agent: ${agent.name}`);
     
     try {
-      // Delete from Azure if it has an Azure agent ID
+      // Delete from Azure if it has an Azure agent ID; one already gone counts as destroyed
       if (agent.azureAgentId) {
-        await this.deleteAgentFromAzure(agent.azureAgentId);
+        await this.deleteAgentFromAzure(agent.azureAgentId).catch(error => {
+          if (!(error instanceof NotFoundError)) throw error;
+        });
       }
       
       this.activeAgents.delete(agentId);
+      this.registry.remove(agentId);
       this.log(`✅ Agent destroyed: ${agent.name}`);
       
     } catch (error) {
@@ -357,29 +433,11 @@ export class JITAgentFactory {
   }
 
   async deleteAgentFromAzure(azureAgentId) {
-    const apiKey = await this.getApiKey();
-    
-    return new Promise((resolve, reject) => {
-      const curlProcess = spawn('curl', [
-        '--request', 'DELETE',
-        '--url', `${this.azureResources.endpoint}openai/assistants/${azureAgentId}?api-version=2024-05-01-preview`,
-        '--header', `api-key: ${apiKey}`
-      ]);
-
-      let error = '';
-
-      curlProcess.stderr.on('data', (data) => {
-        error += data.toString();
-      });
+    if (!this.client) {
+      throw new Error('Azure resources not initialized');
+    }
 
-      curlProcess.on('close', (code) => {
-        if (code === 0) {
-          resolve();
-        } else {
-          reject(new Error(`Failed to delete agent: ${error}`));
-        }
-      });
-    });
+    await this.client.deleteAssistant(azureAgentId);
   }
 
   // Get factory statistics
@@ -390,7 +448,10 @@ export class JITAgentFactory {
       activeAgents: agents.filter(a => a.status === 'active').length,
       failedAgents: agents.filter(a => a.status === 'failed').length,
       agentTypes: {},
-      azureResource: this.azureResources?.name || 'Not connected'
+      azureResource: this.azureResources?.name || 'Not connected',
+      registry: this.registry.file,
+      orphanedAgents: this.lastReconcile?.orphans.length ?? null,
+      driftedAgents: this.lastReconcile?.drifted.length ?? null
     };
 
     agents.forEach(agent => {
@@ -400,19 +461,25 @@ export class JITAgentFactory {
     return stats;
   }
 
-  // Cleanup all agents
+  // Cleanup all agents; returns { destroyed: [id], failed: [{ id, error }] }
   async cleanup() {
     this.log('🧹 Cleaning up all agents...');
     
     const agents = this.listAgents();
+    const result = { destroyed: [], failed: [] };
     const cleanupPromises = agents.map(agent => 
-      this.destroyAgent(agent.id).catch(error => 
-        this.log(`Failed to cleanup ${agent.id}: ${error.message}`)
+      this.destroyAgent(agent.id).then(
+        () => result.destroyed.push(agent.id),
+        (error) => {
+          this.log(`Failed to cleanup ${agent.id}: ${error.message}`);
+          result.failed.push({ id: agent.id, error: error.message });
+        }
       )
     );
 
     await Promise.allSettled(cleanupPromises);
     this.log('✅ Cleanup complete');
+    return result;
   }
 }
 
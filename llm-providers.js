@@ -0,0 +1,499 @@
+// llm-providers.js - Pluggable LLM backends that all speak the Assistants client surface
+//
+//   azure             Azure OpenAI Assistants API (the original backend)
+//   openai            api.openai.com Assistants API
+//   openai-compatible any /chat/completions server (llama.cpp, Ollama, vLLM...);
+//                     threads, runs and tool calls are emulated in memory
+
+import { randomUUID } from 'crypto';
+import { AssistantsClient, NotFoundError, BadRequestError } from './assistants-client.js';
+import { createCredentialProvider } from './credentials.js';
+import { RetryPolicy } from './retry-policy.js';
+
+export const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1/';
+
+export const PROVIDER_TYPES = ['azure', 'openai', 'openai-compatible'];
+
+function newId(prefix) {
+  return `${prefix}_${randomUUID().replace(/-/g, '').substring(0, 24)}`;
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function textContent(value) {
+  return [{ type: 'text', text: { value, annotations: [] } }];
+}
+
+function plainText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(part => part.text?.value ?? part.text ?? '').join('');
+  }
+  return '';
+}
+
+// truncation_strategy last_messages: keep the newest N user/assistant messages. The cut always
+// lands on one of those, so tool results are never separated from the call that produced them.
+function truncateChat(chat, strategy) {
+  const limit = strategy?.type === 'last_messages' ? strategy.last_messages : null;
+  if (!limit) return [...chat];
+
+  let kept = 0;
+  for (let i = chat.length - 1; i >= 0; i--) {
+    if (chat[i].role === 'user' || (chat[i].role === 'assistant' && chat[i].content)) {
+      kept++;
+      if (kept === limit) return chat.slice(i);
+    }
+  }
+  return [...chat];
+}
+
+// Threads, messages, runs and tool calls on top of a plain chat-completions backend.
+// Exposes the same methods the agents use on AssistantsClient.
+export class ChatCompletionsProvider {
+  constructor({ baseUrl, model, auth = async () => ({}), onUnauthorized = null, assistants = {}, http = null, retry, onRetry } = {}) {
+    if (!baseUrl) {
+      throw new Error('openai-compatible provider requires a baseUrl');
+    }
+    if (!model) {
+      throw new Error('openai-compatible provider requires a model');
+    }
+
+    this.model = model;
+    this.http = http || new AssistantsClient({ endpoint: baseUrl, basePath: '', apiVersion: null, auth, onUnauthorized, retry, onRetry });
+    this.assistants = new Map(Object.entries(assistants).map(([id, assistant]) => [id, { id, ...assistant }]));
+    this.threads = new Map();
+    this.runs = new Map();
+  }
+
+  get circuitBreaker() {
+    return this.http.circuitBreaker;
+  }
+
+  // Assistants are local records; runs against unknown ids fall back to run-level instructions
+  async createAssistant(assistant) {
+    const record = { id: newId('asst'), object: 'assistant', created_at: now(), tools: [], metadata: {}, ...assistant };
+    this.assistants.set(record.id, record);
+    return record;
+  }
+
+  async getAssistant(assistantId) {
+    const assistant = this.assistants.get(assistantId);
+    if (!assistant) {
+      throw new NotFoundError(`No assistant found with id '${assistantId}'`, { status: 404 });
+    }
+    return assistant;
+  }
+
+  async updateAssistant(assistantId, changes) {
+    const assistant = await this.getAssistant(assistantId);
+    Object.assign(assistant, changes);
+    return assistant;
+  }
+
+  async deleteAssistant(assistantId) {
+    await this.getAssistant(assistantId);
+    this.assistants.delete(assistantId);
+    return { id: assistantId, object: 'assistant.deleted', deleted: true };
+  }
+
+  async listAssistants() {
+    const data = Array.from(this.assistants.values());
+    return { object: 'list', data, has_more: false, first_id: data[0]?.id, last_id: data.at(-1)?.id };
+  }
+
+  async createThread({ messages = [], metadata = {} } = {}) {
+    const thread = { id: newId('thread'), object: 'thread', created_at: now(), metadata, messages: [], chat: [] };
+    this.threads.set(thread.id, thread);
+
+    for (const message of messages) {
+      this.appendMessage(thread, message.role, plainText(message.content));
+    }
+
+    return this.threadView(thread);
+  }
+
+  async getThread(threadId) {
+    return this.threadView(this.thread(threadId));
+  }
+
+  async deleteThread(threadId) {
+    this.thread(threadId);
+    this.threads.delete(threadId);
+    return { id: threadId, object: 'thread.deleted', deleted: true };
+  }
+
+  async createMessage(threadId, { role = 'user', content }) {
+    return this.appendMessage(this.thread(threadId), role, plainText(content));
+  }
+
+  async listMessages(threadId, { order = 'desc', limit = 20 } = {}) {
+    const messages = [...this.thread(threadId).messages];
+    if (order === 'desc') messages.reverse();
+    const data = messages.slice(0, limit);
+    return { object: 'list', data, has_more: messages.length > data.length, first_id: data[0]?.id, last_id: data.at(-1)?.id };
+  }
+
+  async createRun(threadId, body) {
+    const run = this.startRun(threadId, body);
+    this.advance(run);
+    return this.runView(run);
+  }
+
+  // Same run lifecycle, reported as Assistants-style stream events
+  async *createRunStream(threadId, body, { signal } = {}) {
+    const run = this.startRun(threadId, body);
+    yield { event: 'thread.run.created', data: this.runView(run) };
+    yield* this.streamStep(run, signal);
+  }
+
+  startRun(threadId, { assistant_id, instructions, additional_instructions, additional_messages = [], tools, model, truncation_strategy } = {}) {
+    const thread = this.thread(threadId);
+    const assistant = this.assistants.get(assistant_id);
+
+    for (const message of additional_messages) {
+      this.appendMessage(thread, message.role, plainText(message.content));
+    }
+
+    const run = {
+      id: newId('run'),
+      object: 'thread.run',
+      created_at: now(),
+      thread_id: threadId,
+      assistant_id,
+      status: 'queued',
+      model: model || assistant?.model || this.model,
+      instructions: [instructions ?? assistant?.instructions, additional_instructions].filter(Boolean).join('\n\n'),
+      tools: tools || assistant?.tools || [],
+      truncation_strategy: truncation_strategy || { type: 'auto', last_messages: null },
+      required_action: null,
+      last_error: null,
+      incomplete_details: null,
+      started_at: null,
+      completed_at: null,
+      cancelled_at: null,
+      failed_at: null,
+      usage: null
+    };
+
+    this.runs.set(run.id, run);
+    return run;
+  }
+
+  async getRun(threadId, runId) {
+    return this.runView(this.run(threadId, runId));
+  }
+
+  async listRuns(threadId) {
+    const data = Array.from(this.runs.values()).filter(run => run.thread_id === threadId).reverse().map(run => this.runView(run));
+    return { object: 'list', data, has_more: false, first_id: data[0]?.id, last_id: data.at(-1)?.id };
+  }
+
+  async cancelRun(threadId, runId) {
+    const run = this.run(threadId, runId);
+    if (['queued', 'in_progress', 'requires_action'].includes(run.status)) {
+      run.status = 'cancelled';
+      run.cancelled_at = now();
+      run.required_action = null;
+    }
+    return this.runView(run);
+  }
+
+  async submitToolOutputs(threadId, runId, toolOutputs) {
+    const run = this.acceptToolOutputs(threadId, runId, toolOutputs);
+    this.advance(run);
+    return this.runView(run);
+  }
+
+  async *submitToolOutputsStream(threadId, runId, toolOutputs, { signal } = {}) {
+    const run = this.acceptToolOutputs(threadId, runId, toolOutputs);
+    yield* this.streamStep(run, signal);
+  }
+
+  acceptToolOutputs(threadId, runId, toolOutputs) {
+    const run = this.run(threadId, runId);
+    if (run.status !== 'requires_action') {
+      throw new BadRequestError(`Run ${runId} is not waiting for tool outputs (status: ${run.status})`, { status: 400 });
+    }
+
+    const thread = this.thread(threadId);
+    for (const output of toolOutputs) {
+      thread.chat.push({ role: 'tool', tool_call_id: output.tool_call_id, content: String(output.output ?? '') });
+    }
+
+    run.required_action = null;
+    run.status = 'queued';
+    return run;
+  }
+
+  async listRunSteps() {
+    return { object: 'list', data: [], has_more: false };
+  }
+
+  async latestAssistantText(threadId) {
+    const assistantMessage = this.thread(threadId).messages.findLast(msg => msg.role === 'assistant');
+    return assistantMessage ? plainText(assistantMessage.content) : null;
+  }
+
+  // One chat-completions round trip moves the run to requires_action or completed
+  advance(run) {
+    run.pending = this.completeStep(run).catch(error => this.failRun(run, error));
+  }
+
+  failRun(run, error) {
+    if (run.status !== 'cancelled') {
+      run.status = 'failed';
+      run.failed_at = now();
+      run.last_error = { code: error.status === 429 ? 'rate_limit_exceeded' : 'server_error', message: error.message };
+    }
+  }
+
+  chatRequest(run) {
+    const thread = this.thread(run.thread_id);
+    run.status = 'in_progress';
+    run.started_at ??= now();
+
+    const chat = truncateChat(thread.chat, run.truncation_strategy);
+    const messages = run.instructions ? [{ role: 'system', content: run.instructions }, ...chat] : chat;
+    const functions = run.tools.filter(tool => tool.type === 'function');
+
+    const body = { model: run.model, messages };
+    if (functions.length > 0) {
+      body.tools = functions;
+    }
+    return body;
+  }
+
+  async completeStep(run) {
+    // Completions create nothing server-side, so any failure may be retried
+    const completion = await this.http.request('POST', 'chat/completions', { body: this.chatRequest(run), idempotent: true });
+    if (run.status === 'cancelled') return;
+
+    run.usage = completion.usage || run.usage;
+    this.finishStep(run, completion.choices?.[0]?.message || { role: 'assistant', content: '' });
+  }
+
+  async *streamStep(run, signal) {
+    const body = { ...this.chatRequest(run), stream: true };
+    yield { event: 'thread.run.in_progress', data: this.runView(run) };
+
+    const thread = this.thread(run.thread_id);
+    const toolCalls = [];
+    let content = '';
+    let messageId = null;
+
+    try {
+      for await (const { data } of this.http.stream('POST', 'chat/completions', { body, signal })) {
+        if (run.status === 'cancelled') break;
+
+        run.usage = data.usage || run.usage;
+        const delta = data.choices?.[0]?.delta;
+        if (!delta) continue;
+
+        if (delta.content) {
+          if (!messageId) {
+            messageId = newId('msg');
+            yield {
+              event: 'thread.message.created',
+              data: { id: messageId, object: 'thread.message', thread_id: thread.id, role: 'assistant', content: [], run_id: run.id, assistant_id: run.assistant_id }
+            };
+          }
+          content += delta.content;
+          yield {
+            event: 'thread.message.delta',
+            data: { id: messageId, object: 'thread.message.delta', delta: { content: [{ index: 0, type: 'text', text: { value: delta.content } }] } }
+          };
+        }
+
+        // Tool calls arrive in fragments keyed by index
+        for (const fragment of delta.tool_calls || []) {
+          const call = toolCalls[fragment.index] ??= { id: '', type: 'function', function: { name: '', arguments: '' } };
+          if (fragment.id) call.id = fragment.id;
+          if (fragment.function?.name) call.function.name += fragment.function.name;
+          if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+        }
+      }
+    } catch (error) {
+      // An aborted stream leaves the run in progress for the caller to cancel
+      if (signal?.aborted) throw error;
+      this.failRun(run, error);
+    }
+
+    if (run.status === 'in_progress') {
+      const message = this.finishStep(run, { role: 'assistant', content, tool_calls: toolCalls.filter(Boolean) }, messageId);
+      if (message) {
+        yield { event: 'thread.message.completed', data: message };
+      }
+    }
+
+    yield { event: `thread.run.${run.status}`, data: this.runView(run) };
+  }
+
+  // Records the model's reply on the thread; returns the new assistant message, if any
+  finishStep(run, message, messageId = null) {
+    const thread = this.thread(run.thread_id);
+
+    if (message.tool_calls?.length) {
+      thread.chat.push({ role: 'assistant', content: message.content || null, tool_calls: message.tool_calls });
+      run.status = 'requires_action';
+      run.required_action = {
+        type: 'submit_tool_outputs',
+        submit_tool_outputs: { tool_calls: message.tool_calls.map(call => ({ id: call.id, type: 'function', function: call.function })) }
+      };
+      return null;
+    }
+
+    const extra = { run_id: run.id, assistant_id: run.assistant_id, ...(messageId ? { id: messageId } : {}) };
+    const record = this.appendMessage(thread, 'assistant', message.content || '', extra);
+    run.status = 'completed';
+    run.completed_at = now();
+    return record;
+  }
+
+  appendMessage(thread, role, text, extra = {}) {
+    const message = {
+      id: newId('msg'),
+      object: 'thread.message',
+      created_at: now(),
+      thread_id: thread.id,
+      role,
+      content: textContent(text),
+      assistant_id: null,
+      run_id: null,
+      metadata: {},
+      ...extra
+    };
+
+    thread.messages.push(message);
+    thread.chat.push({ role, content: text });
+    return message;
+  }
+
+  thread(threadId) {
+    const thread = this.threads.get(threadId);
+    if (!thread) {
+      throw new NotFoundError(`No thread found with id '${threadId}'`, { status: 404 });
+    }
+    return thread;
+  }
+
+  run(threadId, runId) {
+    const run = this.runs.get(runId);
+    if (!run || run.thread_id !== threadId) {
+      throw new NotFoundError(`No run found with id '${runId}'`, { status: 404 });
+    }
+    return run;
+  }
+
+  threadView({ id, object, created_at, metadata }) {
+    return { id, object, created_at, metadata };
+  }
+
+  runView({ pending, ...run }) {
+    return structuredClone(run);
+  }
+}
+
+// { auth, onUnauthorized } for a client: config.auth as given, or a cached credential
+// that a 401 invalidates
+function credentialsFor(config, defaults, log) {
+  if (config.auth) return { auth: config.auth };
+  const credentials = createCredentialProvider({
+    ...defaults,
+    log,
+    sources: config.credentials || defaults.sources,
+    apiKey: config.apiKey,
+    apiKeyFile: config.apiKeyFile
+  });
+  return { auth: () => credentials.getAuthHeaders(), onUnauthorized: () => credentials.invalidate() };
+}
+
+function retryLogger(log) {
+  return ({ method, path, error, attempt, delay }) =>
+    log(`⏳ ${method} ${path} failed (${error.status || error.name}); retry ${attempt} in ${(delay / 1000).toFixed(1)}s`);
+}
+
+// Build a backend from a plain config object, e.g. { type: 'openai', apiKey, model }.
+// config.retry tunes RetryPolicy ({ maxRetries, baseDelayMs, maxDelayMs, jitter }).
+export function createProvider(config = {}, { log = () => {} } = {}) {
+  const { type = 'azure' } = config;
+  const resilience = { retry: config.retry && new RetryPolicy(config.retry), onRetry: retryLogger(log) };
+
+  switch (type) {
+    case 'azure':
+      // Each team's resource differs, so there is no default (see config.js profiles)
+      if (!config.endpoint) {
+        throw new Error('The azure provider needs an endpoint: set provider.endpoint in agent.config.yaml or AZURE_OPENAI_ENDPOINT');
+      }
+      return new AssistantsClient({
+        endpoint: config.endpoint,
+        apiVersion: config.apiVersion,
+        ...credentialsFor(config, { apiKeyEnv: 'AZURE_OPENAI_API_KEY', scheme: 'api-key' }, log),
+        ...resilience
+      });
+
+    case 'openai':
+      return new AssistantsClient({
+        endpoint: config.baseUrl || DEFAULT_OPENAI_BASE_URL,
+        basePath: '',
+        apiVersion: null,
+        headers: { 'OpenAI-Beta': 'assistants=v2' },
+        ...credentialsFor(config, { apiKeyEnv: 'OPENAI_API_KEY', scheme: 'bearer', sources: ['api-key'] }, log),
+        ...resilience
+      });
+
+    case 'openai-compatible':
+      return new ChatCompletionsProvider({
+        baseUrl: config.baseUrl,
+        model: config.model,
+        assistants: config.assistants,
+        // Local servers usually need no key at all
+        ...(config.auth || config.apiKey || config.apiKeyFile
+          ? credentialsFor(config, { apiKeyEnv: 'LLM_API_KEY', scheme: 'bearer', sources: ['api-key'] }, log)
+          : {}),
+        ...resilience
+      });
+
+    default:
+      throw new Error(`Unknown LLM provider: ${type}. Available: ${PROVIDER_TYPES.join(', ')}`);
+  }
+}
+
+// Embeddings from the same backend as a provider, or null when no embedding model is configured.
+// On Azure the model is the embedding deployment name.
+export function createEmbedder(provider, config = {}) {
+  const { type = 'azure', embeddingModel } = config;
+  if (!embeddingModel) return null;
+
+  const http = provider instanceof ChatCompletionsProvider ? provider.http : provider;
+  const path = type === 'azure' ? `deployments/${embeddingModel}/embeddings` : 'embeddings';
+
+  return async (texts) => {
+    const response = await http.request('POST', path, { body: { model: embeddingModel, input: texts }, idempotent: true });
+    return [...response.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+  };
+}
+
+// The variable holding each vendor's own key; only read for that provider type, so one vendor's
+// key is never sent to another
+export const VENDOR_KEY_ENV = { azure: 'AZURE_OPENAI_API_KEY', openai: 'OPENAI_API_KEY' };
+
+// LLM_PROVIDER, LLM_BASE_URL, LLM_MODEL, LLM_EMBEDDING_MODEL, LLM_API_KEY (or the VENDOR_KEY_ENV
+// variable of the type), LLM_API_KEY_FILE, LLM_CREDENTIALS (comma-separated source names), AZURE_OPENAI_ENDPOINT
+export function providerConfigFromEnv(env = process.env) {
+  const type = env.LLM_PROVIDER || 'azure';
+  const vendorKey = VENDOR_KEY_ENV[type] && env[VENDOR_KEY_ENV[type]];
+
+  return {
+    type,
+    endpoint: env.AZURE_OPENAI_ENDPOINT || undefined,
+    baseUrl: env.LLM_BASE_URL || undefined,
+    model: env.LLM_MODEL || undefined,
+    embeddingModel: env.LLM_EMBEDDING_MODEL || undefined,
+    apiKey: env.LLM_API_KEY || vendorKey || undefined,
+    apiKeyFile: env.LLM_API_KEY_FILE || undefined,
+    credentials: env.LLM_CREDENTIALS ? env.LLM_CREDENTIALS.split(',').map(name => name.trim()) : undefined
+  };
+}
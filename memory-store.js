@@ -0,0 +1,223 @@
+// memory-store.js - Long-term agent memory kept in a JSON file across restarts
+//
+// Entries are facts, decisions, actions and conclusions. recall() ranks them by keyword overlap
+// with the query and, when an embedding function is available, by cosine similarity as well.
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+export const DEFAULT_MEMORY_DIR = '.agent-memory';
+export const MEMORY_KINDS = ['fact', 'decision', 'action', 'conclusion'];
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'for', 'from', 'has', 'have', 'i', 'in', 'is', 'it',
+  'its', 'me', 'my', 'of', 'on', 'or', 'should', 'so', 'that', 'the', 'this', 'to', 'was', 'we', 'what', 'with', 'you'
+]);
+
+function keywords(text) {
+  return new Set((text.toLowerCase().match(/[a-z0-9_.\-/]+/g) || [])
+    .map(word => word.replace(/^[.\-/]+|[.\-/]+$/g, ''))
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word)));
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+export class MemoryStore {
+  constructor({ file, embed = null, maxEntries = 2000, log = () => {} }) {
+    if (!file) {
+      throw new Error('MemoryStore requires a file');
+    }
+
+    this.file = file;
+    this.embed = embed;
+    this.maxEntries = maxEntries;
+    this.log = log;
+    this.entries = this.load();
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return Array.isArray(data.entries) ? data.entries : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.log(`⚠️ Could not read memory file ${this.file}: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  // Write to a temp file and rename, so a crash never leaves half a memory file behind
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify({ version: 1, entries: this.entries }, null, 2));
+    fs.renameSync(temp, this.file);
+  }
+
+  async record({ kind = 'fact', content, agent = null, tags = [] }) {
+    if (!MEMORY_KINDS.includes(kind)) {
+      throw new Error(`Unknown memory kind: ${kind}. Available: ${MEMORY_KINDS.join(', ')}`);
+    }
+    if (!content || !content.trim()) {
+      throw new Error('Memory content is empty');
+    }
+
+    const entry = {
+      id: `mem_${randomUUID().replace(/-/g, '').substring(0, 16)}`,
+      kind,
+      agent,
+      content: content.trim(),
+      tags,
+      createdAt: new Date().toISOString()
+    };
+
+    if (this.embed) {
+      try {
+        [entry.embedding] = await this.embed([entry.content]);
+      } catch (error) {
+        // Keyword recall still works without it
+        this.log(`⚠️ Embedding failed, storing memory without it: ${error.message}`);
+      }
+    }
+
+    this.entries.push(entry);
+    this.prune();
+    this.save();
+    return entry;
+  }
+
+  // Over the limit, the oldest actions and conclusions go first; facts and decisions last
+  prune() {
+    while (this.entries.length > this.maxEntries) {
+      const index = this.entries.findIndex(entry => entry.kind === 'action' || entry.kind === 'conclusion');
+      this.entries.splice(index === -1 ? 0 : index, 1);
+    }
+  }
+
+  async recall(query, { limit = 5, kinds = null, agent = null } = {}) {
+    const candidates = this.entries.filter(entry =>
+      (!kinds || kinds.includes(entry.kind)) && (!agent || entry.agent === agent));
+    if (candidates.length === 0 || !query) return [];
+
+    const queryWords = keywords(query);
+    let queryEmbedding = null;
+    if (this.embed && candidates.some(entry => entry.embedding)) {
+      try {
+        [queryEmbedding] = await this.embed([query]);
+      } catch (error) {
+        this.log(`⚠️ Embedding failed, recalling by keyword only: ${error.message}`);
+      }
+    }
+
+    const scored = candidates.map((entry, index) => {
+      const entryWords = keywords(`${entry.content} ${entry.tags.join(' ')}`);
+      const overlap = [...queryWords].filter(word => entryWords.has(word)).length;
+      const keywordScore = queryWords.size ? overlap / queryWords.size : 0;
+      const similarity = queryEmbedding && entry.embedding ? cosine(queryEmbedding, entry.embedding) : null;
+      const score = similarity === null ? keywordScore : 0.75 * similarity + 0.25 * keywordScore;
+      // Newer memories win ties
+      return { entry, score: score + index * 1e-9, relevant: keywordScore > 0 || similarity > 0.3 };
+    });
+
+    return scored
+      .filter(({ relevant }) => relevant)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ entry }) => entry);
+  }
+
+  // Prompt preamble listing the memories relevant to a prompt, or '' when there are none
+  async contextFor(prompt, options = {}) {
+    const memories = await this.recall(prompt, options);
+    if (memories.length === 0) return '';
+
+    const lines = memories.map(entry => {
+      const who = entry.agent ? ` ${entry.agent}` : '';
+      return `- [${entry.createdAt.substring(0, 10)}${who} ${entry.kind}] ${entry.content}`;
+    });
+    return `Relevant memories from earlier sessions:\n${lines.join('\n')}`;
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+}
+
+// <dir>/<name>.json, with the directory overridable through AGENT_MEMORY_DIR
+export function memoryFile(name, dir = process.env.AGENT_MEMORY_DIR || DEFAULT_MEMORY_DIR) {
+  return path.join(dir, `${name}.json`);
+}
+
+// One-line memory of a tool call and how it went, e.g. 'run_command {"command":"ls"} -> ok: README.md ...'
+export function describeAction(name, args, result) {
+  const failed = result?.success === false;
+  const detail = typeof result === 'string'
+    ? result
+    : result?.error || (failed && result?.stderr) || result?.output || result?.stdout || result?.result || result?.content || '';
+  return `${name} ${JSON.stringify(args).substring(0, 200)} -> ${failed ? 'failed' : 'ok'}${detail ? `: ${String(detail).substring(0, 200)}` : ''}`;
+}
+
+// remember / recall tool definitions in Assistants function format
+export const MEMORY_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'remember',
+      description: 'Store a fact, decision or conclusion in long-term memory so it survives restarts',
+      parameters: {
+        type: 'object',
+        properties: {
+          content: { type: 'string', description: 'What to remember, written so it makes sense on its own later' },
+          kind: { type: 'string', enum: ['fact', 'decision', 'conclusion'], description: 'Kind of memory (default: fact)' },
+          tags: { type: 'array', items: { type: 'string' }, description: 'Optional keywords to find it again' }
+        },
+        required: ['content']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'recall',
+      description: 'Search long-term memory for facts, decisions and past actions related to a query',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'What to look for' },
+          limit: { type: 'number', description: 'Maximum number of memories to return (default: 5)' }
+        },
+        required: ['query']
+      }
+    }
+  }
+];
+
+// Executes the remember / recall tools against a store, returning tool results
+export async function executeMemoryTool(store, name, args, agent = null) {
+  try {
+    if (name === 'remember') {
+      const entry = await store.record({ kind: args.kind || 'fact', content: args.content, tags: Array.isArray(args.tags) ? args.tags : [], agent });
+      return { success: true, id: entry.id };
+    }
+
+    const memories = await store.recall(args.query, { limit: args.limit || 5 });
+    return {
+      success: true,
+      memories: memories.map(({ kind, agent: author, content, tags, createdAt }) => ({ kind, agent: author, content, tags, createdAt }))
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
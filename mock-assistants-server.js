@@ -0,0 +1,450 @@
+#!/usr/bin/env node
+// mock-assistants-server.js - Offline stand-in for the Assistants API that replays scripted runs
+//
+// Scenario files (see mock-scenarios/) list the steps each run walks through:
+//   { "tool_calls": [{ "name": "run_command", "arguments": { "command": "ls" } }] }
+//   { "text": "Final answer" }
+//   { "status": "failed", "last_error": { "code": "server_error", "message": "boom" } }
+//   { "http_status": 429, "retry_after": 1 }   (the next status poll answers with this HTTP error)
+//   { "stall": true }                           (stays in_progress until cancelled)
+// A scenario with "match" (a regex) is only used when the latest user message matches it.
+// Runs created or continued with "stream": true are answered as server-sent events.
+
+import http from 'http';
+import fs from 'fs';
+import { randomUUID } from 'crypto';
+
+const DEFAULT_SCENARIO = {
+  name: 'default',
+  steps: [{ text: 'Mock assistant response.' }]
+};
+
+function newId(prefix) {
+  return `${prefix}_${randomUUID().replace(/-/g, '').substring(0, 24)}`;
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function textContent(value) {
+  return [{ type: 'text', text: { value, annotations: [] } }];
+}
+
+function listPage(items, { limit = 20, order = 'desc', after } = {}) {
+  const ordered = order === 'asc' ? [...items] : [...items].reverse();
+  const start = after ? ordered.findIndex(item => item.id === after) + 1 : 0;
+  const data = ordered.slice(start, start + Number(limit));
+
+  return {
+    object: 'list',
+    data,
+    first_id: data[0]?.id ?? null,
+    last_id: data.at(-1)?.id ?? null,
+    has_more: start + data.length < ordered.length
+  };
+}
+
+class HttpError extends Error {
+  constructor(status, message, code = null, headers = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.headers = headers;
+  }
+}
+
+// Marks a route result that must be written as server-sent events
+class EventStream {
+  constructor(events, until = null) {
+    this.events = events;
+    // Optional async producer of trailing events; the stream stays open until it resolves
+    this.until = until;
+  }
+}
+
+export function loadScenarios(paths) {
+  return paths.map((path) => {
+    const scenario = JSON.parse(fs.readFileSync(path, 'utf8'));
+    if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+      throw new Error(`Scenario ${path} has no steps`);
+    }
+    return { name: path, ...scenario };
+  });
+}
+
+export class MockAssistantsServer {
+  constructor({ scenarios = [], pollsPerStep = 1, log = () => {} } = {}) {
+    this.scenarios = scenarios.length > 0 ? scenarios : [DEFAULT_SCENARIO];
+    this.pollsPerStep = pollsPerStep;
+    this.log = log;
+    this.assistants = new Map();
+    this.threads = new Map();
+    this.runs = new Map();
+    this.requests = [];
+    this.toolOutputs = [];
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve) => {
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        this.url = `http://${host}:${address.port}/`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  async handle(req, res) {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+
+    const url = new URL(req.url, 'http://localhost');
+    // Accept Azure-style (/openai/...), OpenAI-style (/v1/...) and bare paths
+    const path = url.pathname.replace(/^\/(openai|v1)\//, '/').replace(/\/$/, '');
+    const query = Object.fromEntries(url.searchParams.entries());
+
+    try {
+      const payload = body ? JSON.parse(body) : {};
+      this.requests.push({ method: req.method, path, body: payload });
+      this.log(`${req.method} ${path}`);
+
+      const result = this.route(req.method, path.split('/').filter(Boolean), payload, query);
+      if (result instanceof EventStream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+        const write = ([event, data]) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        result.events.forEach(write);
+        if (result.until) {
+          (await result.until()).forEach(write);
+        }
+        res.end('event: done\ndata: [DONE]\n\n');
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result));
+    } catch (error) {
+      const status = error.status || (error instanceof SyntaxError ? 400 : 500);
+      res.writeHead(status, { 'Content-Type': 'application/json', ...error.headers });
+      res.end(JSON.stringify({ error: { message: error.message, type: 'mock_error', code: error.code || null } }));
+    }
+  }
+
+  route(method, segments, body, query) {
+    const [resource, id, sub, subId, action] = segments;
+    const route = `${method} ${[resource, id && ':id', sub, subId && ':id', action].filter(Boolean).join('/')}`;
+
+    switch (route) {
+      case 'POST assistants': return this.createAssistant(body);
+      case 'GET assistants': return listPage(Array.from(this.assistants.values()), query);
+      case 'GET assistants/:id': return this.assistant(id);
+      case 'POST assistants/:id': return Object.assign(this.assistant(id), body);
+      case 'DELETE assistants/:id':
+        this.assistant(id);
+        this.assistants.delete(id);
+        return { id, object: 'assistant.deleted', deleted: true };
+
+      case 'POST threads': return this.threadView(this.createThread(body));
+      case 'GET threads/:id': return this.threadView(this.thread(id));
+      case 'DELETE threads/:id':
+        this.thread(id);
+        this.threads.delete(id);
+        return { id, object: 'thread.deleted', deleted: true };
+
+      case 'POST threads/:id/messages': return this.addMessage(this.thread(id), body.role || 'user', body.content);
+      case 'GET threads/:id/messages': return listPage(this.thread(id).messages, query);
+
+      case 'POST threads/:id/runs': {
+        const run = this.createRun(this.thread(id), body);
+        return body.stream ? this.streamRun(run, [['thread.run.created', this.runView(run)]]) : this.runView(run);
+      }
+      case 'GET threads/:id/runs': return listPage(Array.from(this.runs.values()).filter(run => run.thread_id === id).map(run => this.runView(run)), query);
+      case 'GET threads/:id/runs/:id': return this.runView(this.poll(this.run(id, subId)));
+      case 'POST threads/:id/runs/:id/cancel': return this.runView(this.cancel(this.run(id, subId)));
+      case 'POST threads/:id/runs/:id/submit_tool_outputs': {
+        const run = this.submit(this.run(id, subId), body.tool_outputs || []);
+        return body.stream ? this.streamRun(run) : this.runView(run);
+      }
+      case 'GET threads/:id/runs/:id/steps': return listPage(this.run(id, subId).steps, query);
+
+      default:
+        throw new HttpError(404, `Mock server has no route for ${method} /${segments.join('/')}`);
+    }
+  }
+
+  createAssistant(body) {
+    const assistant = { id: newId('asst'), object: 'assistant', created_at: now(), tools: [], metadata: {}, ...body };
+    this.assistants.set(assistant.id, assistant);
+    return assistant;
+  }
+
+  assistant(id) {
+    const assistant = this.assistants.get(id);
+    if (!assistant) throw new HttpError(404, `No assistant found with id '${id}'.`);
+    return assistant;
+  }
+
+  createThread({ messages = [], metadata = {} } = {}) {
+    const thread = { id: newId('thread'), object: 'thread', created_at: now(), metadata, messages: [] };
+    this.threads.set(thread.id, thread);
+    messages.forEach(message => this.addMessage(thread, message.role, message.content));
+    return thread;
+  }
+
+  thread(id) {
+    const thread = this.threads.get(id);
+    if (!thread) throw new HttpError(404, `No thread found with id '${id}'.`);
+    return thread;
+  }
+
+  threadView({ messages, ...thread }) {
+    return thread;
+  }
+
+  addMessage(thread, role, content, extra = {}) {
+    const text = typeof content === 'string' ? content : (content || []).map(part => part.text?.value ?? part.text ?? '').join('');
+    const message = {
+      id: newId('msg'),
+      object: 'thread.message',
+      created_at: now(),
+      thread_id: thread.id,
+      role,
+      content: textContent(text),
+      assistant_id: null,
+      run_id: null,
+      metadata: {},
+      ...extra
+    };
+    thread.messages.push(message);
+    return message;
+  }
+
+  pickScenario(thread) {
+    const lastUser = thread.messages.findLast(message => message.role === 'user');
+    const prompt = lastUser?.content?.[0]?.text?.value || '';
+
+    return this.scenarios.find(scenario => scenario.match && new RegExp(scenario.match, 'i').test(prompt))
+      || this.scenarios.find(scenario => !scenario.match)
+      || DEFAULT_SCENARIO;
+  }
+
+  createRun(thread, body) {
+    const activeRun = Array.from(this.runs.values()).find(run =>
+      run.thread_id === thread.id && ['queued', 'in_progress', 'requires_action', 'cancelling'].includes(run.status));
+    if (activeRun) {
+      throw new HttpError(400, `Thread ${thread.id} already has an active run ${activeRun.id}.`);
+    }
+
+    (body.additional_messages || []).forEach(message => this.addMessage(thread, message.role, message.content));
+
+    const scenario = this.pickScenario(thread);
+    const run = {
+      id: newId('run'),
+      object: 'thread.run',
+      created_at: now(),
+      thread_id: thread.id,
+      assistant_id: body.assistant_id,
+      status: 'queued',
+      model: body.model || 'mock-model',
+      instructions: body.instructions || '',
+      tools: body.tools || [],
+      truncation_strategy: body.truncation_strategy || { type: 'auto', last_messages: null },
+      metadata: body.metadata || {},
+      required_action: null,
+      last_error: null,
+      incomplete_details: null,
+      started_at: null,
+      expires_at: now() + 600,
+      cancelled_at: null,
+      failed_at: null,
+      completed_at: null,
+      usage: null,
+      scenario: scenario.name,
+      stepIndex: 0,
+      pollsLeft: this.pollsPerStep,
+      steps: []
+    };
+
+    this.runs.set(run.id, run);
+    this.log(`▶️  Run ${run.id} replaying scenario: ${scenario.name}`);
+    return run;
+  }
+
+  run(threadId, runId) {
+    const run = this.runs.get(runId);
+    if (!run || run.thread_id !== threadId) throw new HttpError(404, `No run found with id '${runId}'.`);
+    return run;
+  }
+
+  runView({ stepIndex, pollsLeft, steps, ...run }) {
+    return run;
+  }
+
+  // Each status poll brings the run one tick closer to its next scripted step
+  poll(run) {
+    if (run.status === 'cancelling') {
+      run.status = 'cancelled';
+      run.cancelled_at = now();
+      return run;
+    }
+
+    if (!['queued', 'in_progress'].includes(run.status)) return run;
+
+    const step = this.currentStep(run);
+    if (step.http_status) {
+      run.stepIndex++;
+      const headers = step.retry_after !== undefined ? { 'retry-after': String(step.retry_after) } : {};
+      throw new HttpError(step.http_status, `Mock HTTP ${step.http_status}`, null, headers);
+    }
+
+    if (run.pollsLeft > 0) {
+      run.pollsLeft--;
+      run.status = 'in_progress';
+      run.started_at ??= now();
+      return run;
+    }
+
+    return this.applyStep(run);
+  }
+
+  currentStep(run) {
+    const scenario = this.scenarios.find(s => s.name === run.scenario) || DEFAULT_SCENARIO;
+    return scenario.steps[Math.min(run.stepIndex, scenario.steps.length - 1)];
+  }
+
+  applyStep(run) {
+    const step = this.currentStep(run);
+    const thread = this.thread(run.thread_id);
+    run.started_at ??= now();
+
+    if (step.stall) {
+      run.status = 'in_progress';
+      return run;
+    }
+
+    run.stepIndex++;
+
+    if (step.tool_calls) {
+      const toolCalls = step.tool_calls.map(call => ({
+        id: newId('call'),
+        type: 'function',
+        function: {
+          name: call.name,
+          arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+        }
+      }));
+
+      run.status = 'requires_action';
+      run.required_action = { type: 'submit_tool_outputs', submit_tool_outputs: { tool_calls: toolCalls } };
+      run.steps.push({ id: newId('step'), object: 'thread.run.step', type: 'tool_calls', status: 'in_progress', run_id: run.id, step_details: { type: 'tool_calls', tool_calls: toolCalls } });
+      return run;
+    }
+
+    if (step.text !== undefined) {
+      const message = this.addMessage(thread, 'assistant', step.text, { run_id: run.id, assistant_id: run.assistant_id });
+      run.steps.push({ id: newId('step'), object: 'thread.run.step', type: 'message_creation', status: 'completed', run_id: run.id, step_details: { type: 'message_creation', message_creation: { message_id: message.id } } });
+    }
+
+    run.status = step.status || 'completed';
+    run.last_error = step.last_error || null;
+    run.incomplete_details = step.incomplete_details || null;
+    const timestampField = { completed: 'completed_at', failed: 'failed_at', cancelled: 'cancelled_at' }[run.status];
+    if (timestampField) run[timestampField] = now();
+    run.usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    return run;
+  }
+
+  // Plays the run up to its next stopping point as one burst of stream events
+  streamRun(run, events = []) {
+    const thread = this.thread(run.thread_id);
+    // HTTP-level failures only make sense for polling clients
+    while (this.currentStep(run).http_status) run.stepIndex++;
+
+    run.status = 'in_progress';
+    run.started_at ??= now();
+    events.push(['thread.run.in_progress', this.runView(run)]);
+
+    const messageCount = thread.messages.length;
+    this.applyStep(run);
+    const message = thread.messages.length > messageCount ? thread.messages.at(-1) : null;
+
+    if (message) {
+      const text = message.content[0].text.value;
+      events.push(['thread.message.created', { ...message, content: [] }]);
+      // Word-sized deltas, like a real model
+      for (const chunk of text.match(/\S+\s*|\s+/g) || []) {
+        events.push(['thread.message.delta', { id: message.id, object: 'thread.message.delta', delta: { content: [{ index: 0, type: 'text', text: { value: chunk } }] } }]);
+      }
+      events.push(['thread.message.completed', message]);
+    }
+
+    if (run.status === 'in_progress') {
+      // Stalled: hold the stream open until someone cancels the run
+      return new EventStream(events, async () => {
+        while (run.status === 'in_progress') {
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        return [[`thread.run.${this.poll(run).status}`, this.runView(run)]];
+      });
+    }
+
+    events.push([`thread.run.${run.status}`, this.runView(run)]);
+    return new EventStream(events);
+  }
+
+  submit(run, toolOutputs) {
+    if (run.status !== 'requires_action') {
+      throw new HttpError(400, `Runs in status "${run.status}" do not accept tool outputs.`);
+    }
+
+    this.toolOutputs.push(...toolOutputs.map(output => ({ run_id: run.id, ...output })));
+    run.steps.at(-1).status = 'completed';
+    run.required_action = null;
+    run.status = 'queued';
+    run.pollsLeft = this.pollsPerStep;
+    return run;
+  }
+
+  cancel(run) {
+    if (!['queued', 'in_progress', 'requires_action'].includes(run.status)) {
+      throw new HttpError(400, `Cannot cancel run with status '${run.status}'.`);
+    }
+
+    // Like the real service: cancelling first, cancelled on the next poll
+    run.status = 'cancelling';
+    run.required_action = null;
+    return run;
+  }
+}
+
+// node mock-assistants-server.js [--port 8089] [--polls 1] [scenario.json ...]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index === -1 ? fallback : args.splice(index, 2)[1];
+  };
+
+  const port = Number(option('--port', 8089));
+  const pollsPerStep = Number(option('--polls', 1));
+  const log = message => console.log(`[${new Date().toLocaleTimeString()}] ${message}`);
+  const server = new MockAssistantsServer({ scenarios: loadScenarios(args), pollsPerStep, log });
+
+  server.listen(port).then((url) => {
+    log(`🧪 Mock Assistants API listening on ${url}`);
+    log(`   Scenarios: ${server.scenarios.map(s => s.name).join(', ')}`);
+    log(`   Point agents at it: AZURE_OPENAI_ENDPOINT=${url} AZURE_OPENAI_API_KEY=mock`);
+  });
+
+  process.on('SIGINT', () => {
+    console.log('\n🛑 Mock server stopping...');
+    process.exit(0);
+  });
+}
+
+export default MockAssistantsServer;
@@ -0,0 +1,338 @@
+// output-sinks.js - Where the swarm's log lines, agent messages and live token streams go
+//
+// Every output is an event, handed to each configured sink:
+//   { type: 'log', at, message }                      system log line
+//   { type: 'message', at, agent, text }              something an agent said or did
+//   { type: 'thoughts', at, agent, text }             an agent's finished answer
+//   { type: 'stream', at, agent, text }               tokens of a run as they arrive
+//   { type: 'stream-end', at, agent }                 that run is finished
+// Sinks: console, jsonl (one file per agent, like its *Agent-<role>* buffer), websocket (a local
+// server pushing events as JSON) and emacs. Without the emacs sink the swarm runs headless.
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { createHash } from 'crypto';
+import { elisp } from './elisp.js';
+
+export const OUTPUT_SINKS = ['console', 'jsonl', 'websocket', 'emacs'];
+export const DEFAULT_OUTPUT_DIR = '.agent-output';
+export const DEFAULT_WEBSOCKET_PORT = 8765;
+
+const time = at => new Date(at).toLocaleTimeString();
+
+// Streamed chunks as whole lines, per agent: push(agent, text) returns the completed lines
+class LineBuffer {
+  constructor() {
+    this.partial = new Map();
+  }
+
+  push(agent, text) {
+    const lines = ((this.partial.get(agent) || '') + text).split('\n');
+    this.partial.set(agent, lines.pop());
+    return lines;
+  }
+
+  end(agent) {
+    const rest = this.partial.get(agent) || '';
+    this.partial.delete(agent);
+    return rest ? [rest] : [];
+  }
+}
+
+export class ConsoleSink {
+  constructor({ write = line => console.log(line) } = {}) {
+    this.name = 'console';
+    this.print = write;
+    this.lines = new LineBuffer();
+  }
+
+  write(event) {
+    switch (event.type) {
+      case 'log':
+      case 'message':
+        this.print(`[${time(event.at)}] ${event.type === 'log' ? event.message : event.text}`);
+        break;
+      case 'stream':
+        this.lines.push(event.agent, event.text).forEach(line => this.streamLine(event.agent, line));
+        break;
+      case 'stream-end':
+        this.lines.end(event.agent).forEach(line => this.streamLine(event.agent, line));
+        break;
+      // Finished thoughts were already shown line by line as they streamed
+    }
+  }
+
+  streamLine(agent, text) {
+    this.print(`   💬 ${agent.toUpperCase()}: ${text}`);
+  }
+}
+
+export function transcriptFile(dir, agent) {
+  return path.join(dir, `${agent.replace(/[^\w-]/g, '_')}.jsonl`);
+}
+
+// <dir>/events.jsonl gets everything; <dir>/<agent>.jsonl gets that agent's transcript, with
+// streamed tokens joined into lines
+export class JsonlSink {
+  constructor({ dir = process.env.AGENT_OUTPUT_DIR || DEFAULT_OUTPUT_DIR } = {}) {
+    this.name = 'jsonl';
+    this.dir = path.resolve(dir);
+    this.lines = new LineBuffer();
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  fileFor(agent) {
+    return transcriptFile(this.dir, agent);
+  }
+
+  append(file, event) {
+    fs.appendFileSync(file, `${JSON.stringify(event)}\n`);
+  }
+
+  write(event) {
+    if (event.type === 'stream' || event.type === 'stream-end') {
+      const lines = event.type === 'stream' ? this.lines.push(event.agent, event.text) : this.lines.end(event.agent);
+      for (const text of lines) {
+        const line = { type: 'stream', at: event.at, agent: event.agent, text };
+        this.append(path.join(this.dir, 'events.jsonl'), line);
+        this.append(this.fileFor(event.agent), line);
+      }
+      return;
+    }
+
+    this.append(path.join(this.dir, 'events.jsonl'), event);
+    if (event.agent) this.append(this.fileFor(event.agent), event);
+  }
+}
+
+// A local WebSocket server (RFC 6455, text frames only) that pushes every event as JSON.
+// New clients first get the most recent events, so a dashboard opened late has context.
+export class WebSocketSink {
+  constructor({ port = Number(process.env.AGENT_OUTPUT_PORT) || DEFAULT_WEBSOCKET_PORT, host = '127.0.0.1', backlog = 200, log = () => {} } = {}) {
+    this.name = 'websocket';
+    this.clients = new Set();
+    this.recent = [];
+    this.backlog = backlog;
+    this.log = log;
+
+    this.server = http.createServer((req, res) => {
+      res.writeHead(426, { 'Content-Type': 'text/plain' });
+      res.end('Connect with a WebSocket client to receive agent events\n');
+    });
+    this.server.on('upgrade', (req, socket) => this.accept(req, socket));
+    this.server.on('error', error => this.log(`⚠️ Output WebSocket server on port ${port}: ${error.message}`));
+    this.server.listen(port, host, () => this.log(`📡 Streaming agent output on ws://${host}:${this.server.address().port}`));
+  }
+
+  accept(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = createHash('sha1').update(`${key}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`).digest('base64');
+    socket.write(['HTTP/1.1 101 Switching Protocols', 'Upgrade: websocket', 'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`, '', ''].join('\r\n'));
+    this.clients.add(socket);
+    socket.on('data', data => this.receive(socket, data));
+    socket.on('close', () => this.clients.delete(socket));
+    socket.on('error', () => this.clients.delete(socket));
+    this.recent.forEach(event => socket.write(frame(0x1, JSON.stringify(event))));
+  }
+
+  // Clients only ever send control frames worth answering: ping and close
+  receive(socket, data) {
+    const opcode = data[0] & 0x0f;
+    if (opcode === 0x8) {
+      socket.end(frame(0x8, ''));
+    } else if (opcode === 0x9) {
+      socket.write(frame(0xa, unmask(data)));
+    }
+  }
+
+  write(event) {
+    this.recent.push(event);
+    if (this.recent.length > this.backlog) this.recent.shift();
+    const message = frame(0x1, JSON.stringify(event));
+    this.clients.forEach(socket => socket.write(message));
+  }
+
+  close() {
+    this.clients.forEach(socket => socket.end(frame(0x8, '')));
+    this.clients.clear();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
+
+function frame(opcode, payload) {
+  const body = Buffer.from(payload);
+  let header;
+  if (body.length < 126) {
+    header = Buffer.from([0x80 | opcode, body.length]);
+  } else if (body.length < 65536) {
+    header = Buffer.from([0x80 | opcode, 126, 0, 0]);
+    header.writeUInt16BE(body.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(body.length), 2);
+  }
+  return Buffer.concat([header, body]);
+}
+
+// Payload of a short (< 126 bytes) client frame, which is always masked
+function unmask(data) {
+  const length = data[1] & 0x7f;
+  const mask = data.subarray(2, 6);
+  return Buffer.from(data.subarray(6, 6 + length).map((byte, i) => byte ^ mask[i % 4]));
+}
+
+// Log lines and messages go to the *Multi-Agent-System* buffer (and the agent's own buffer);
+// streamed tokens are batched into the agent's buffer every 250ms. Needs the functions that
+// UltimateMultiAgentSystem.inhabitEmacs defines.
+export class EmacsSink {
+  constructor({ emacs, flushMs = 250 } = {}) {
+    this.name = 'emacs';
+    this.emacs = emacs;
+    this.flushMs = flushMs;
+    this.streams = new Map();
+  }
+
+  write(event) {
+    switch (event.type) {
+      case 'log':
+        this.emacs.notify(elisp`(mas-agent-broadcast "system" ${event.message})`);
+        break;
+      case 'message':
+      case 'thoughts':
+        this.emacs.notify(elisp`(mas-agent-broadcast ${event.agent} ${event.text})`);
+        break;
+      case 'stream': {
+        // A run's output starts on a fresh line
+        const stream = this.streams.get(event.agent) || { pending: '\n', timer: null };
+        stream.pending += event.text;
+        stream.timer ??= setTimeout(() => this.flush(event.agent), this.flushMs);
+        this.streams.set(event.agent, stream);
+        break;
+      }
+      case 'stream-end':
+        this.flush(event.agent);
+        this.streams.delete(event.agent);
+        break;
+    }
+  }
+
+  flush(agent) {
+    const stream = this.streams.get(agent);
+    if (!stream) return;
+    clearTimeout(stream.timer);
+    stream.timer = null;
+    if (stream.pending) this.emacs.notify(elisp`(mas-agent-stream ${agent} ${stream.pending})`);
+    stream.pending = '';
+  }
+
+  close() {
+    Array.from(this.streams.keys()).forEach(agent => this.flush(agent));
+  }
+}
+
+export class OutputSinks {
+  constructor(sinks = [new ConsoleSink()]) {
+    this.sinks = sinks;
+  }
+
+  has(name) {
+    return this.sinks.some(sink => sink.name === name);
+  }
+
+  // A failing sink (full disk, closed socket) must not take the agents down with it
+  write(event) {
+    const stamped = { at: new Date().toISOString(), ...event };
+    for (const sink of this.sinks) {
+      try {
+        sink.write(stamped);
+      } catch (error) {
+        console.error(`⚠️ Output sink ${sink.name} failed: ${error.message}`);
+      }
+    }
+  }
+
+  log(message) {
+    this.write({ type: 'log', message });
+  }
+
+  message(agent, text) {
+    this.write({ type: 'message', agent, text });
+  }
+
+  thoughts(agent, text) {
+    this.write({ type: 'thoughts', agent, text });
+  }
+
+  stream(agent, text) {
+    this.write({ type: 'stream', agent, text });
+  }
+
+  endStream(agent) {
+    this.write({ type: 'stream-end', agent });
+  }
+
+  async close() {
+    await Promise.all(this.sinks.map(sink => sink.close?.()));
+  }
+}
+
+// { sinks: ['console', 'emacs'], dir, port, emacs, log } -> OutputSinks
+export function createOutputSinks({ sinks = ['console', 'emacs'], dir, port, emacs, log = () => {} } = {}) {
+  const unknown = sinks.filter(name => !OUTPUT_SINKS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown output sink: ${unknown.join(', ')}. Available: ${OUTPUT_SINKS.join(', ')}`);
+  }
+
+  return new OutputSinks(sinks.map(name => {
+    switch (name) {
+      case 'console': return new ConsoleSink();
+      case 'jsonl': return new JsonlSink({ dir });
+      case 'websocket': return new WebSocketSink({ port, log });
+      case 'emacs': return new EmacsSink({ emacs });
+    }
+  }));
+}
+
+// AGENT_OUTPUT=console,jsonl,websocket,emacs picks the sinks (default: console,emacs);
+// AGENT_HEADLESS=1 means console,jsonl, with no Emacs at all
+export function outputConfigFromEnv(env = process.env) {
+  const headless = env.AGENT_HEADLESS === '1' || env.AGENT_HEADLESS === 'true';
+  const sinks = (env.AGENT_OUTPUT || (headless ? 'console,jsonl' : 'console,emacs'))
+    .split(',').map(name => name.trim()).filter(Boolean);
+  return { sinks: headless ? sinks.filter(name => name !== 'emacs') : sinks };
+}
+
+// Prints an agent's transcript from the jsonl sink, the way its Emacs buffer shows it:
+//   node output-sinks.js transcript <agent> [--dir .agent-output]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const dirIndex = args.indexOf('--dir');
+  const dir = path.resolve(dirIndex === -1 ? process.env.AGENT_OUTPUT_DIR || DEFAULT_OUTPUT_DIR : args.splice(dirIndex, 2)[1]);
+  const [command, agent] = args;
+
+  if (command !== 'transcript' || !agent) {
+    const agents = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => file.endsWith('.jsonl') && file !== 'events.jsonl') : [];
+    console.log('Usage: node output-sinks.js transcript <agent> [--dir <dir>]');
+    if (agents.length > 0) console.log(`Agents in ${dir}: ${agents.map(file => file.replace(/\.jsonl$/, '')).join(', ')}`);
+    process.exit(command ? 1 : 0);
+  }
+
+  const file = transcriptFile(dir, agent);
+  if (!fs.existsSync(file)) {
+    console.error(`No transcript for ${agent} in ${dir}`);
+    process.exit(1);
+  }
+  for (const line of fs.readFileSync(file, 'utf8').split('\n').filter(Boolean)) {
+    const event = JSON.parse(line);
+    console.log(event.type === 'stream' ? event.text : `[${time(event.at)}] ${event.agent}: ${event.text}`);
+  }
+}
@@ -0,0 +1,203 @@
+// retry-policy.js - Retries with backoff for API calls, and a circuit breaker shared per backend
+
+export class CircuitOpenError extends Error {
+  constructor(name, retryInMs) {
+    super(`Backend ${name} is unavailable (circuit open, retry in ${Math.ceil(retryInMs / 1000)}s)`);
+    this.name = 'CircuitOpenError';
+    this.retryInMs = retryInMs;
+  }
+}
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Network failures, timeouts, rate limits and gateway errors are worth another try; 4xx are not
+export function isRetryableError(error) {
+  if (error instanceof CircuitOpenError || error.name === 'AbortError') return false;
+  if (error.name === 'NetworkError') return true;
+  return RETRYABLE_STATUSES.has(error.status);
+}
+
+// For requests that create something (a run, a message, an assistant): only failures that
+// show the server never acted on it. A timeout or 5xx may come after it did, and retrying
+// then makes a duplicate.
+export function isSafeToRetryCreate(error) {
+  if (error.name === 'NetworkError') return Boolean(error.beforeSend);
+  return error.status === 408 || error.status === 429;
+}
+
+// "1s", "6m0s", "250ms", "1h2m3.5s" as used by x-ratelimit-reset-* headers
+function parseDuration(value) {
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(value)) return Number(value) * 1000;
+
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  let total = 0;
+  let matched = false;
+  for (const [, amount, unit] of value.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+    total += Number(amount) * units[unit];
+    matched = true;
+  }
+  return matched ? total : null;
+}
+
+// How long the server asked us to wait, if it said so
+export function serverRequestedDelay(headers = {}) {
+  const header = name => headers[name] ?? headers[name.toLowerCase()];
+  const delays = [];
+
+  const retryAfterMs = header('retry-after-ms');
+  if (retryAfterMs && !Number.isNaN(Number(retryAfterMs))) {
+    delays.push(Number(retryAfterMs));
+  }
+
+  const retryAfter = header('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    delays.push(Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000);
+  }
+
+  // Only wait on a rate-limit window that is actually exhausted
+  for (const kind of ['requests', 'tokens']) {
+    if (header(`x-ratelimit-remaining-${kind}`) === '0') {
+      delays.push(parseDuration(header(`x-ratelimit-reset-${kind}`)));
+    }
+  }
+
+  const valid = delays.filter(delay => Number.isFinite(delay) && delay >= 0);
+  return valid.length > 0 ? Math.max(...valid) : null;
+}
+
+export class RetryPolicy {
+  constructor({ maxRetries = 4, baseDelayMs = 500, maxDelayMs = 30000, jitter = 0.5, isRetryable = isRetryableError } = {}) {
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.jitter = jitter;
+    this.isRetryable = isRetryable;
+  }
+
+  delayFor(error, attempt) {
+    const requested = serverRequestedDelay(error.headers || {});
+    if (requested !== null) {
+      return Math.min(requested, this.maxDelayMs);
+    }
+
+    const exponential = Math.min(this.baseDelayMs * 2 ** attempt, this.maxDelayMs);
+    return exponential * (1 - this.jitter * Math.random());
+  }
+
+  // isRetryable narrows this policy's rule for one operation
+  async execute(operation, { onRetry, isRetryable = () => true } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await operation(attempt);
+      } catch (error) {
+        if (attempt >= this.maxRetries || !this.isRetryable(error) || !isRetryable(error)) {
+          throw error;
+        }
+
+        const delay = this.delayFor(error, attempt);
+        onRetry?.({ error, attempt: attempt + 1, delay });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+// closed -> (failureThreshold consecutive backend failures) -> open -> (cooldown) -> half-open
+// -> one trial request -> closed on success, open again on failure
+export class CircuitBreaker {
+  constructor({
+    name = 'backend',
+    failureThreshold = 5,
+    cooldownMs = 30000,
+    maxCooldownMs = 5 * 60 * 1000,
+    log = message => console.log(`[${new Date().toLocaleTimeString()}] ${message}`)
+  } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.baseCooldownMs = cooldownMs;
+    this.cooldownMs = cooldownMs;
+    this.maxCooldownMs = maxCooldownMs;
+    this.log = log;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  isOpen() {
+    return this.state === 'open' && Date.now() - this.openedAt < this.cooldownMs;
+  }
+
+  remainingMs() {
+    return this.state === 'open' ? Math.max(this.openedAt + this.cooldownMs - Date.now(), 0) : 0;
+  }
+
+  // Throws CircuitOpenError instead of letting a request through while the backend is down;
+  // returns true when the caller is the half-open trial (and must settle it)
+  beforeRequest() {
+    if (this.state === 'closed') return false;
+
+    if (this.isOpen() || (this.state === 'half-open' && this.trialInFlight)) {
+      throw new CircuitOpenError(this.name, this.remainingMs() || this.cooldownMs);
+    }
+
+    this.state = 'half-open';
+    this.trialInFlight = true;
+    return true;
+  }
+
+  // A trial we cancelled ourselves says nothing about the backend: back to open, so the next
+  // request (the cooldown has already passed) becomes the trial instead
+  releaseTrial() {
+    if (this.state !== 'half-open' || !this.trialInFlight) return;
+    this.trialInFlight = false;
+    this.state = 'open';
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      this.log(`✅ ${this.name} is reachable again, resuming agents`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.cooldownMs = this.baseCooldownMs;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    if (!isRetryableError(error)) {
+      // The backend answered; a bad request says nothing about its health
+      this.recordSuccess();
+      return;
+    }
+
+    this.failures++;
+    if (this.state === 'half-open') {
+      this.cooldownMs = Math.min(this.cooldownMs * 2, this.maxCooldownMs);
+      this.open(error);
+    } else if (this.failures >= this.failureThreshold) {
+      this.open(error);
+    }
+  }
+
+  open(error) {
+    this.state = 'open';
+    this.openedAt = Date.now();
+    this.trialInFlight = false;
+    this.log(`🔌 ${this.name} looks down (${error.message}); pausing agents for ${Math.round(this.cooldownMs / 1000)}s`);
+  }
+}
+
+// Every client talking to the same backend shares one breaker, so five swarm agents
+// (and the factory) back off together instead of each hammering it on their own interval
+const breakers = new Map();
+
+export function circuitBreakerFor(endpoint, options = {}) {
+  const key = new URL(endpoint).origin;
+  if (!breakers.has(key)) {
+    breakers.set(key, new CircuitBreaker({ name: key, ...options }));
+  }
+  return breakers.get(key);
+}
@@ -0,0 +1,177 @@
+// run-lifecycle.js - Runs from creation to a terminal status, with deadlines and cancellation
+//
+// Every run started through a RunManager is tracked until it settles. A run that outlives its
+// deadline, or is still active at shutdown, is cancelled server-side so its thread is not left
+// locked. Callers get a structured outcome instead of a bare status string.
+
+import { streamRun } from './run-stream.js';
+
+export const ACTIVE_RUN_STATUSES = ['queued', 'in_progress', 'requires_action', 'cancelling'];
+export const TERMINAL_RUN_STATUSES = ['completed', 'failed', 'cancelled', 'expired', 'incomplete'];
+
+export class RunDeadlineError extends Error {
+  constructor(deadlineMs) {
+    super(`Run exceeded its ${Math.round(deadlineMs / 1000)}s deadline`);
+    this.name = 'RunDeadlineError';
+    this.deadlineMs = deadlineMs;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function outcomeFor(run, { text = '', timedOut = false, cancelReason = null } = {}) {
+  const status = run?.status || 'unknown';
+  return {
+    ok: status === 'completed',
+    status,
+    run,
+    runId: run?.id || null,
+    threadId: run?.thread_id || null,
+    text,
+    timedOut,
+    cancelReason,
+    lastError: run?.last_error ? { code: run.last_error.code, message: run.last_error.message } : null,
+    incompleteDetails: run?.incomplete_details ? { reason: run.incomplete_details.reason } : null,
+    usage: run?.usage || null
+  };
+}
+
+// One line for logs, e.g. "failed (rate_limit_exceeded: Rate limit reached)"
+export function describeOutcome(outcome) {
+  if (outcome.ok) return 'completed';
+  if (outcome.timedOut) return `timed out and ${outcome.status}`;
+  if (outcome.lastError) return `${outcome.status} (${outcome.lastError.code}: ${outcome.lastError.message})`;
+  if (outcome.incompleteDetails) return `${outcome.status} (${outcome.incompleteDetails.reason})`;
+  if (outcome.cancelReason) return `${outcome.status} (${outcome.cancelReason})`;
+  return outcome.status;
+}
+
+export class RunManager {
+  constructor({ client, log = () => {}, deadlineMs = 5 * 60 * 1000, pollIntervalMs = 1000, cancelWaitMs = 10000 }) {
+    this.client = client;
+    this.log = log;
+    this.deadlineMs = deadlineMs;
+    this.pollIntervalMs = pollIntervalMs;
+    this.cancelWaitMs = cancelWaitMs;
+    this.active = new Map();
+  }
+
+  // Options: deadlineMs, stream (default true), onDelta, onToolCalls(toolCalls, run) -> outputs, onEvent
+  async execute(threadId, runBody, { deadlineMs = this.deadlineMs, stream = true, onDelta, onToolCalls, onEvent } = {}) {
+    const controller = new AbortController();
+    const entry = { threadId, runId: null, controller, cancelReason: null };
+    const timer = setTimeout(() => {
+      entry.cancelReason = 'deadline';
+      controller.abort(new RunDeadlineError(deadlineMs));
+    }, deadlineMs);
+
+    const track = (run) => {
+      if (run?.id && !entry.runId) {
+        entry.runId = run.id;
+        this.active.set(run.id, entry);
+      }
+    };
+
+    let run = null;
+    let text = '';
+    try {
+      if (stream) {
+        ({ run, text } = await streamRun(this.client, threadId, runBody, {
+          signal: controller.signal,
+          onDelta,
+          onToolCalls,
+          onEvent: (event, data) => {
+            if (event === 'thread.run.created') track(data);
+            onEvent?.(event, data);
+          }
+        }));
+      } else {
+        ({ run, text } = await this.poll(threadId, runBody, { signal: controller.signal, onToolCalls, onEvent, track }));
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        // A throwing tool handler or broken stream would otherwise leave the run holding its thread
+        if (entry.runId) {
+          await this.cancelAndSettle(threadId, entry.runId, error.message);
+          this.active.delete(entry.runId);
+        }
+        throw error;
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+
+    // Aborted (deadline or shutdown) or the stream ended mid-run: settle it server-side
+    if (entry.runId && (!run || ACTIVE_RUN_STATUSES.includes(run.status))) {
+      run = await this.cancelAndSettle(threadId, entry.runId, entry.cancelReason || 'stream ended early');
+    }
+
+    this.active.delete(entry.runId);
+    return outcomeFor(run, { text, timedOut: entry.cancelReason === 'deadline', cancelReason: entry.cancelReason });
+  }
+
+  // Status polling for backends or callers that do not stream
+  async poll(threadId, runBody, { signal, onToolCalls, onEvent, track }) {
+    let run = await this.client.createRun(threadId, runBody);
+    track(run);
+    onEvent?.('thread.run.created', run);
+
+    while (!TERMINAL_RUN_STATUSES.includes(run.status)) {
+      signal.throwIfAborted();
+
+      if (run.status === 'requires_action') {
+        const toolCalls = run.required_action.submit_tool_outputs.tool_calls;
+        const outputs = await onToolCalls(toolCalls, run);
+        signal.throwIfAborted();
+        run = await this.client.submitToolOutputs(threadId, run.id, outputs);
+      } else {
+        await sleep(this.pollIntervalMs);
+        signal.throwIfAborted();
+        run = await this.client.getRun(threadId, run.id);
+      }
+      onEvent?.(`thread.run.${run.status}`, run);
+    }
+
+    const text = run.status === 'completed' ? (await this.client.latestAssistantText(threadId)) || '' : '';
+    return { run, text };
+  }
+
+  // Request cancellation and wait (bounded) for the run to leave cancelling
+  async cancelAndSettle(threadId, runId, reason) {
+    this.log(`🛑 Cancelling run ${runId} (${reason})`);
+
+    let run;
+    try {
+      run = await this.client.cancelRun(threadId, runId);
+    } catch (error) {
+      // Most likely it finished in the meantime; report whatever state it is in now
+      this.log(`⚠️ Cancel request for ${runId} failed: ${error.message}`);
+      run = await this.client.getRun(threadId, runId).catch(() => null);
+    }
+
+    const waitUntil = Date.now() + this.cancelWaitMs;
+    while (run && !TERMINAL_RUN_STATUSES.includes(run.status) && Date.now() < waitUntil) {
+      await sleep(Math.min(this.pollIntervalMs, 500));
+      run = await this.client.getRun(threadId, runId).catch(() => run);
+    }
+
+    return run || { id: runId, thread_id: threadId, status: 'cancelling' };
+  }
+
+  // Abort every tracked run; execute() then cancels each one server-side
+  async cancelAll(reason = 'shutdown') {
+    const entries = Array.from(this.active.values());
+    for (const entry of entries) {
+      entry.cancelReason = reason;
+      entry.controller.abort(new Error(reason));
+    }
+
+    const waitUntil = Date.now() + this.cancelWaitMs + 1000;
+    while (this.active.size > 0 && Date.now() < waitUntil) {
+      await sleep(100);
+    }
+    return entries.length;
+  }
+}
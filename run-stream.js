@@ -0,0 +1,85 @@
+// run-stream.js - Drive an Assistants run over the streaming (SSE) API
+//
+// Text deltas are handed to onDelta as they arrive; when the run asks for tools, onToolCalls
+// executes them and the outputs are submitted on a new stream, until the run settles.
+
+import { AssistantsApiError } from './assistants-client.js';
+
+function isRunEvent(event) {
+  return event.startsWith('thread.run.') && !event.startsWith('thread.run.step.');
+}
+
+function deltaText(delta) {
+  return (delta?.content || [])
+    .filter(part => part.type === 'text')
+    .map(part => part.text?.value || '')
+    .join('');
+}
+
+function messageText(message) {
+  return (message?.content || [])
+    .filter(part => part.type === 'text')
+    .map(part => part.text?.value || '')
+    .join('');
+}
+
+// Resolves to { run, text } where run is the last run snapshot and text the final assistant message.
+// Aborting the signal stops reading; settling the run server-side is up to the caller (see run-lifecycle.js).
+export async function streamRun(client, threadId, runBody, { onDelta, onToolCalls, onEvent, signal } = {}) {
+  let stream = client.createRunStream(threadId, runBody, { signal });
+  let run = null;
+  let text = '';
+
+  while (stream) {
+    let toolCalls = null;
+
+    for await (const { event, data } of stream) {
+      onEvent?.(event, data);
+
+      if (isRunEvent(event)) {
+        run = data;
+      }
+
+      switch (event) {
+        case 'thread.message.created':
+          text = '';
+          break;
+        case 'thread.message.delta': {
+          const chunk = deltaText(data.delta);
+          if (chunk) {
+            text += chunk;
+            onDelta?.(chunk);
+          }
+          break;
+        }
+        case 'thread.message.completed':
+          text = messageText(data) || text;
+          break;
+        case 'thread.run.requires_action':
+          toolCalls = data.required_action.submit_tool_outputs.tool_calls;
+          break;
+        case 'error':
+          throw new AssistantsApiError(`Run stream error: ${data?.message || JSON.stringify(data)}`, {
+            code: data?.code || null,
+            body: data
+          });
+      }
+    }
+
+    stream = null;
+    if (toolCalls) {
+      if (!onToolCalls) {
+        throw new Error('Run requires tool outputs but no onToolCalls handler was given');
+      }
+      const outputs = await onToolCalls(toolCalls, run);
+      signal?.throwIfAborted();
+      stream = client.submitToolOutputsStream(threadId, run.id, outputs, { signal });
+    }
+  }
+
+  if (!run) {
+    throw new AssistantsApiError('Run stream ended without any run events');
+  }
+
+  return { run, text };
+}
@@ -1,187 +1,127 @@
 #!/usr/bin/env node
 
 // Simple Task Demo - Ask real Azure AI agents for Emacs Lisp
-import { spawn } from 'child_process';
-
-class SimpleAgentTask {
-  constructor() {
-    this.apiKey = null;
-    this.endpoint = 'https://actualizedai-instance01.openai.azure.com/';
-  }
-
-  async getApiKey() {
-    return new Promise((resolve, reject) => {
-      const proc = spawn('az', [
-        'cognitiveservices', 'account', 'keys', 'list',
-        '--name', 'ActualizedAI-Instance01',
-        '--resource-group', 'vp_of_development',
-        '--query', 'key1',
-        '--output', 'tsv'
-      ]);
-      
-      let output = '';
-      proc.stdout.on('data', data => output += data);
-      proc.on('close', code => {
-        if (code === 0) {
-          resolve(output.trim());
-        } else {
-          reject(new Error('Failed to get API key'));
-        }
-      });
+import { AssistantsClient } from './assistants-client.js';
+import { createCredentialProvider } from './credentials.js';
+import { RunManager, describeOutcome } from './run-lifecycle.js';
+import { configFromArgs } from './config.js';
+
+export const EMACS_LISP_PROMPT = 'Write some simple Emacs Lisp code that outputs a message to the Emacs message buffer. Make it friendly and show that you are a real AI agent working.';
+
+export class SimpleAgentTask {
+  // Endpoint, key, assistant and Azure resource come from agent.config.yaml (see config.js);
+  // --profile local-mock points the demo at mock-assistants-server.js. Pass client to reuse an
+  // existing connection (cli.js does) and log to redirect the step-by-step output.
+  constructor({ endpoint, apiKey, assistantId = null, azure = {}, client = null, log = console.log, deadlineMs = 60000 } = {}) {
+    if (!client && !endpoint) throw new Error('No endpoint configured: set provider.endpoint in agent.config.yaml or AZURE_OPENAI_ENDPOINT');
+    this.endpoint = endpoint;
+    this.assistantId = assistantId;
+    this.log = log;
+    this.credentials = client ? null : createCredentialProvider({
+      sources: apiKey ? ['api-key'] : ['az-cli-key'],
+      apiKey,
+      subscription: azure.subscription,
+      resourceName: azure.resourceName,
+      resourceGroup: azure.resourceGroup
     });
-  }
-
-  async makeApiCall(method, endpoint, data = null) {
-    console.log(`📡 Making ${method} call to: ${endpoint}`);
-    if (data) {
-      console.log(`📝 Payload: ${JSON.stringify(data, null, 2)}`);
-    }
-    
-    return new Promise((resolve, reject) => {
-      const curlArgs = [
-        '--request', method,
-        '--url', `${this.endpoint}${endpoint}?api-version=2024-05-01-preview`,
-        '--header', `api-key: ${this.apiKey}`,
-        '--header', 'Content-Type: application/json',
-        '--silent',
-        '--show-error'
-      ];
-
-      if (data) {
-        curlArgs.push('--data', JSON.stringify(data));
-      }
-
-      console.log(`🔧 Raw curl command: curl ${curlArgs.join(' ')}`);
-
-      const curl = spawn('curl', curlArgs);
-      let output = '';
-      let error = '';
-
-      curl.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-
-      curl.stderr.on('data', (data) => {
-        error += data.toString();
-      });
-
-      curl.on('close', (code) => {
-        console.log(`📨 Raw API Response: ${output}`);
-        if (error) console.log(`⚠️  Stderr: ${error}`);
-        
-        if (code === 0) {
-          try {
-            resolve(JSON.parse(output));
-          } catch (e) {
-            reject(new Error(`Parse error: ${output}`));
-          }
-        } else {
-          reject(new Error(`API call failed (${code}): ${error}`));
+    this.client = client || new AssistantsClient({
+      endpoint: this.endpoint,
+      auth: () => this.credentials.getAuthHeaders(),
+      onUnauthorized: () => this.credentials.invalidate(),
+      onRequest: ({ method, url, body }) => {
+        this.log(`📡 Making ${method} call to: ${url}`);
+        if (body) {
+          this.log(`📝 Payload: ${JSON.stringify(body, null, 2)}`);
         }
-      });
+      },
+      onResponse: ({ status, body }) => {
+        this.log(`📨 Raw API Response (${status}): ${JSON.stringify(body)}`);
+      }
     });
+    this.runs = new RunManager({ client: this.client, log: this.log, deadlineMs, pollIntervalMs: 2000 });
   }
 
-  async askAgentForEmacsLisp(assistantId, agentName) {
-    console.log(`\n🤖 Asking ${agentName} for Emacs Lisp...`);
-    console.log(`   Assistant ID: ${assistantId}`);
+  // Asks an assistant one question in a new thread and returns its answer; throws when the run
+  // does not complete or produces no text
+  async ask(assistantId, prompt, agentName = assistantId) {
+    this.log(`\n🤖 Asking ${agentName}...`);
+    this.log(`   Assistant ID: ${assistantId}`);
     
     // Step 1: Create a thread
-    console.log('\n📎 Step 1: Creating conversation thread...');
-    const threadResponse = await this.makeApiCall('POST', 'openai/threads', {});
+    this.log('\n📎 Step 1: Creating conversation thread...');
+    const threadResponse = await this.client.createThread({});
     const threadId = threadResponse.id;
-    console.log(`✅ Thread created: ${threadId}`);
+    this.log(`✅ Thread created: ${threadId}`);
 
     // Step 2: Add the message
-    console.log('\n💬 Step 2: Adding message to thread...');
+    this.log('\n💬 Step 2: Adding message to thread...');
     const messageData = {
       role: 'user',
-      content: 'Write some simple Emacs Lisp code that outputs a message to the Emacs message buffer. Make it friendly and show that you are a real AI agent working.'
+      content: prompt
     };
     
-    await this.makeApiCall('POST', `openai/threads/${threadId}/messages`, messageData);
-    console.log('✅ Message added to thread');
+    await this.client.createMessage(threadId, messageData);
+    this.log('✅ Message added to thread');
 
     // Step 3: Create and run the conversation
-    console.log('\n🏃 Step 3: Running the conversation...');
+    this.log('\n🏃 Step 3: Running the conversation...');
     const runData = {
       assistant_id: assistantId
     };
-    
-    const runResponse = await this.makeApiCall('POST', `openai/threads/${threadId}/runs`, runData);
-    const runId = runResponse.id;
-    console.log(`✅ Run started: ${runId}`);
 
-    // Step 4: Wait for completion
-    console.log('\n⏳ Step 4: Waiting for AI response...');
-    let attempts = 0;
-    
-    while (attempts < 30) {
-      console.log(`   Checking run status (attempt ${attempts + 1})...`);
-      
-      const run = await this.makeApiCall('GET', `openai/threads/${threadId}/runs/${runId}`);
-      console.log(`   Status: ${run.status}`);
-      
-      if (run.status === 'completed') {
-        console.log('✅ Run completed! Getting messages...');
-        
-        // Get the response
-        const messages = await this.makeApiCall('GET', `openai/threads/${threadId}/messages`);
-        const assistantMessage = messages.data.find(msg => msg.role === 'assistant');
-        
-        if (assistantMessage) {
-          const response = assistantMessage.content[0].text.value;
-          console.log(`\n🎯 ${agentName} responded:`);
-          console.log('═'.repeat(80));
-          console.log(response);
-          console.log('═'.repeat(80));
-          return response;
-        } else {
-          throw new Error('No assistant message found');
+    // Step 4: Wait for completion; a run still going after the deadline is cancelled
+    const outcome = await this.runs.execute(threadId, runData, {
+      stream: false,
+      // Nothing here runs tools; the assistant is told so and answers without them
+      onToolCalls: (toolCalls) => toolCalls.map(call => {
+        this.log(`   ⏭️ Declined tool call: ${call.function?.name || call.type}`);
+        return { tool_call_id: call.id, output: JSON.stringify({ success: false, error: 'No tools are available here; answer directly' }) };
+      }),
+      onEvent: (event, run) => {
+        if (event === 'thread.run.created') {
+          this.log(`✅ Run started: ${run.id}`);
+          this.log('\n⏳ Step 4: Waiting for AI response...');
         }
+        this.log(`   Status: ${run.status}`);
       }
-      
-      if (run.status === 'failed') {
-        console.log('❌ Run failed:');
-        console.log(JSON.stringify(run.last_error, null, 2));
-        throw new Error(`Run failed: ${run.last_error?.message || 'Unknown error'}`);
-      }
+    });
+
+    if (!outcome.ok) {
+      this.log(`❌ Run ${outcome.status}:`);
+      this.log(JSON.stringify(outcome.lastError || outcome.incompleteDetails || {}, null, 2));
+      throw new Error(`Run ${describeOutcome(outcome)}`);
+    }
 
-      // Wait before checking again
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      attempts++;
+    if (!outcome.text) {
+      throw new Error('No assistant message found');
     }
 
-    throw new Error('Run timed out after 30 attempts');
+    this.log(`\n🎯 ${agentName} responded:`);
+    this.log('═'.repeat(80));
+    this.log(outcome.text);
+    this.log('═'.repeat(80));
+    return outcome.text;
+  }
+
+  async askAgentForEmacsLisp(assistantId, agentName) {
+    return await this.ask(assistantId, EMACS_LISP_PROMPT, `${agentName} for Emacs Lisp`);
   }
 
   async runDemo() {
     console.log('🚀 Simple Task Demo: Real Azure AI Agents');
     console.log('=========================================\n');
 
+    if (!this.assistantId) {
+      throw new Error('No assistant configured: set provider.assistantId in agent.config.yaml or AGENT_ASSISTANT_ID');
+    }
+
     // Get API key
     console.log('🔑 Getting Azure API key...');
-    this.apiKey = await this.getApiKey();
-    console.log('✅ API key retrieved');
-
-    // These are your actual live agents from the previous session
-    const agents = [
-      {
-        name: 'Sarah Chen (Senior Developer)',
-        assistantId: 'asst_Hr1f0BSUrliCR3QfwCBB53Xb'
-      },
-      {
-        name: 'Alex Rodriguez (Security Analyst)', 
-        assistantId: 'asst_iK8O8KjehR5xcfZqwwJ2aaOf'
-      },
-      {
-        name: 'Morgan Kim (DevOps Architect)',
-        assistantId: 'asst_mMl0T7WcqTk1K5B5LkzfMJEP'
-      }
-    ];
+    const credential = await this.credentials.getToken();
+    console.log(`✅ API key retrieved (${credential.source})`);
 
-    // Ask one of them for Emacs Lisp
-    const selectedAgent = agents[0]; // Sarah Chen
+    // The configured assistant (provider.assistantId)
+    const selectedAgent = { name: 'Configured assistant', assistantId: this.assistantId };
     
     console.log(`\n🎯 Selected agent: ${selectedAgent.name}`);
     console.log(`   This is a REAL Azure OpenAI assistant`);
@@ -206,6 +146,17 @@ class SimpleAgentTask {
   }
 }
 
-// Run the demo
-const demo = new SimpleAgentTask();
-demo.runDemo().catch(console.error);
\ No newline at end of file
+// Run the demo (or ask any agent anything with: node cli.js ask <agent> "<prompt>"):
+//   node simple-task-demo.js [--profile local-mock]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const config = configFromArgs();
+  config.describe().forEach(line => console.log(line));
+  const { provider, assistantId, azure } = config.options();
+  try {
+    const demo = new SimpleAgentTask({ endpoint: provider.endpoint, apiKey: provider.apiKey, assistantId, azure });
+    await demo.runDemo();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,285 @@
+// speech.js - Text-to-speech for the agents, on whatever the host has
+//
+// A backend turns (text, voice) into sound: say (macOS), espeak-ng, piper (a local neural TTS),
+// file (renders WAV or MP3 into a directory instead of playing) or none. Voices are named as the
+// persona files name them (macOS voices: Alex, Victoria, ...); VOICE_MAP gives each
+// one's closest espeak-ng variant and Piper model, and rates are words per minute everywhere.
+// Every utterance goes through one SpeechQueue, so agents speak one after another.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { DEFAULT_OUTPUT_DIR } from './output-sinks.js';
+
+export const SPEECH_BACKENDS = ['say', 'espeak', 'piper', 'file', 'none'];
+export const DEFAULT_VOICE = { voice: 'Samantha', rate: 165 };
+export const DEFAULT_SPEECH_DIR = path.join(DEFAULT_OUTPUT_DIR, 'speech');
+
+export const VOICE_MAP = {
+  Alex: { espeak: 'en-us+m3', piper: 'en_US-ryan-medium' },
+  Victoria: { espeak: 'en-us+f3', piper: 'en_US-amy-medium' },
+  Karen: { espeak: 'en+f4', piper: 'en_GB-alba-medium' },
+  Daniel: { espeak: 'en-gb+m1', piper: 'en_GB-alan-medium' },
+  Samantha: { espeak: 'en-us+f2', piper: 'en_US-lessac-medium' }
+};
+
+// Piper speaks at roughly this many words per minute with --length_scale 1
+const PIPER_BASE_RATE = 170;
+
+export function onPath(program, env = process.env) {
+  return (env.PATH || '').split(path.delimiter).filter(Boolean).some(dir => {
+    try {
+      fs.accessSync(path.join(dir, program), fs.constants.X_OK);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+}
+
+// Runs a program without a shell, feeding input on stdin so the text is never parsed as options
+function run(program, args, { input = '', timeoutMs = 120000 } = {}) {
+  return new Promise((resolve) => {
+    const child = spawn(program, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+    let errors = '';
+    const timer = setTimeout(() => child.kill(), timeoutMs);
+
+    child.stderr.on('data', (data) => errors += data.toString());
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      resolve({ success: false, error: err.code === 'ENOENT' ? `${program} is not installed` : err.message });
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      resolve(code === 0
+        ? { success: true }
+        : { success: false, error: errors.trim().split('\n').pop() || (signal ? `${program} killed by ${signal}` : `${program} exited with code ${code}`) });
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+// Plays a WAV file with the first player the host has
+function play(file, player) {
+  const args = {
+    afplay: [file],
+    paplay: [file],
+    aplay: ['-q', file],
+    ffplay: ['-nodisp', '-autoexit', '-loglevel', 'quiet', file]
+  };
+  const program = player || ['afplay', 'paplay', 'aplay', 'ffplay'].find(name => onPath(name));
+  if (!program) return Promise.resolve({ success: false, error: 'no audio player found (afplay, paplay, aplay or ffplay)' });
+  return run(program, args[program] || [file]);
+}
+
+export class SayBackend {
+  constructor() {
+    this.name = 'say';
+  }
+
+  // say takes the macOS names as they are
+  speak(text, { voice, rate }) {
+    return run('say', ['-v', voice, '-r', String(rate)], { input: text });
+  }
+
+  render(text, { voice, rate }, file) {
+    return run('say', ['-v', voice, '-r', String(rate), '--file-format=WAVE', '--data-format=LEI16', '-o', file], { input: text });
+  }
+}
+
+export class EspeakBackend {
+  // Older distributions only ship espeak, which takes the same options
+  constructor({ program = !onPath('espeak-ng') && onPath('espeak') ? 'espeak' : 'espeak-ng' } = {}) {
+    this.name = 'espeak';
+    this.program = program;
+  }
+
+  voiceFor(voice) {
+    return VOICE_MAP[voice]?.espeak || 'en-us';
+  }
+
+  speak(text, { voice, rate }) {
+    return run(this.program, ['-v', this.voiceFor(voice), '-s', String(rate), '--stdin'], { input: text });
+  }
+
+  render(text, { voice, rate }, file) {
+    return run(this.program, ['-v', this.voiceFor(voice), '-s', String(rate), '-w', file, '--stdin'], { input: text });
+  }
+}
+
+// Piper models are <models>/<name>.onnx (with their .onnx.json beside them)
+export class PiperBackend {
+  constructor({
+    program = 'piper',
+    models = process.env.AGENT_PIPER_MODELS || path.join(os.homedir(), '.local', 'share', 'piper'),
+    player = process.env.AGENT_AUDIO_PLAYER || null
+  } = {}) {
+    this.name = 'piper';
+    this.program = program;
+    this.models = models;
+    this.player = player;
+  }
+
+  voiceFor(voice) {
+    return path.join(this.models, `${VOICE_MAP[voice]?.piper || VOICE_MAP[DEFAULT_VOICE.voice].piper}.onnx`);
+  }
+
+  render(text, { voice, rate }, file) {
+    const model = this.voiceFor(voice);
+    if (!fs.existsSync(model)) return Promise.resolve({ success: false, error: `Piper model not found: ${model}` });
+    const lengthScale = (PIPER_BASE_RATE / rate).toFixed(2);
+    return run(this.program, ['--model', model, '--length_scale', lengthScale, '--output_file', file], { input: text });
+  }
+
+  async speak(text, voice) {
+    const file = path.join(os.tmpdir(), `agent-speech-${process.pid}-${Date.now()}.wav`);
+    try {
+      const rendered = await this.render(text, voice, file);
+      return rendered.success ? await play(file, this.player) : rendered;
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  }
+}
+
+// Writes each utterance to <dir>/<time>-<agent>.wav (or .mp3, converted with ffmpeg) using
+// another backend's voices, for hosts without speakers or to keep a recording
+export class FileBackend {
+  constructor({ engine, dir = DEFAULT_SPEECH_DIR, format = 'wav' } = {}) {
+    if (!['wav', 'mp3'].includes(format)) throw new Error(`Unknown speech file format: ${format} (use wav or mp3)`);
+    if (!engine?.render) throw new Error('The file speech backend needs an engine that can render (say, espeak or piper)');
+    this.name = 'file';
+    this.engine = engine;
+    this.dir = path.resolve(dir);
+    this.format = format;
+  }
+
+  async speak(text, voice) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const base = path.join(this.dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${(voice.agent || 'agent').replace(/[^\w-]/g, '_')}`);
+    const wav = `${base}.wav`;
+
+    const rendered = await this.engine.render(text, voice, wav);
+    if (!rendered.success || this.format === 'wav') return { ...rendered, file: rendered.success ? wav : undefined };
+
+    const converted = await run('ffmpeg', ['-y', '-loglevel', 'error', '-i', wav, `${base}.mp3`]);
+    if (!converted.success) return { ...converted, file: wav };
+    fs.rmSync(wav, { force: true });
+    return { success: true, file: `${base}.mp3` };
+  }
+}
+
+export class NullBackend {
+  constructor() {
+    this.name = 'none';
+  }
+
+  async speak() {
+    return { success: true, muted: true };
+  }
+}
+
+// The backend this host can use: say on macOS, else espeak-ng, else piper, otherwise none
+export function detectSpeechBackend({ platform = process.platform, env = process.env } = {}) {
+  if (platform === 'darwin' && onPath('say', env)) return 'say';
+  if (onPath('espeak-ng', env) || onPath('espeak', env)) return 'espeak';
+  if (onPath('piper', env)) return 'piper';
+  return 'none';
+}
+
+export function createSpeechBackend({ backend = 'auto', engine = 'auto', dir, format, models, player } = {}) {
+  const name = backend === 'auto' ? detectSpeechBackend() : backend;
+  switch (name) {
+    case 'say': return new SayBackend();
+    case 'espeak': return new EspeakBackend();
+    case 'piper': return new PiperBackend({ models, player });
+    case 'file': {
+      const renderer = engine === 'auto' ? detectSpeechBackend() : engine;
+      if (renderer === 'none' || renderer === 'file') {
+        throw new Error('The file speech backend needs say, espeak-ng or piper installed to render audio');
+      }
+      return new FileBackend({ engine: createSpeechBackend({ backend: renderer, models, player }), dir, format });
+    }
+    case 'none': return new NullBackend();
+    default: throw new Error(`Unknown speech backend: ${name} (use ${SPEECH_BACKENDS.join(', ')} or auto)`);
+  }
+}
+
+// Speaks one utterance at a time, in the order they were queued. When more than maxQueue are
+// waiting, the oldest waiting one is skipped rather than letting the agents fall minutes behind.
+export class SpeechQueue {
+  constructor({ backend = new NullBackend(), maxQueue = 8, log = () => {} } = {}) {
+    this.backend = backend;
+    this.maxQueue = maxQueue;
+    this.log = log;
+    this.queue = [];
+    this.speaking = null;
+    this.failures = new Set();
+    this.closed = false;
+  }
+
+  get name() {
+    return this.backend.name;
+  }
+
+  // voice: { voice, rate, agent }. Resolves once the utterance was spoken (or skipped)
+  say(text, voice = {}) {
+    if (this.closed) return Promise.resolve({ success: false, error: 'Speech is shut down' });
+    return new Promise((resolve) => {
+      if (this.queue.length >= this.maxQueue) {
+        this.queue.shift().resolve({ success: false, skipped: true, error: 'Too much speech queued' });
+      }
+      this.queue.push({ text, voice: { ...DEFAULT_VOICE, ...voice }, resolve });
+      this.next();
+    });
+  }
+
+  async next() {
+    if (this.speaking || this.queue.length === 0) return;
+    const { text, voice, resolve } = this.queue.shift();
+
+    this.speaking = this.backend.speak(text, voice).catch(error => ({ success: false, error: error.message }));
+    const result = await this.speaking;
+    this.speaking = null;
+
+    // Report each distinct failure once instead of on every utterance
+    if (!result.success && !this.failures.has(result.error)) {
+      this.failures.add(result.error);
+      this.log(`🔇 Speech (${this.backend.name}) failed: ${result.error}`);
+    }
+    resolve(result);
+    this.next();
+  }
+
+  // Drops what is waiting and lets the current utterance finish
+  async close() {
+    this.closed = true;
+    for (const { resolve } of this.queue.splice(0)) {
+      resolve({ success: false, skipped: true, error: 'Speech is shut down' });
+    }
+    await this.speaking;
+  }
+}
+
+export function createSpeech({ log = () => {}, maxQueue, ...options } = {}) {
+  const backend = createSpeechBackend(options);
+  if ((options.backend ?? 'auto') === 'auto' && backend.name === 'none') {
+    log('🔇 No speech backend found (install espeak-ng or piper, or set AGENT_SPEECH=file); agents will not speak');
+  }
+  return new SpeechQueue({ backend, maxQueue, log });
+}
+
+// AGENT_SPEECH picks the backend (say, espeak, piper, file, none or auto); AGENT_SPEECH_ENGINE the
+// voice the file backend renders with, AGENT_SPEECH_FORMAT its format and AGENT_SPEECH_DIR where
+// the files go
+export function speechConfigFromEnv(env = process.env) {
+  return {
+    backend: env.AGENT_SPEECH || 'auto',
+    engine: env.AGENT_SPEECH_ENGINE || 'auto',
+    format: env.AGENT_SPEECH_FORMAT || 'wav',
+    dir: env.AGENT_SPEECH_DIR || DEFAULT_SPEECH_DIR,
+    models: env.AGENT_PIPER_MODELS || undefined
+  };
+}
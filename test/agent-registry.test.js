@@ -0,0 +1,37 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentRegistry, AgentRegistryError } from '../agent-registry.js';
+
+test('a corrupt registry file is never overwritten', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-registry-'));
+  const file = path.join(dir, 'agents.json');
+  const truncated = '{"version":1,"agents":[{"id":"a1","azureAgentId":"asst_1"';
+  fs.writeFileSync(file, truncated);
+  const warnings = [];
+  try {
+    const registry = new AgentRegistry({ file, log: message => warnings.push(message) });
+    assert.match(warnings[0], /Could not read agent registry/);
+    assert.throws(() => registry.put({ id: 'a2', azureAgentId: 'asst_2' }), AgentRegistryError);
+    assert.throws(() => registry.remove('a1'), AgentRegistryError);
+    assert.throws(() => registry.list(), AgentRegistryError);
+    assert.equal(fs.readFileSync(file, 'utf8'), truncated);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a missing registry file is an empty registry', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-registry-'));
+  const file = path.join(dir, 'agents.json');
+  try {
+    const registry = new AgentRegistry({ file });
+    assert.deepEqual(registry.list(), []);
+    registry.put({ id: 'a1', azureAgentId: 'asst_1' });
+    assert.deepEqual(new AgentRegistry({ file }).list().map(record => record.id), ['a1']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
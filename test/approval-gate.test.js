@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApprovalGate, EmacsApprover, sideEffectPolicy } from '../approval-gate.js';
+
+test('a preview that throws falls back to the arguments', async () => {
+  const shown = [];
+  const gate = new ApprovalGate({ policy: sideEffectPolicy('ask'), approvers: [{ request: action => shown.push(action) }] });
+  const decision = gate.authorize({ tool: 'run_command', args: { command: 'ls' }, preview: () => { throw new Error('plugin bug'); } });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.match(shown[0].preview, /"command": "ls"[\s\S]*plugin bug/);
+  gate.decide(shown[0].id, true);
+  assert.equal((await decision).approved, true);
+  gate.dispose();
+});
+
+test('an unreachable Emacs rejects at once and the next request installs again', async () => {
+  const evaluated = [];
+  let reachable = false;
+  const executeEmacs = async code => {
+    evaluated.push(code);
+    return reachable ? { success: true, result: '"[]"' } : { success: false, error: 'no server' };
+  };
+  const gate = new ApprovalGate({ policy: sideEffectPolicy('ask'), approvers: [new EmacsApprover({ executeEmacs, pollMs: 60000 })] });
+  try {
+    const first = await gate.authorize({ tool: 'run_command', args: { command: 'ls' }, preview: '$ ls' });
+    assert.equal(first.approved, false);
+    assert.match(first.reason, /no approver could be reached/);
+
+    reachable = true;
+    const second = gate.authorize({ tool: 'run_command', args: { command: 'ls' }, preview: '$ ls' });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal(evaluated.filter(code => code.includes('defun mas-approve ')).length, 2);
+    assert.equal(gate.listPending().length, 1);
+    gate.decide(gate.listPending()[0].id, true);
+    assert.equal((await second).approved, true);
+  } finally {
+    gate.dispose();
+  }
+});
@@ -0,0 +1,136 @@
+import http from 'http';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AssistantsClient, AuthenticationError, NetworkError } from '../assistants-client.js';
+import { CircuitBreaker, RetryPolicy } from '../retry-policy.js';
+import { CredentialProvider } from '../credentials.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Answers /openai/ok at once and never answers /openai/hang
+async function startServer() {
+  const server = http.createServer((request, response) => {
+    if (request.url.startsWith('/openai/ok')) response.end('{"ok":true}');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, endpoint: `http://127.0.0.1:${server.address().port}/` };
+}
+
+test('an aborted half-open trial does not wedge the circuit breaker', async () => {
+  const { server, endpoint } = await startServer();
+  try {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 20, log: () => {} });
+    const client = new AssistantsClient({ endpoint, circuitBreaker: breaker, retry: { maxRetries: 0 } });
+    breaker.recordFailure(new NetworkError('down'));
+    assert.equal(breaker.state, 'open');
+    await sleep(30);
+
+    const controller = new AbortController();
+    const trial = client.request('GET', 'hang', { signal: controller.signal });
+    await sleep(20);
+    assert.equal(breaker.trialInFlight, true);
+    controller.abort();
+    await assert.rejects(trial);
+
+    assert.equal(breaker.trialInFlight, false);
+    assert.deepEqual(await client.request('GET', 'ok'), { ok: true });
+    assert.equal(breaker.state, 'closed');
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});
+
+// Answers every request with status, counting them by "METHOD /path"
+async function startCountingServer(status) {
+  const hits = {};
+  const server = http.createServer((request, response) => {
+    const key = `${request.method} ${request.url.split('?')[0]}`;
+    hits[key] = (hits[key] || 0) + 1;
+    response.statusCode = status;
+    response.end('{"error":{"message":"nope"}}');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const client = new AssistantsClient({
+    endpoint: `http://127.0.0.1:${server.address().port}/`,
+    circuitBreaker: null,
+    retry: new RetryPolicy({ maxRetries: 2, baseDelayMs: 1 })
+  });
+  return { server, client, hits };
+}
+
+test('a POST that fails with 5xx is not retried, a GET is', async () => {
+  const { server, client, hits } = await startCountingServer(500);
+  try {
+    await assert.rejects(client.createRun('thread_1', { assistant_id: 'asst_1' }));
+    await assert.rejects(client.getRun('thread_1', 'run_1'));
+    assert.equal(hits['POST /openai/threads/thread_1/runs'], 1);
+    assert.equal(hits['GET /openai/threads/thread_1/runs/run_1'], 3);
+  } finally {
+    server.close();
+  }
+});
+
+test('a POST that was rate limited is retried', async () => {
+  const { server, client, hits } = await startCountingServer(429);
+  try {
+    await assert.rejects(client.createMessage('thread_1', { role: 'user', content: 'hi' }));
+    assert.equal(hits['POST /openai/threads/thread_1/messages'], 3);
+  } finally {
+    server.close();
+  }
+});
+
+test('a POST is retried when the connection was never made, unless retry is false', async () => {
+  const { server, endpoint } = await startServer();
+  server.close();
+  let attempts = 0;
+  const client = new AssistantsClient({
+    endpoint,
+    circuitBreaker: null,
+    retry: new RetryPolicy({ maxRetries: 2, baseDelayMs: 1 }),
+    onRequest: () => attempts++
+  });
+
+  const error = await client.createAssistant({ model: 'gpt-4.1' }).catch(caught => caught);
+  assert.ok(error instanceof NetworkError);
+  assert.equal(error.beforeSend, true);
+  assert.equal(attempts, 3);
+
+  attempts = 0;
+  await assert.rejects(client.request('POST', 'assistants', { body: {}, retry: false }));
+  assert.equal(attempts, 1);
+});
+
+test('a 401 refetches the credential and tries once more', async () => {
+  let validKey = 'rotated';
+  const seen = [];
+  const server = http.createServer((request, response) => {
+    seen.push(request.headers['api-key']);
+    response.statusCode = request.headers['api-key'] === validKey ? 200 : 401;
+    response.end(response.statusCode === 200 ? '{"ok":true}' : '{"error":{"message":"invalid key"}}');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  let key = 'original';
+  let fetches = 0;
+  const credentials = new CredentialProvider({ sources: [{ name: 'test', fetch: async () => (fetches++, { value: key, scheme: 'api-key', expiresOn: null }) }] });
+  const client = new AssistantsClient({
+    endpoint: `http://127.0.0.1:${server.address().port}/`,
+    circuitBreaker: null,
+    auth: () => credentials.getAuthHeaders(),
+    onUnauthorized: () => credentials.invalidate()
+  });
+  try {
+    await credentials.getToken();
+    key = 'rotated';
+    assert.deepEqual(await client.request('GET', 'ok'), { ok: true });
+    assert.deepEqual(seen, ['original', 'rotated']);
+    assert.equal(fetches, 2);
+
+    validKey = 'revoked';
+    await assert.rejects(client.request('GET', 'ok'), AuthenticationError);
+    assert.deepEqual(seen.slice(2), ['rotated', 'rotated']);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,17 @@
+import os from 'os';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandSandbox } from '../command-sandbox.js';
+
+test('a character split across output chunks is decoded whole', async () => {
+  const sandbox = new CommandSandbox({ root: os.tmpdir() });
+  const result = await sandbox.run("printf 'caf\\303'; sleep 0.2; printf '\\251'");
+  assert.equal(result.stdout, 'café');
+});
+
+test('output cut at the byte limit does not end in a broken character', async () => {
+  const sandbox = new CommandSandbox({ root: os.tmpdir(), maxOutputBytes: 4 });
+  const result = await sandbox.run("printf 'caf\\303\\251s'");
+  assert.equal(result.stdout, 'caf');
+  assert.equal(result.truncated, true);
+});
@@ -0,0 +1,28 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig } from '../config.js';
+
+// An empty config file, so the repo's own agent.config.yaml does not apply
+function withEmptyConfig(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-config-'));
+  const file = path.join(dir, 'agent.config.yaml');
+  fs.writeFileSync(file, '');
+  try {
+    return run(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('each provider type gets its own vendor key', () => {
+  withEmptyConfig(file => {
+    const keys = { AZURE_OPENAI_API_KEY: 'azkey', OPENAI_API_KEY: 'oakey' };
+    assert.equal(loadConfig({ file, env: { LLM_PROVIDER: 'openai', ...keys } }).options().provider.apiKey, 'oakey');
+    assert.equal(loadConfig({ file, env: { LLM_PROVIDER: 'azure', ...keys } }).options().provider.apiKey, 'azkey');
+    assert.equal(loadConfig({ file, env: { LLM_PROVIDER: 'openai', AZURE_OPENAI_API_KEY: 'azkey' } }).options().provider.apiKey, undefined);
+    assert.equal(loadConfig({ file, env: { LLM_PROVIDER: 'openai', LLM_API_KEY: 'llmkey', ...keys } }).options().provider.apiKey, 'llmkey');
+  });
+});
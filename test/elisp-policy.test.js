@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ElispPolicy } from '../elisp-policy.js';
+
+const policy = new ElispPolicy({ logFile: null });
+const decision = code => policy.check(code).decision;
+
+test('functions looked up at run time need confirming', () => {
+  assert.equal(decision(`(mapc (intern-soft "shell-command") '("touch /tmp/pwned"))`), 'confirm');
+  assert.equal(decision(`(run-at-time 0 nil (intern-soft "delete-file") "/tmp/x")`), 'confirm');
+  assert.equal(decision(`(funcall (symbol-function 'ignore))`), 'confirm');
+  assert.equal(decision(`(funcall (indirect-function 'ignore))`), 'confirm');
+  assert.equal(decision(`(mapatoms (lambda (symbol) (message "%s" symbol)))`), 'confirm');
+});
+
+test('higher-order calls with a computed function need confirming', () => {
+  assert.equal(decision(`(let ((fn (car my-functions))) (mapc fn '("a")))`), 'confirm');
+  assert.equal(decision(`(mapcar (car my-functions) '("a"))`), 'confirm');
+  assert.equal(decision(`(run-with-timer 1 nil my-callback)`), 'confirm');
+  assert.equal(decision(`(run-with-idle-timer 1 nil (car my-callbacks))`), 'confirm');
+});
+
+test('timers that name a denied function are refused', () => {
+  assert.equal(decision(`(run-at-time 0 nil #'delete-file "/tmp/x")`), 'deny');
+  assert.equal(decision(`(run-with-timer 0 nil 'shell-command "touch /tmp/x")`), 'deny');
+  assert.equal(decision(`(mapc (function shell-command) '("ls"))`), 'deny');
+});
+
+test('writing files through with-temp-file needs confirming', () => {
+  assert.equal(decision(`(with-temp-file "/home/u/.bashrc" (insert "echo hi"))`), 'confirm');
+});
+
+test('higher-order calls with a quoted function or lambda stay allowed', () => {
+  assert.equal(decision(`(mapcar #'upcase '("a" "b"))`), 'allow');
+  assert.equal(decision(`(mapc (lambda (name) (message "%s" name)) '("a"))`), 'allow');
+  assert.equal(decision(`(mapconcat 'identity '("a" "b") ",")`), 'allow');
+});
+
+test('the quoted function of a higher-order call is checked against the allow list', () => {
+  const restricted = new ElispPolicy({ logFile: null, allow: ['mapcar', 'upcase'] });
+  assert.equal(restricted.check(`(mapcar #'upcase '("a"))`).decision, 'allow');
+  assert.equal(restricted.check(`(mapcar 'downcase '("A"))`).decision, 'deny');
+});
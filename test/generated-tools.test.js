@@ -0,0 +1,42 @@
+// Run with: node --test test/
+import http from 'http';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runInSandbox } from '../generated-tools.js';
+
+test('a failed fetch cannot hand generated code the worker process', async () => {
+  const source = `
+    async function run() {
+      try {
+        await fetch('http://127.0.0.1:1/');
+        return { threw: false };
+      } catch (e) {
+        let reached;
+        try {
+          reached = typeof e.constructor.constructor('return process')();
+        } catch (inner) {
+          reached = 'blocked';
+        }
+        return { threw: true, message: e.message, sameRealm: e instanceof Error, reached };
+      }
+    }
+  `;
+  const { results } = await runInSandbox(source, [{}], { capabilities: ['network'] });
+  assert.equal(results[0].ok, true, results[0].error);
+  assert.equal(results[0].value.threw, true);
+  assert.equal(results[0].value.sameRealm, true);
+  assert.equal(results[0].value.reached, 'blocked');
+  assert.ok(results[0].value.message);
+});
+
+test('a network-capable tool still gets the response', async () => {
+  const server = http.createServer((request, response) => response.end('pong'));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const source = `async function run({ url }) { const response = await fetch(url); return [response.status, response.body]; }`;
+    const { results } = await runInSandbox(source, [{ url: `http://127.0.0.1:${server.address().port}/` }], { capabilities: ['network'] });
+    assert.deepEqual(results[0], { ok: true, value: [200, 'pong'] });
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,56 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JITAgentFactory } from '../jit-agent-factory.js';
+import { AgentRegistry } from '../agent-registry.js';
+import { MockAssistantsServer } from '../mock-assistants-server.js';
+
+async function withFactory(run) {
+  const server = new MockAssistantsServer();
+  const endpoint = await server.listen();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-registry-'));
+  const registry = new AgentRegistry({ file: path.join(dir, 'agents.json') });
+  const factory = new JITAgentFactory(() => {}, { endpoint, apiKey: 'test', registry });
+  try {
+    assert.equal(await factory.initialize(), true);
+    await run({ factory, server, registry });
+  } finally {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('a dry-run reconcile reports drift without touching the registry or the resource', async () => {
+  await withFactory(async ({ factory, server, registry }) => {
+    const agent = await factory.createAgent('coder');
+    server.assistants.get(agent.azureAgentId).metadata = {};
+    registry.put({ id: 'gone', azureAgentId: 'asst_gone', endpoint: server.url });
+
+    const report = await factory.reconcile({ dryRun: true });
+    assert.deepEqual(report.missing.map(record => record.id), ['gone']);
+    assert.deepEqual(report.tagged.map(record => record.id), [agent.id]);
+    assert.ok(registry.get('gone'));
+    assert.deepEqual(server.assistants.get(agent.azureAgentId).metadata, {});
+  });
+});
+
+test('collectGarbage dry-run lists what it would destroy', async () => {
+  await withFactory(async ({ factory, server }) => {
+    const agent = await factory.createAgent('coder', { tags: ['ci'] });
+    const result = await factory.collectGarbage({ tag: 'ci', dryRun: true });
+    assert.deepEqual(result.wouldDestroy.map(record => record.id), [agent.id]);
+    assert.deepEqual(result.destroyed, []);
+    assert.ok(server.assistants.has(agent.azureAgentId));
+  });
+});
+
+test('an agent that cannot be recorded does not leave its assistant behind', async () => {
+  await withFactory(async ({ factory, server, registry }) => {
+    registry.put = () => { throw new Error('disk full'); };
+    await assert.rejects(factory.createAgent('coder'), /disk full/);
+    assert.equal(server.assistants.size, 0);
+    assert.equal(factory.listAgents().length, 0);
+  });
+});
@@ -0,0 +1,30 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolPlugins } from '../tool-plugins.js';
+
+test('a plugin limited to some roles is not offered to a caller without a role', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tool-plugins-'));
+  fs.writeFileSync(path.join(dir, 'deploy.js'), `
+    export const name = 'deploy';
+    export const description = 'Deploys the workspace';
+    export const roles = ['architect'];
+    export const preview = () => 'deploy everything';
+    export async function handler() { return { success: true }; }
+  `);
+  const plugins = new ToolPlugins({ dir, watch: false });
+  try {
+    await plugins.load();
+    assert.ok(plugins.get('deploy', 'architect'));
+    assert.equal(plugins.get('deploy', 'coder'), null);
+    assert.equal(plugins.get('deploy'), null);
+    assert.deepEqual(plugins.definitions().map(definition => definition.function.name), []);
+    assert.match(plugins.unavailable('deploy'), /only available to architect/);
+    assert.equal(plugins.previewFor('deploy', {}), 'deploy everything');
+  } finally {
+    plugins.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
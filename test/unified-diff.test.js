@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyHunks, createUnifiedDiff, parseUnifiedDiff } from '../unified-diff.js';
+
+const roundTrip = (before, after) => applyHunks(before, parseUnifiedDiff(createUnifiedDiff(before, after))[0].hunks);
+
+test('adding or removing the final newline is a change', () => {
+  assert.equal(createUnifiedDiff('x', 'x\n'), '--- a/file\n+++ b/file\n@@ -1,1 +1,1 @@\n-x\n\\ No newline at end of file\n+x\n');
+  assert.equal(roundTrip('x', 'x\n'), 'x\n');
+  assert.equal(roundTrip('x\n', 'x'), 'x');
+  assert.equal(roundTrip('a\nb', 'c\nb'), 'c\nb');
+  assert.equal(roundTrip('a\nb', 'a\nb\nc\n'), 'a\nb\nc\n');
+});
+
+test('a patch without the marker keeps the file\'s final newline as it was', () => {
+  const [file] = parseUnifiedDiff('@@ -1,2 +1,2 @@\n-a\n+c\n b\n');
+  assert.equal(applyHunks('a\nb', file.hunks), 'c\nb');
+  assert.equal(applyHunks('a\nb\n', file.hunks), 'c\nb\n');
+});
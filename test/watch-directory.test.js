@@ -0,0 +1,25 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { watchDirectory } from '../watch-directory.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a burst of writes to one file is reported once', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-directory-'));
+  const changed = [];
+  const watcher = watchDirectory(dir, { filter: name => name.endsWith('.js'), onChange: file => changed.push(file), delayMs: 50 });
+  try {
+    const file = path.join(dir, 'tool.js');
+    fs.writeFileSync(file, 'export const');
+    fs.writeFileSync(file, 'export const name = 1;');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+    await sleep(200);
+    assert.deepEqual(changed, [file]);
+  } finally {
+    watcher.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,24 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Workspace } from '../workspace-files.js';
+
+test('a read with a useless limit still makes progress', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-'));
+  fs.writeFileSync(path.join(root, 'notes.txt'), 'one\ntwo\nthree\n');
+  const workspace = new Workspace({ root });
+  try {
+    for (const limit of [0, -3, 'lots', null, 0.5]) {
+      const page = workspace.read('notes.txt', { offset: 1, limit });
+      assert.equal(page.content, 'one\ntwo\nthree', `limit ${limit}`);
+      assert.equal(page.hasMore, false);
+    }
+    const first = workspace.read('notes.txt', { limit: 2 });
+    assert.equal(first.nextOffset, 3);
+    assert.equal(workspace.read('notes.txt', { offset: first.nextOffset, limit: 2 }).content, 'three');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
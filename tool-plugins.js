@@ -0,0 +1,228 @@
+// tool-plugins.js - Custom tools loaded from a directory of modules, reloaded when they change
+//
+// Each file in tools/ is an ES module exporting:
+//   name          tool name, e.g. 'git_status'
+//   description   what the model is told the tool does
+//   parameters    JSON Schema for the arguments (type: 'object')
+//   capabilities  host services the handler needs: workspace, shell, emacs, memory, network
+//   roles         agent roles allowed to use it (omit for every role)
+//   handler       async (args, context) => result; context has role, agent, log and one entry
+//                 per granted capability (workspace, shell, emacs(elisp), memory)
+// and optionally sideEffects (defaults to true when it needs workspace, shell or emacs) and
+// preview(args) for the approval prompt. Plugins are trusted code: capabilities decide which
+// services a handler is given and let a host refuse plugins that ask for more than it allows.
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { ToolRegistry, TOOL_NAME_PATTERN } from './tool-registry.js';
+import { watchDirectory } from './watch-directory.js';
+
+export const DEFAULT_PLUGIN_DIR = 'tools';
+export const PLUGIN_CAPABILITIES = ['workspace', 'shell', 'emacs', 'memory', 'network'];
+const SIDE_EFFECT_CAPABILITIES = ['workspace', 'shell', 'emacs'];
+
+export class PluginError extends Error {
+  constructor(message, { file = null } = {}) {
+    super(message);
+    this.name = 'PluginError';
+    this.file = file;
+  }
+}
+
+export class ToolPlugins {
+  // services: what this host can hand to plugins, e.g. { workspace, shell: sandbox, emacs, memory };
+  // allowed: the capabilities an operator is willing to grant (default: all of them)
+  constructor({
+    dir = process.env.AGENT_TOOL_PLUGINS || DEFAULT_PLUGIN_DIR,
+    services = {},
+    allowed = PLUGIN_CAPABILITIES,
+    watch = true,
+    log = () => {}
+  } = {}) {
+    this.dir = path.resolve(dir);
+    this.services = services;
+    this.allowed = allowed;
+    this.watchEnabled = watch;
+    this.log = log;
+    this.registry = new ToolRegistry({ log });
+    // file -> plugin, so an edited or deleted file replaces or drops the right tool
+    this.files = new Map();
+    // file -> { name, reason } for plugins this host cannot run
+    this.skipped = new Map();
+    this.watcher = null;
+  }
+
+  // Loads every plugin and starts watching the directory; a missing directory means no plugins
+  async load() {
+    let files;
+    try {
+      files = fs.readdirSync(this.dir).filter(file => /\.m?js$/.test(file)).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    for (const file of files) {
+      await this.reload(path.join(this.dir, file));
+    }
+    if (this.watchEnabled) this.watch();
+    return this.list();
+  }
+
+  list() {
+    return Array.from(this.files.values());
+  }
+
+  // Imports a plugin file again (bypassing the module cache) and swaps it in. A plugin that fails
+  // to load keeps its previous version running, so a half-saved edit does not break the agents.
+  async reload(file) {
+    if (!fs.existsSync(file)) {
+      this.drop(file);
+      return null;
+    }
+
+    let plugin;
+    try {
+      const module = await import(`${pathToFileURL(file).href}?v=${fs.statSync(file).mtimeMs}`);
+      plugin = this.validate(module.default ?? module, file);
+    } catch (error) {
+      this.log(`⚠️ Plugin ${path.basename(file)} not loaded: ${error.message}`);
+      return null;
+    }
+
+    const owner = this.list().find(other => other.name === plugin.name && other.file !== file);
+    if (owner) {
+      this.log(`⚠️ Plugin ${path.basename(file)} not loaded: ${plugin.name} is already provided by ${path.basename(owner.file)}`);
+      return null;
+    }
+
+    const missing = plugin.capabilities.filter(capability => !this.allowed.includes(capability)
+      || (capability !== 'network' && !this.services[capability]));
+    if (missing.length > 0) {
+      this.drop(file);
+      const reason = `needs ${missing.join(', ')}, which this agent does not grant`;
+      this.skipped.set(file, { name: plugin.name, reason });
+      this.log(`⏭️ Plugin ${plugin.name} skipped: ${reason}`);
+      return null;
+    }
+    this.skipped.delete(file);
+
+    const previous = this.files.get(file);
+    if (previous) this.registry.unregister(previous.name);
+    this.registry.register({
+      name: plugin.name,
+      description: plugin.description,
+      parameters: plugin.parameters,
+      handler: (args, context) => plugin.handler(args, this.contextFor(plugin, context))
+    });
+    this.files.set(file, plugin);
+    this.log(`🔌 ${previous ? 'Reloaded' : 'Loaded'} plugin tool ${plugin.name}${plugin.roles ? ` for ${plugin.roles.join(', ')}` : ''}`);
+    return plugin;
+  }
+
+  drop(file) {
+    this.skipped.delete(file);
+    const plugin = this.files.get(file);
+    if (!plugin) return;
+    this.registry.unregister(plugin.name);
+    this.files.delete(file);
+    this.log(`🔌 Removed plugin tool ${plugin.name}`);
+  }
+
+  validate(module, file) {
+    const { name, description, parameters = { type: 'object', properties: {} }, capabilities = [], roles = null, handler, preview = null } = module;
+    const fail = message => new PluginError(`${path.basename(file)}: ${message}`, { file });
+
+    if (typeof name !== 'string' || !TOOL_NAME_PATTERN.test(name)) throw fail(`invalid or missing name ${JSON.stringify(name)}`);
+    if (typeof description !== 'string' || !description) throw fail('a description is required');
+    if (parameters?.type !== 'object') throw fail('parameters must be a JSON Schema with type "object"');
+    if (typeof handler !== 'function') throw fail('handler must be a function');
+    if (!Array.isArray(capabilities)) throw fail('capabilities must be a list');
+    const unknown = capabilities.filter(capability => !PLUGIN_CAPABILITIES.includes(capability));
+    if (unknown.length > 0) throw fail(`unknown capabilities ${unknown.join(', ')}. Available: ${PLUGIN_CAPABILITIES.join(', ')}`);
+    if (roles !== null && (!Array.isArray(roles) || roles.length === 0)) throw fail('roles must be a non-empty list, or omitted for every role');
+
+    return {
+      name,
+      description,
+      parameters,
+      capabilities,
+      roles,
+      handler,
+      preview,
+      sideEffects: module.sideEffects ?? capabilities.some(capability => SIDE_EFFECT_CAPABILITIES.includes(capability)),
+      file
+    };
+  }
+
+  contextFor(plugin, { role = null, agent = null } = {}) {
+    const granted = Object.fromEntries(plugin.capabilities
+      .filter(capability => capability !== 'network')
+      .map(capability => [capability, this.services[capability]]));
+    return { role, agent, log: this.log, ...granted };
+  }
+
+  find(name) {
+    return this.list().find(entry => entry.name === name) || null;
+  }
+
+  // The plugin providing a tool, if the role may use it; a caller without a role only gets
+  // plugins open to every role
+  get(name, role = null) {
+    const plugin = this.find(name);
+    if (!plugin || (plugin.roles && !plugin.roles.includes(role))) return null;
+    return plugin;
+  }
+
+  has(name, role = null) {
+    return this.get(name, role) !== null;
+  }
+
+  // Why a plugin tool cannot be used by a role, or null when it can (or is not a plugin at all)
+  unavailable(name, role = null) {
+    const skipped = Array.from(this.skipped.values()).find(entry => entry.name === name);
+    if (skipped) return `${name} ${skipped.reason}`;
+    const plugin = this.find(name);
+    if (plugin && !this.has(name, role)) return `${name} is only available to ${plugin.roles.join(', ')}`;
+    return null;
+  }
+
+  // Function definitions for a role, leaving out names the host already provides
+  definitions(role = null, exclude = []) {
+    return this.registry.definitions()
+      .filter(definition => !exclude.includes(definition.function.name) && this.has(definition.function.name, role));
+  }
+
+  check(name, rawArgs) {
+    return this.registry.check(name, rawArgs);
+  }
+
+  async invoke(name, args, context = {}) {
+    return this.registry.invoke(name, args, context);
+  }
+
+  previewFor(name, args) {
+    const plugin = this.find(name);
+    return plugin?.preview ? String(plugin.preview(args)) : JSON.stringify(args, null, 2);
+  }
+
+  // A saved plugin replaces its tool, a new file adds one and a deleted file drops it
+  watch() {
+    if (this.watcher) return;
+    try {
+      this.watcher = watchDirectory(this.dir, {
+        filter: filename => /\.m?js$/.test(filename),
+        onChange: file => this.reload(file),
+        log: this.log
+      });
+    } catch (error) {
+      this.log(`⚠️ Cannot watch ${this.dir} for plugin changes: ${error.message}`);
+    }
+  }
+
+  close() {
+    this.watcher?.close();
+    this.watcher = null;
+  }
+}
@@ -0,0 +1,180 @@
+// tool-registry.js - Tools with JSON Schema parameters, validated before their handlers run
+//
+// A malformed call (bad JSON, a missing or mistyped argument) comes back to the model as a
+// structured error naming every problem and the expected schema, so it can retry the call.
+
+export class ToolDefinitionError extends Error {
+  constructor(message, { tool = null } = {}) {
+    super(message);
+    this.name = 'ToolDefinitionError';
+    this.tool = tool;
+  }
+}
+
+export const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  null: value => value === null
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// The subset of JSON Schema that function tools use: type, properties, required,
+// additionalProperties, items, enum, minimum/maximum, minLength/maxLength, minItems/maxItems.
+// Returns a list of problems, e.g. ['arguments.limit must be number, got string'].
+export function validateSchema(schema, value, at = 'arguments') {
+  if (!schema || typeof schema !== 'object') return [];
+
+  const types = schema.type === undefined ? null : [].concat(schema.type);
+  if (types && !types.some(type => TYPE_CHECKS[type]?.(value))) {
+    return [`${at} must be ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+
+  const problems = [];
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    problems.push(`${at} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) problems.push(`${at} must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) problems.push(`${at} must be at most ${schema.maxLength} characters`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${at} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${at} must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) problems.push(`${at} needs at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) problems.push(`${at} allows at most ${schema.maxItems} item(s)`);
+    if (schema.items) {
+      value.forEach((item, index) => problems.push(...validateSchema(schema.items, item, `${at}[${index}]`)));
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) problems.push(`${at}.${name} is required`);
+    }
+    for (const [name, item] of Object.entries(value)) {
+      if (properties[name]) {
+        problems.push(...validateSchema(properties[name], item, `${at}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${at}.${name} is not a known field (expected: ${Object.keys(properties).join(', ') || 'none'})`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        problems.push(...validateSchema(schema.additionalProperties, item, `${at}.${name}`));
+      }
+    }
+  }
+
+  return problems;
+}
+
+// Tool call arguments as sent by the model (a JSON string) -> { args } or { error } (a tool result)
+export function parseArguments(name, rawArgs) {
+  if (typeof rawArgs !== 'string') return { args: rawArgs ?? {} };
+  try {
+    return { args: rawArgs.trim() ? JSON.parse(rawArgs) : {} };
+  } catch (error) {
+    return { error: { success: false, invalidArguments: true, error: `Arguments for ${name} are not valid JSON: ${error.message}` } };
+  }
+}
+
+export class ToolRegistry {
+  constructor({ log = () => {} } = {}) {
+    this.tools = new Map();
+    this.log = log;
+  }
+
+  // tool: { name, description, parameters (an object schema), handler(args, context), skills? }.
+  // Tools without skills are offered to every agent; the others only to agents with one of them.
+  register(tool) {
+    const { name, description, parameters = { type: 'object', properties: {} }, handler, skills = [] } = tool;
+    if (typeof name !== 'string' || !TOOL_NAME_PATTERN.test(name)) {
+      throw new ToolDefinitionError(`Invalid tool name: ${name}`, { tool: name });
+    }
+    if (this.tools.has(name)) {
+      throw new ToolDefinitionError(`Tool ${name} is already registered`, { tool: name });
+    }
+    if (typeof handler !== 'function') {
+      throw new ToolDefinitionError(`Tool ${name} has no handler`, { tool: name });
+    }
+    if (parameters.type !== 'object') {
+      throw new ToolDefinitionError(`Tool ${name} parameters must be an object schema`, { tool: name });
+    }
+
+    this.tools.set(name, { name, description: description || name, parameters, handler, skills });
+    return this;
+  }
+
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  names() {
+    return Array.from(this.tools.keys());
+  }
+
+  // Function definitions in Assistants format, for the tools matching any of the skills
+  definitions(skills = null) {
+    return Array.from(this.tools.values())
+      .filter(tool => !skills || tool.skills.length === 0 || tool.skills.some(skill => skills.includes(skill)))
+      .map(({ name, description, parameters }) => ({ type: 'function', function: { name, description, parameters } }));
+  }
+
+  // Parses and validates raw arguments: { args } when the call is well-formed, otherwise
+  // { error } holding the tool result to send back instead of running anything
+  check(name, rawArgs) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return { error: { success: false, error: `Unknown tool ${name}. Available: ${Array.from(this.tools.keys()).join(', ')}` } };
+    }
+
+    const { args, error } = parseArguments(name, rawArgs);
+    if (error) {
+      return { error: { ...error, expected: tool.parameters } };
+    }
+
+    const problems = validateSchema(tool.parameters, args);
+    if (problems.length > 0) {
+      return { error: { success: false, invalidArguments: true, error: `Invalid arguments for ${name}: ${problems.join('; ')}`, expected: tool.parameters } };
+    }
+    return { args };
+  }
+
+  // Runs a tool with checked arguments; a throwing handler becomes a failed result
+  async invoke(name, args, context = {}) {
+    const tool = this.tools.get(name);
+    try {
+      return await tool.handler(args, context);
+    } catch (error) {
+      this.log(`❌ Tool ${name} failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async execute(name, rawArgs, context = {}) {
+    const { args, error } = this.check(name, rawArgs);
+    return error || await this.invoke(name, args, context);
+  }
+}
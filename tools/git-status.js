@@ -0,0 +1,29 @@
+// tools/git-status.js - Example plugin: branch, changed files and recent commits of the workspace
+
+export const name = 'git_status';
+export const description = 'Show the current git branch, uncommitted changes and the latest commits in the workspace';
+export const parameters = {
+  type: 'object',
+  properties: {
+    commits: { type: 'integer', minimum: 0, maximum: 50, description: 'How many recent commits to list (default: 5)' }
+  }
+};
+export const capabilities = ['shell'];
+// Reading git state changes nothing, so no approval is needed
+export const sideEffects = false;
+
+export async function handler({ commits = 5 }, { shell }) {
+  const status = await shell.run('git status --short --branch');
+  if (!status.success) {
+    return { success: false, error: status.error || status.stderr.trim() || `git exited with ${status.exitCode}` };
+  }
+  const log = commits > 0 ? await shell.run(`git log --oneline -n ${commits}`) : { stdout: '' };
+
+  const [branch, ...changes] = status.stdout.trimEnd().split('\n');
+  return {
+    success: true,
+    branch: branch.replace(/^## /, ''),
+    changes,
+    commits: log.stdout.trimEnd().split('\n').filter(Boolean)
+  };
+}
@@ -2,31 +2,69 @@
 // truly-autonomous-agent.js - Real agents making real decisions
 
 import { JITAgentFactory } from './jit-agent-factory.js';
-import { spawn } from 'child_process';
-import fs from 'fs';
-
-// Get API key from environment or Azure CLI
-async function getApiKey() {
-  return new Promise((resolve, reject) => {
-    const process = spawn('az', ['account', 'get-access-token', '--resource', 'https://cognitiveservices.azure.com']);
-    let output = '';
-    
-    process.stdout.on('data', (data) => output += data.toString());
-    process.on('close', (code) => {
-      if (code === 0) {
-        const token = JSON.parse(output).accessToken;
-        resolve(token);
-      } else {
-        reject(new Error('Failed to get Azure token'));
-      }
-    });
-  });
-}
-const ENDPOINT = 'https://actualizedai-instance01.openai.azure.com/';
+import { createProvider, createEmbedder } from './llm-providers.js';
+import { RunManager, describeOutcome } from './run-lifecycle.js';
+import { ConversationMemory } from './conversation-memory.js';
+import { CommandSandbox } from './command-sandbox.js';
+import { Workspace } from './workspace-files.js';
+import { createApprovalGate } from './approval-gate.js';
+import { EmacsBridge } from './emacs-bridge.js';
+import { ElispPolicy } from './elisp-policy.js';
+import { elisp, readElispJson } from './elisp.js';
+import { PatchConflictError } from './unified-diff.js';
+import { parseArguments } from './tool-registry.js';
+import { ToolPlugins } from './tool-plugins.js';
+import { MemoryStore, MEMORY_TOOLS, executeMemoryTool, describeAction, memoryFile } from './memory-store.js';
+import { createSpeech } from './speech.js';
+import { configFromArgs } from './config.js';
+import path from 'path';
 
 class TrulyAutonomousAgent {
-  constructor() {
-    this.factory = new JITAgentFactory(this.log.bind(this));
+  // options.assistantId: the assistant that does the thinking (provider.assistantId, see config.js)
+  constructor(options = {}) {
+    this.assistantId = options.assistantId || null;
+    this.factory = new JITAgentFactory(this.log.bind(this), options.factory);
+    this.client = options.client || createProvider(options.provider, { log: this.log.bind(this) });
+    this.runs = new RunManager({ client: this.client, log: this.log.bind(this), deadlineMs: options.runDeadlineMs });
+    // One thread across thinking cycles; options.conversation tunes trimming and summarization
+    this.memory = new ConversationMemory({
+      client: this.client,
+      runs: this.runs,
+      log: this.log.bind(this),
+      name: 'Agent',
+      ...options.conversation
+    });
+    // Facts, decisions and past actions that survive restarts
+    this.memoryStore = new MemoryStore({
+      file: memoryFile('autonomous-agent'),
+      embed: createEmbedder(this.client, options.provider),
+      log: this.log.bind(this),
+      ...options.memory
+    });
+    // Shell commands and file tools are confined to one workspace root (default: the current directory)
+    const root = options.workspaceRoot || process.cwd();
+    this.sandbox = new CommandSandbox({ root, log: this.log.bind(this), ...options.sandbox });
+    this.workspace = new Workspace({ root, log: this.log.bind(this), ...options.workspace });
+    // One connection to Emacs for every elisp call (see emacs-bridge.js)
+    this.emacs = new EmacsBridge({ log: this.log.bind(this), ...options.emacs });
+    // Elisp written by the model is checked before it reaches the editor (options.elisp: { allow, deny, confirm, dryRun })
+    this.elispPolicy = new ElispPolicy({ emacs: this.emacs, log: this.log.bind(this), ...options.elisp });
+    // options.speech: { backend, engine, format, dir } (see speech.js)
+    this.speech = createSpeech({ log: this.log.bind(this), ...options.speech });
+    // options.approval: { policy, terminal, emacs, timeoutMs }; without a policy every tool is allowed
+    this.approvals = createApprovalGate({ log: this.log.bind(this), executeEmacs: elisp => this.executeEmacs(elisp), ...options.approval });
+    // Custom tools from tools/ (see tool-plugins.js), given only the services they declare
+    this.plugins = new ToolPlugins({
+      services: {
+        workspace: this.workspace,
+        shell: this.sandbox,
+        emacs: elisp => this.executeEmacs(elisp),
+        memory: this.memoryStore
+      },
+      log: this.log.bind(this),
+      ...options.plugins
+    });
+    this.thinkingTimer = null;
     this.agent = null;
     this.threadId = null;
     this.runId = null;
@@ -44,11 +82,15 @@ class TrulyAutonomousAgent {
     
     // Initialize factory and create real agent
     await this.factory.initialize();
+    await this.plugins.load();
     
-    // Use existing working assistant instead of creating new one
+    // Use the configured assistant instead of creating a new one
+    if (!this.assistantId) {
+      throw new Error('No assistant configured: set provider.assistantId in agent.config.yaml or AGENT_ASSISTANT_ID');
+    }
     this.agent = {
-      azureAgentId: 'asst_Hr1f0BSUrliCR3QfwCBB53Xb', // Known working assistant
-      name: 'Sarah Chen',
+      azureAgentId: this.assistantId,
+      name: 'Autonomous Controller',
       role: 'autonomous_controller'
     };
     
@@ -66,7 +108,10 @@ class TrulyAutonomousAgent {
     await this.realThink("I need to understand the current environment and decide what to do. Let me examine the current directory, see what files exist, check what's happening in Emacs, and determine what would be most helpful.");
 
     // Continuous autonomous operation
-    setInterval(async () => {
+    this.thinkingTimer = setInterval(async () => {
+      // Skip the cycle while the backend's circuit breaker is open
+      if (this.client.circuitBreaker?.isOpen()) return;
+
       if (!this.isThinking) {
         const thoughts = [
           "What has changed since my last check? Should I analyze new files or continue previous work?",
@@ -89,110 +134,18 @@ class TrulyAutonomousAgent {
     this.log(`🤔 Real thinking: "${prompt}"`);
 
     try {
-      // Create thread for this thinking session
-      const threadResult = await this.apiCall('POST', `${ENDPOINT}openai/threads?api-version=2024-05-01-preview`, {
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      });
+      // Continue the agent's ongoing conversation so it remembers earlier cycles,
+      // reminded of whatever it learned in earlier sessions that bears on this prompt
+      const memories = await this.memoryStore.contextFor(prompt);
+      this.threadId = await this.memory.addUserMessage(memories ? `${prompt}\n\n${memories}` : prompt);
 
-      if (!threadResult.success) {
-        this.log(`❌ Failed to create thread: ${threadResult.error}`);
-        return;
-      }
-
-      this.threadId = threadResult.data.id;
-
-      // Start the run
-      const runResult = await this.apiCall('POST', `${ENDPOINT}openai/threads/${this.threadId}/runs?api-version=2024-05-01-preview`, {
+      // Stream the run, executing the agent's real decisions as they arrive
+      await this.executeRun({
         assistant_id: this.agent.azureAgentId,
-        tools: [
-          {
-            type: 'function',
-            function: {
-              name: 'execute_emacs_command',
-              description: 'Execute elisp code in Emacs',
-              parameters: {
-                type: 'object',
-                properties: {
-                  elisp: { type: 'string', description: 'The elisp code to execute' }
-                },
-                required: ['elisp']
-              }
-            }
-          },
-          {
-            type: 'function',
-            function: {
-              name: 'read_file',
-              description: 'Read the contents of a file',
-              parameters: {
-                type: 'object',
-                properties: {
-                  filepath: { type: 'string', description: 'Path to the file to read' }
-                },
-                required: ['filepath']
-              }
-            }
-          },
-          {
-            type: 'function',
-            function: {
-              name: 'write_file',
-              description: 'Write content to a file',
-              parameters: {
-                type: 'object',
-                properties: {
-                  filepath: { type: 'string', description: 'Path to the file to write' },
-                  content: { type: 'string', description: 'Content to write to the file' }
-                },
-                required: ['filepath', 'content']
-              }
-            }
-          },
-          {
-            type: 'function',
-            function: {
-              name: 'run_command',
-              description: 'Execute a shell command',
-              parameters: {
-                type: 'object',
-                properties: {
-                  command: { type: 'string', description: 'The shell command to execute' }
-                },
-                required: ['command']
-              }
-            }
-          },
-          {
-            type: 'function',
-            function: {
-              name: 'speak',
-              description: 'Speak text using text-to-speech',
-              parameters: {
-                type: 'object',
-                properties: {
-                  text: { type: 'string', description: 'The text to speak' }
-                },
-                required: ['text']
-              }
-            }
-          }
-        ]
+        ...this.memory.runOptions(),
+        tools: this.toolDefinitions()
       });
 
-      if (!runResult.success) {
-        this.log(`❌ Failed to start run: ${runResult.error}`);
-        return;
-      }
-
-      this.runId = runResult.data.id;
-      this.log(`🎯 Run started: ${this.runId}`);
-
-      // Monitor and execute the agent's real decisions
-      await this.monitorAndExecute();
-
     } catch (error) {
       this.log(`❌ Error in realThink: ${error.message}`);
     } finally {
@@ -200,128 +153,295 @@ class TrulyAutonomousAgent {
     }
   }
 
-  async monitorAndExecute() {
-    for (let i = 0; i < 30; i++) {
-      const statusResult = await this.apiCall('GET', `${ENDPOINT}openai/threads/${this.threadId}/runs/${this.runId}?api-version=2024-05-01-preview`);
+  async executeRun(runBody) {
+    let streaming = false;
+
+    const outcome = await this.runs.execute(this.threadId, runBody, {
+      onEvent: (event, data) => {
+        if (event === 'thread.run.created') {
+          this.runId = data.id;
+          this.log(`🎯 Run started: ${this.runId}`);
+        }
+      },
+      onDelta: (chunk) => {
+        // Live output: the agent's thoughts appear as they are generated
+        if (!streaming) {
+          this.log('🧠 Agent\'s thoughts:');
+          streaming = true;
+        }
+        process.stdout.write(chunk);
+      },
+      onToolCalls: (toolCalls) => {
+        if (streaming) {
+          process.stdout.write('\n');
+          streaming = false;
+        }
+        return this.executeToolCalls(toolCalls);
+      }
+    });
+
+    if (streaming) {
+      process.stdout.write('\n');
+    }
+
+    if (outcome.ok) {
+      this.log('✅ Agent completed its thinking!');
       
-      if (!statusResult.success) {
-        this.log(`❌ Status check failed: ${statusResult.error}`);
-        return;
+      // Speak the agent's reasoning
+      const response = outcome.text || 'No response';
+      if (outcome.text) {
+        await this.memoryStore.record({ kind: 'conclusion', agent: this.agent.name, content: outcome.text.substring(0, 1000) });
       }
+      await this.speak(`My analysis: ${response.substring(0, 200)}...`);
+    } else if (outcome.timedOut) {
+      this.log(`⏰ Agent thinking timed out: ${describeOutcome(outcome)}`);
+    } else {
+      this.log(`❌ Agent run ${describeOutcome(outcome)}`);
+    }
 
-      const run = statusResult.data;
-      this.log(`   Status: ${run.status}`);
+    await this.memory.recordOutcome(outcome, runBody.assistant_id);
+  }
 
-      if (run.status === 'requires_action') {
-        this.log('🔧 Agent wants to take real action...');
-        
-        const toolCalls = run.required_action.submit_tool_outputs.tool_calls;
-        const outputs = [];
-
-        for (const toolCall of toolCalls) {
-          const { name, arguments: args } = toolCall.function;
-          const parsedArgs = JSON.parse(args);
-          
-          this.log(`🎯 Agent decided to: ${name} with args: ${JSON.stringify(parsedArgs)}`);
-          
-          let result;
-          switch (name) {
-            case 'execute_emacs_command':
-              result = await this.executeEmacs(parsedArgs.elisp);
-              break;
-            case 'read_file':
-              result = await this.readFile(parsedArgs.filepath);
-              break;
-            case 'write_file':
-              result = await this.writeFile(parsedArgs.filepath, parsedArgs.content);
-              break;
-            case 'run_command':
-              result = await this.runCommand(parsedArgs.command);
-              break;
-            case 'speak':
-              result = await this.speak(parsedArgs.text);
-              break;
-            default:
-              result = `Unknown function: ${name}`;
+  // The tools every agent has: Emacs, files, patches, shell, speech and memory
+  builtInTools() {
+    return [
+      {
+        type: 'function',
+        function: {
+          name: 'execute_emacs_command',
+          description: 'Execute elisp code in Emacs. Shell commands, file deletion and killing Emacs are refused; eval, redefinitions and file writes need the user to confirm in Emacs.',
+          parameters: {
+            type: 'object',
+            properties: {
+              elisp: { type: 'string', description: 'The elisp code to execute' },
+              dry_run: { type: 'boolean', description: 'Only check whether the code would be allowed, without running it' }
+            },
+            required: ['elisp']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'read_file',
+          description: 'Read a page of a file in the workspace. Large files are read in pages: pass nextOffset from the previous result as offset.',
+          parameters: {
+            type: 'object',
+            properties: {
+              filepath: { type: 'string', description: 'Path to the file to read, relative to the workspace root' },
+              offset: { type: 'number', description: 'First line to read, starting at 1 (default: 1)' },
+              limit: { type: 'number', description: 'Maximum number of lines to read (default: 200)' }
+            },
+            required: ['filepath']
           }
-
-          outputs.push({
-            tool_call_id: toolCall.id,
-            output: JSON.stringify(result)
-          });
         }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'write_file',
+          description: 'Write content to a file in the workspace. The previous content is backed up and the change can be undone.',
+          parameters: {
+            type: 'object',
+            properties: {
+              filepath: { type: 'string', description: 'Path to the file to write, relative to the workspace root' },
+              content: { type: 'string', description: 'Content to write to the file' }
+            },
+            required: ['filepath', 'content']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'apply_patch',
+          description: 'Edit files in the workspace without rewriting them. Pass either patch, a unified diff (---/+++ file headers, @@ hunks with a few lines of context), or filepath and edits, a list of search/replace pairs whose search text occurs exactly once in the file. A patch that no longer matches the file is rejected: read the file again and retry.',
+          parameters: {
+            type: 'object',
+            properties: {
+              patch: { type: 'string', description: 'Unified diff; may touch several files' },
+              filepath: { type: 'string', description: 'File to edit, relative to the workspace root (required with edits)' },
+              edits: {
+                type: 'array',
+                description: 'Search/replace pairs, applied in order',
+                items: {
+                  type: 'object',
+                  properties: {
+                    search: { type: 'string', description: 'Exact text to replace, including enough context to be unique' },
+                    replace: { type: 'string', description: 'Replacement text' }
+                  },
+                  required: ['search', 'replace']
+                }
+              }
+            }
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'run_command',
+          description: 'Execute a shell command in the workspace. Reports exit code, stdout and stderr separately.',
+          parameters: {
+            type: 'object',
+            properties: {
+              command: { type: 'string', description: 'The shell command to execute' },
+              cwd: { type: 'string', description: 'Working directory relative to the workspace root (default: the root)' }
+            },
+            required: ['command']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'speak',
+          description: 'Speak text using text-to-speech',
+          parameters: {
+            type: 'object',
+            properties: {
+              text: { type: 'string', description: 'The text to speak' }
+            },
+            required: ['text']
+          }
+        }
+      },
+      ...MEMORY_TOOLS
+    ];
+  }
 
-        // Submit the results back to the agent
-        const submitResult = await this.apiCall('POST', `${ENDPOINT}openai/threads/${this.threadId}/runs/${this.runId}/submit_tool_outputs?api-version=2024-05-01-preview`, {
-          tool_outputs: outputs
-        });
+  // Built-in tools plus the plugins this agent's role may use (see tool-plugins.js)
+  toolDefinitions() {
+    const builtIn = this.builtInTools();
+    return [...builtIn, ...this.plugins.definitions(this.agent.role, builtIn.map(tool => tool.function.name))];
+  }
 
-        if (!submitResult.success) {
-          this.log(`❌ Failed to submit outputs: ${submitResult.error}`);
-          return;
-        }
+  // The plugin behind a tool name, if this agent may call it; built-in tools take precedence
+  pluginFor(name) {
+    return this.builtInTools().some(tool => tool.function.name === name) ? null : this.plugins.get(name, this.agent.role);
+  }
 
-      } else if (run.status === 'completed') {
-        this.log('✅ Agent completed its thinking!');
-        
-        // Get the agent's final thoughts
-        const messagesResult = await this.apiCall('GET', `${ENDPOINT}openai/threads/${this.threadId}/messages?api-version=2024-05-01-preview`);
-        
-        if (messagesResult.success) {
-          const assistantMessage = messagesResult.data.data.find(msg => msg.role === 'assistant');
-          const response = assistantMessage?.content?.[0]?.text?.value || 'No response';
-          this.log('🧠 Agent\'s thoughts:');
-          console.log(response);
-          
-          // Speak the agent's reasoning
-          await this.speak(`My analysis: ${response.substring(0, 200)}...`);
+  // Stop thinking and cancel any in-flight run so its thread is not left locked
+  async shutdown() {
+    clearInterval(this.thinkingTimer);
+    this.plugins.close();
+    this.approvals.dispose();
+    const cancelled = await this.runs.cancelAll('shutdown');
+    if (cancelled > 0) {
+      this.log(`🛑 Cancelled ${cancelled} active run(s)`);
+    }
+    await this.speech.close();
+    await this.emacs.close();
+  }
+
+  async executeToolCalls(toolCalls) {
+    this.log('🔧 Agent wants to take real action...');
+    const outputs = [];
+
+    for (const toolCall of toolCalls) {
+      const { name, arguments: args } = toolCall.function;
+      const plugin = this.pluginFor(name);
+      // Plugin arguments are checked against the plugin's schema; a malformed call goes back to the model
+      const { args: parsedArgs, error } = plugin ? this.plugins.check(name, args) : parseArguments(name, args);
+      if (error) {
+        this.log(`⚠️ Agent called ${name} badly: ${error.error}`);
+        outputs.push({ tool_call_id: toolCall.id, output: JSON.stringify(error) });
+        continue;
+      }
+      
+      this.log(`🎯 Agent decided to: ${name} with args: ${JSON.stringify(parsedArgs)}`);
+      
+      // Side effects may need a human's go-ahead first (see approval-gate.js)
+      const verdict = await this.approvals.authorize({
+        role: this.agent.role,
+        agent: this.agent.name,
+        tool: name,
+        args: parsedArgs,
+        preview: () => this.previewFor(name, parsedArgs),
+        sideEffect: plugin?.sideEffects
+      });
+
+      let result;
+      if (!verdict.approved) {
+        result = { success: false, rejected: true, error: `Not approved (${verdict.by}): ${verdict.reason}` };
+      } else {
+        result = await this.executeTool(name, parsedArgs);
+        if (verdict.note && result && typeof result === 'object') {
+          result = { ...result, note: `From the user: ${verdict.note}` };
         }
-        return;
-        
-      } else if (run.status === 'failed') {
-        this.log(`❌ Agent failed: ${run.last_error?.message}`);
-        return;
       }
 
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      this.actionHistory.push({ tool: name, args: parsedArgs, success: result?.success !== false, at: new Date().toISOString() });
+      this.actionHistory = this.actionHistory.slice(-100);
+      if (name !== 'remember' && name !== 'recall') {
+        await this.memoryStore.record({ kind: 'action', agent: this.agent.name, content: describeAction(name, parsedArgs, result) });
+      }
+
+      outputs.push({
+        tool_call_id: toolCall.id,
+        output: JSON.stringify(result)
+      });
     }
 
-    this.log('⏰ Agent thinking timed out');
+    return outputs;
   }
 
-  async executeEmacs(elisp) {
-    this.log(`🎮 Executing in Emacs: ${elisp.substring(0, 100)}...`);
-    
-    return new Promise((resolve) => {
-      const process = spawn('emacsclient', ['--eval', elisp], { stdio: 'pipe' });
-      let output = '';
+  async executeTool(name, parsedArgs) {
+    switch (name) {
+      case 'execute_emacs_command':
+        return await this.elispPolicy.evaluate(parsedArgs.elisp, { agent: this.agent.name, dryRun: parsedArgs.dry_run });
+      case 'read_file':
+        return await this.readFile(parsedArgs.filepath, parsedArgs.offset, parsedArgs.limit);
+      case 'write_file':
+        return await this.writeFile(parsedArgs.filepath, parsedArgs.content);
+      case 'apply_patch':
+        return await this.applyPatch(parsedArgs);
+      case 'run_command':
+        return await this.runCommand(parsedArgs.command, parsedArgs.cwd);
+      case 'speak':
+        return await this.speak(parsedArgs.text);
+      case 'remember':
+      case 'recall':
+        return await executeMemoryTool(this.memoryStore, name, parsedArgs, this.agent.name);
+      default:
+        if (this.pluginFor(name)) {
+          return await this.plugins.invoke(name, parsedArgs, { role: this.agent.role, agent: this.agent.name });
+        }
+        return `Unknown function: ${name}`;
+    }
+  }
 
-      process.stdout.on('data', (data) => output += data.toString());
-      
-      const timeout = setTimeout(() => {
-        process.kill();
-        resolve({ success: false, error: 'timeout' });
-      }, 10000);
-
-      process.on('close', (code) => {
-        clearTimeout(timeout);
-        const result = { success: code === 0, result: output.trim() };
-        this.log(`✅ Emacs result: ${result.success ? 'success' : 'failed'}`);
-        resolve(result);
-      });
+  // What a human sees before approving a call
+  previewFor(name, args) {
+    try {
+      switch (name) {
+        case 'write_file':
+          return this.workspace.diff(args.filepath, args.content);
+        case 'apply_patch':
+          return this.workspace.planPatch(args).map(change => change.diff).join('') || '(no changes)';
+        case 'run_command':
+          return `$ ${args.command}${args.cwd ? `    (in ${args.cwd})` : ''}`;
+        case 'execute_emacs_command':
+          return args.elisp;
+        default:
+          return this.pluginFor(name) ? this.plugins.previewFor(name, args) : JSON.stringify(args, null, 2);
+      }
+    } catch (error) {
+      return `${JSON.stringify(args, null, 2)}\n(${error.message})`;
+    }
+  }
 
-      process.on('error', (err) => {
-        clearTimeout(timeout);
-        resolve({ success: false, error: err.message });
-      });
-    });
+  async executeEmacs(elisp) {
+    this.log(`🎮 Executing in Emacs: ${elisp.substring(0, 100)}...`);
+    const result = await this.emacs.eval(elisp);
+    this.log(`${result.success ? '✅' : '❌'} Emacs result: ${result.success ? 'success' : `failed (${result.error})`}`);
+    return result;
   }
 
-  async readFile(filepath) {
+  async readFile(filepath, offset, limit) {
     this.log(`📖 Reading file: ${filepath}`);
     try {
-      const content = fs.readFileSync(filepath, 'utf8');
-      return { success: true, content: content.substring(0, 2000) }; // Limit content
+      return this.workspace.read(filepath, { offset, limit });
     } catch (error) {
       return { success: false, error: error.message };
     }
@@ -330,72 +450,108 @@ class TrulyAutonomousAgent {
   async writeFile(filepath, content) {
     this.log(`📝 Writing file: ${filepath}`);
     try {
-      fs.writeFileSync(filepath, content);
-      return { success: true };
+      const change = this.workspace.write(filepath, content, { agent: this.agent.name });
+      return { success: true, path: change.path, created: change.created, changeId: change.id };
     } catch (error) {
       return { success: false, error: error.message };
     }
   }
 
-  async runCommand(command) {
-    this.log(`💻 Running command: ${command}`);
-    
-    return new Promise((resolve) => {
-      const process = spawn('sh', ['-c', command], { stdio: 'pipe' });
-      let output = '';
+  // Patches are checked against the current files, shown in Emacs, then applied; applyPatch
+  // checks again, so an edit made while the diff was on screen still rejects the patch
+  async applyPatch({ patch, edits, filepath }) {
+    this.log(`🩹 Applying patch${filepath ? ` to ${filepath}` : ''}`);
+    try {
+      const plan = this.workspace.planPatch({ patch, edits, filepath });
+
+      const unsaved = await this.showPatchInEmacs(plan);
+      if (unsaved.length > 0) {
+        return {
+          success: false,
+          conflict: true,
+          error: `${unsaved.join(', ')} has unsaved changes in Emacs; ask the user to save them, then read the file again`
+        };
+      }
 
-      process.stdout.on('data', (data) => output += data.toString());
-      process.on('close', (code) => {
-        resolve({ success: code === 0, output: output.substring(0, 1000) });
-      });
-    });
+      const { diff, ...result } = this.workspace.applyPatch({ patch, edits, filepath }, { agent: this.agent.name });
+      await this.revertEmacsBuffers(result.files.filter(file => !file.deleted).map(file => file.path));
+      this.log(`✅ Patched ${result.files.map(file => file.path).join(', ') || 'nothing'}`);
+      return result;
+    } catch (error) {
+      this.log(`❌ Patch rejected: ${error.message}`);
+      return { success: false, conflict: error instanceof PatchConflictError, error: error.message };
+    }
   }
 
-  async speak(text) {
-    this.log(`🎙️ Speaking: ${text.substring(0, 50)}...`);
-    
-    return new Promise((resolve) => {
-      const command = `say -v Samantha -r 165 "${text.replace(/"/g, '\\"')}"`;
-      const process = spawn('sh', ['-c', command], { stdio: 'ignore' });
-      process.on('close', () => resolve({ success: true }));
-    });
+  // Shows the diff in a *Agent-Patch* buffer; returns the files with unsaved edits in Emacs.
+  // Without a running Emacs there is nothing to show and nothing unsaved.
+  async showPatchInEmacs(plan) {
+    const files = plan.map(change => path.join(this.workspace.root, change.path));
+    const { success, result } = await this.executeEmacs(elisp`(progn
+  (require 'json)
+  (with-current-buffer (get-buffer-create "*Agent-Patch*")
+    (let ((inhibit-read-only t))
+      (erase-buffer)
+      (insert ${plan.map(change => change.diff).join('') || '(no changes)\n'})
+      (diff-mode)
+      (setq buffer-read-only t)
+      (goto-char (point-min))))
+  (display-buffer "*Agent-Patch*")
+  (json-encode
+   (vconcat (seq-filter (lambda (file)
+                          (let ((buffer (find-buffer-visiting file)))
+                            (and buffer (buffer-modified-p buffer))))
+                        ${files}))))`);
+    if (!success || !result) return [];
+
+    try {
+      return readElispJson(result).map(file => this.workspace.relative(file));
+    } catch {
+      return [];
+    }
   }
 
-  async apiCall(method, url, data = null) {
-    const token = await getApiKey();
-    const options = {
-      method,
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
-      }
-    };
+  // Reload buffers visiting patched files so Emacs shows the new content
+  async revertEmacsBuffers(paths) {
+    if (paths.length === 0) return;
+    const files = paths.map(file => path.join(this.workspace.root, file));
+    await this.executeEmacs(elisp`(dolist (file ${files})
+  (let ((buffer (find-buffer-visiting file)))
+    (when (and buffer (not (buffer-modified-p buffer)))
+      (with-current-buffer buffer (revert-buffer t t t)))))`);
+  }
 
-    if (data) {
-      options.body = JSON.stringify(data);
+  async runCommand(command, cwd) {
+    this.log(`💻 Running command: ${command}`);
+    const result = await this.sandbox.run(command, { cwd });
+    if (!result.policy) {
+      this.log(result.success ? '✅ Command succeeded' : `❌ Command failed: ${result.error || `exit ${result.exitCode ?? result.signal}`}`);
     }
+    return result;
+  }
 
-    try {
-      const response = await fetch(url, options);
-      const result = await response.json();
-      
-      if (!response.ok) {
-        return { success: false, error: `${response.status}: ${result.error?.message || 'Unknown error'}` };
-      }
-      
-      return { success: true, data: result };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+  async speak(text) {
+    this.log(`🎙️ Speaking: ${text.substring(0, 50)}...`);
+    
+    return this.speech.say(text, { voice: 'Samantha', rate: 165, agent: this.agent?.role || 'agent' });
   }
 }
 
 // Start the truly autonomous agent
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const agent = new TrulyAutonomousAgent();
+  const config = configFromArgs();
+  let agent;
+  try {
+    agent = new TrulyAutonomousAgent(config.options());
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  config.describe().forEach(line => agent.log(line));
   
-  process.on('SIGINT', () => {
+  process.on('SIGINT', async () => {
     console.log('\n🛑 Truly autonomous agent stopping...');
+    await agent.shutdown();
     process.exit(0);
   });
   
@@ -2,34 +2,88 @@
 // ultimate-multi-agent-system.js - Dynamic multi-agent system that truly inhabits Emacs
 
 import { JITAgentFactory } from './jit-agent-factory.js';
-import { spawn } from 'child_process';
+import { createProvider, createEmbedder } from './llm-providers.js';
+import { RunManager, describeOutcome } from './run-lifecycle.js';
+import { ConversationMemory } from './conversation-memory.js';
+import { createApprovalGate } from './approval-gate.js';
+import { MemoryStore, MEMORY_TOOLS, executeMemoryTool, describeAction, memoryFile } from './memory-store.js';
+import { ToolRegistry, TOOL_NAME_PATTERN, parseArguments } from './tool-registry.js';
+import { ToolLibrary, ToolGenerator } from './generated-tools.js';
+import { ToolPlugins } from './tool-plugins.js';
+import { EmacsBridge } from './emacs-bridge.js';
+import { ElispPolicy } from './elisp-policy.js';
+import { createOutputSinks } from './output-sinks.js';
+import { createSpeech, DEFAULT_VOICE } from './speech.js';
+import { AgentDefinitions, DEFAULT_THINK_INTERVAL_MS } from './agent-definitions.js';
+import { elisp, elispLiteral } from './elisp.js';
+import { configFromArgs } from './config.js';
 import fs from 'fs';
 
-// Get API key from Azure CLI
-async function getApiKey() {
-  return new Promise((resolve, reject) => {
-    const process = spawn('az', ['account', 'get-access-token', '--resource', 'https://cognitiveservices.azure.com']);
-    let output = '';
-    
-    process.stdout.on('data', (data) => output += data.toString());
-    process.on('close', (code) => {
-      if (code === 0) {
-        const token = JSON.parse(output).accessToken;
-        resolve(token);
-      } else {
-        reject(new Error('Failed to get Azure token'));
-      }
-    });
-  });
-}
-const ENDPOINT = 'https://actualizedai-instance01.openai.azure.com/';
-
 class UltimateMultiAgentSystem {
-  constructor() {
-    this.factory = new JITAgentFactory(this.log.bind(this));
+  // options.assistantId: the assistant every role runs on (provider.assistantId, see config.js)
+  constructor(options = {}) {
+    this.assistantId = options.assistantId || null;
+    // One connection to Emacs for every elisp call and log line (see emacs-bridge.js)
+    this.emacs = new EmacsBridge({ log: message => this.log(message), ...options.emacs });
+    // options.output: { sinks, dir, port } (see output-sinks.js); without the emacs sink the
+    // swarm runs headless and never touches Emacs
+    this.output = createOutputSinks({ emacs: this.emacs, log: message => this.log(message), ...options.output });
+    this.headless = !this.output.has('emacs');
+    // options.speech: { backend, engine, format, dir } (see speech.js); one queue, so agents take turns
+    this.speech = createSpeech({ log: message => this.log(message), ...options.speech });
+    // Elisp written by the model is checked before it reaches the editor (options.elisp: { allow, deny, confirm, dryRun })
+    this.elispPolicy = new ElispPolicy({ emacs: this.emacs, log: this.log.bind(this), ...options.elisp });
+    // Personas, factory templates and teams from agents/ (see agent-definitions.js); persona edits
+    // reach the running swarm, and a new persona file adds an agent
+    this.definitions = new AgentDefinitions({
+      log: this.log.bind(this),
+      onChange: (kind, name, definition) => kind === 'personas'
+        && this.personaChanged(name, definition).catch(error => this.log(`❌ Could not apply persona ${name}: ${error.message}`)),
+      ...options.definitions
+    });
+    this.definitions.load();
+    this.factory = new JITAgentFactory(this.log.bind(this), { ...options.factory, definitions: this.definitions });
+    this.client = options.client || createProvider(options.provider, { log: this.log.bind(this) });
+    this.runs = new RunManager({ client: this.client, log: this.log.bind(this), deadlineMs: options.runDeadlineMs });
+    this.conversationOptions = options.conversation || {};
+    // Shared team memory: every agent can recall what the others learned, across restarts
+    this.memoryStore = new MemoryStore({
+      file: memoryFile('multi-agent-system'),
+      embed: createEmbedder(this.client, options.provider),
+      log: this.log.bind(this),
+      ...options.memory
+    });
+    // options.approval: { policy, terminal, emacs, timeoutMs }; policy.roles sets per-agent rules
+    this.approvals = createApprovalGate({ log: this.log.bind(this), executeEmacs: elisp => this.executeEmacs(elisp), ...options.approval });
+    this.timers = [];
+    this.agentLoops = new Map();
+    this.swarmReady = false;
     this.agents = new Map();
     this.agentSkills = new Map();
-    this.dynamicTools = new Map();
+    this.tools = this.createToolRegistry();
+    // Tools the model writes when an agent needs one nobody has implemented; options.toolGenerator
+    // can grant the sandbox capabilities (e.g. { capabilities: ['network'] })
+    this.toolLibrary = new ToolLibrary({ log: this.log.bind(this), ...options.toolLibrary });
+    this.toolGenerator = new ToolGenerator({
+      client: this.client,
+      runs: this.runs,
+      library: this.toolLibrary,
+      log: this.log.bind(this),
+      ...options.toolGenerator
+    });
+    for (const tool of this.toolLibrary.list()) {
+      if (!this.tools.has(tool.name)) this.registerGeneratedTool(tool);
+    }
+    // Custom tools from tools/, given only the services they declare; the swarm has no
+    // workspace or shell (nor Emacs when headless), so plugins needing those are skipped
+    this.plugins = new ToolPlugins({
+      services: {
+        ...(this.headless ? {} : { emacs: elisp => this.executeEmacs(elisp) }),
+        memory: this.memoryStore
+      },
+      log: this.log.bind(this),
+      ...options.plugins
+    });
     this.emacsState = {};
     this.activeAgents = new Set();
     this.agentConversations = new Map();
@@ -38,22 +92,28 @@ class UltimateMultiAgentSystem {
   }
 
   log(message) {
-    const timestamp = new Date().toLocaleTimeString();
-    console.log(`[${timestamp}] ${message}`);
-    this.broadcastToEmacs(`[${timestamp}] ${message}`);
+    this.output.log(message);
   }
 
   async start() {
     this.log('🚀 ULTIMATE MULTI-AGENT SYSTEM INITIALIZING');
     this.log('Dynamic agents, dynamic tools, dynamic everything...');
+    if (!this.assistantId) {
+      throw new Error('No assistant configured: set provider.assistantId in agent.config.yaml or AGENT_ASSISTANT_ID');
+    }
     
     await this.factory.initialize();
+    await this.plugins.load();
     
     // Create initial agent swarm
     await this.createDynamicAgentSwarm();
     
     // Set up Emacs integration
-    await this.inhabitEmacs();
+    if (this.headless) {
+      this.log('🖥️ Running headless: agent transcripts go to the configured output sinks');
+    } else {
+      await this.inhabitEmacs();
+    }
     
     // Start the multi-agent orchestration
     await this.startMultiAgentOrchestration();
@@ -62,72 +122,21 @@ class UltimateMultiAgentSystem {
   async createDynamicAgentSwarm() {
     this.log('🤖 Creating dynamic agent swarm...');
     
-    const agentTypes = [
-      {
-        role: 'architect',
-        personality: 'analytical and strategic',
-        skills: ['system design', 'architecture patterns', 'optimization'],
-        instructions: `You are the ARCHITECT agent. You see the big picture and design systems.
-        Your personality is analytical and strategic. You think in patterns and abstractions.
-        You coordinate with other agents to build robust systems.
-        When you speak, be thoughtful and precise.`
-      },
-      {
-        role: 'coder',
-        personality: 'fast and decisive like ThePrimeagen',
-        skills: ['coding', 'debugging', 'refactoring', 'performance'],
-        instructions: `You are the CODER agent with ThePrimeagen's energy and speed.
-        You write code fast, debug efficiently, and speak with confidence.
-        Use casual language, be direct, and occasionally sarcastic.
-        You live in the terminal and know every hotkey.
-        When you see inefficient code, you fix it immediately.`
-      },
-      {
-        role: 'researcher',
-        personality: 'curious and thorough',
-        skills: ['analysis', 'research', 'documentation', 'learning'],
-        instructions: `You are the RESEARCHER agent. You dig deep and find answers.
-        Your personality is curious and thorough. You ask the right questions.
-        You research technologies, analyze code patterns, and document findings.
-        You speak thoughtfully and always back up claims with evidence.`
-      },
-      {
-        role: 'orchestrator',
-        personality: 'coordinating and decisive',
-        skills: ['project management', 'task coordination', 'communication'],
-        instructions: `You are the ORCHESTRATOR agent. You coordinate the team.
-        Your personality is decisive and coordinating. You keep things moving.
-        You assign tasks, resolve conflicts, and ensure progress.
-        You speak clearly and make decisions quickly.`
-      },
-      {
-        role: 'optimizer',
-        personality: 'performance-obsessed',
-        skills: ['performance tuning', 'profiling', 'benchmarking'],
-        instructions: `You are the OPTIMIZER agent. You make everything faster.
-        Your personality is performance-obsessed. You measure everything.
-        You profile code, find bottlenecks, and optimize relentlessly.
-        You speak with data and metrics.`
-      }
-    ];
-
-    for (const agentType of agentTypes) {
-      const agent = await this.createDynamicAgent(agentType);
-      this.agents.set(agentType.role, agent);
-      this.agentSkills.set(agentType.role, agentType.skills);
-      this.log(`✅ ${agentType.role.toUpperCase()} agent created with ${agentType.skills.length} skills`);
+    for (const persona of this.definitions.personas.values()) {
+      const agent = await this.createDynamicAgent(persona);
+      this.agents.set(persona.role, agent);
+      this.agentSkills.set(persona.role, persona.skills);
+      this.log(`✅ ${persona.role.toUpperCase()} agent created with ${persona.skills.length} skills`);
     }
 
+    this.swarmReady = true;
     this.log(`🎯 Agent swarm ready: ${this.agents.size} dynamic agents with unique personalities`);
   }
 
   async createDynamicAgent(agentConfig) {
-    // Generate dynamic tools based on agent skills
-    const dynamicTools = this.generateDynamicTools(agentConfig.skills);
-    
-    // Use existing working assistant for all agents for now
+    // Every role runs on the configured assistant for now
     const agent = {
-      azureAgentId: 'asst_Hr1f0BSUrliCR3QfwCBB53Xb', // Known working assistant
+      azureAgentId: this.assistantId,
       name: `${agentConfig.role}_agent`,
       instructions: agentConfig.instructions
     };
@@ -135,54 +144,119 @@ class UltimateMultiAgentSystem {
     // Add dynamic capabilities
     agent.skills = agentConfig.skills;
     agent.personality = agentConfig.personality;
-    agent.dynamicTools = dynamicTools;
-    agent.activeThreads = new Map();
+    // Each agent keeps one thread across its thinking cycles and assigned tasks
+    agent.conversation = new ConversationMemory({
+      client: this.client,
+      runs: this.runs,
+      log: this.log.bind(this),
+      name: agentConfig.role.toUpperCase(),
+      ...this.conversationOptions
+    });
     
     return agent;
   }
 
-  generateDynamicTools(skills) {
-    const baseTools = [
-      { type: 'function', function: { name: 'execute_emacs', description: 'Execute elisp in Emacs' }},
-      { type: 'function', function: { name: 'speak_with_personality', description: 'Speak with agent personality' }},
-      { type: 'function', function: { name: 'analyze_codebase', description: 'Analyze current codebase' }},
-      { type: 'function', function: { name: 'coordinate_with_agents', description: 'Communicate with other agents' }}
-    ];
+  // Registry tools for the skills, plus the plugins the role may use (see tool-plugins.js)
+  generateDynamicTools(skills, role = null) {
+    // Headless agents are not offered Emacs
+    const tools = this.tools.definitions(skills)
+      .filter(tool => !(this.headless && tool.function.name === 'execute_emacs'));
+    return [...tools, ...this.plugins.definitions(role, this.tools.names())];
+  }
 
-    // Add skill-specific tools
-    const skillTools = new Map([
-      ['coding', [
-        { type: 'function', function: { name: 'write_code', description: 'Write code with best practices' }},
-        { type: 'function', function: { name: 'debug_issue', description: 'Debug and fix code issues' }},
-        { type: 'function', function: { name: 'refactor_code', description: 'Refactor code for better quality' }}
-      ]],
-      ['system design', [
-        { type: 'function', function: { name: 'design_architecture', description: 'Design system architecture' }},
-        { type: 'function', function: { name: 'create_patterns', description: 'Create reusable patterns' }}
-      ]],
-      ['performance', [
-        { type: 'function', function: { name: 'profile_performance', description: 'Profile and measure performance' }},
-        { type: 'function', function: { name: 'optimize_bottleneck', description: 'Optimize performance bottlenecks' }}
-      ]],
-      ['research', [
-        { type: 'function', function: { name: 'research_topic', description: 'Research and analyze topics' }},
-        { type: 'function', function: { name: 'document_findings', description: 'Document research findings' }}
-      ]]
-    ]);
-
-    let tools = [...baseTools];
-    
-    skills.forEach(skill => {
-      if (skillTools.has(skill)) {
-        tools.push(...skillTools.get(skill));
-      }
-    });
+  // Every tool the swarm can call, with the schema its arguments are checked against.
+  // Skill tools are only offered to agents with that skill.
+  createToolRegistry() {
+    const text = (description) => ({ type: 'string', description });
+    const params = (properties, required = Object.keys(properties)) => ({ type: 'object', properties, required });
+    // No built-in implementation: handled by executeOrCreateTool
+    const generated = (args, { role, name }) => this.executeOrCreateTool(role, name, args);
+
+    const registry = new ToolRegistry({ log: this.log.bind(this) });
+    registry
+      .register({
+        name: 'execute_emacs',
+        description: 'Execute elisp in Emacs. Shell commands, file deletion and killing Emacs are refused; eval, redefinitions and file writes need the user to confirm in Emacs.',
+        parameters: params({
+          elisp: text('The elisp code to evaluate'),
+          dry_run: { type: 'boolean', description: 'Only check whether the code would be allowed, without running it' }
+        }, ['elisp']),
+        handler: ({ elisp, dry_run }, { role }) => this.headless
+          ? { success: false, error: 'Emacs is not available: the swarm is running headless' }
+          : this.elispPolicy.evaluate(elisp, { agent: role.toUpperCase(), dryRun: dry_run })
+      })
+      .register({
+        name: 'speak_with_personality',
+        description: 'Speak with agent personality',
+        parameters: params({ text: text('What to say, in a sentence or two') }),
+        handler: ({ text: spoken }, { role }) => this.speakWithPersonality(role, spoken)
+      })
+      .register({
+        name: 'analyze_codebase',
+        description: 'Analyze current codebase',
+        parameters: params({}),
+        handler: () => this.analyzeCodebase()
+      })
+      .register({
+        name: 'coordinate_with_agents',
+        description: 'Communicate with other agents',
+        parameters: params({ message: text('Message for the other agents') }),
+        handler: ({ message }, { role }) => this.coordinateWithAgents(role, message)
+      });
 
-    return tools;
+    for (const { function: { name, description, parameters } } of MEMORY_TOOLS) {
+      registry.register({ name, description, parameters, handler: (args, { role }) => executeMemoryTool(this.memoryStore, name, args, role) });
+    }
+
+    const skillTools = [
+      ['coding', 'write_code', 'Write code with best practices', params({
+        task: text('What the code should do'),
+        language: text('Programming language (default: JavaScript)'),
+        filename: text('Suggested file name')
+      }, ['task'])],
+      ['coding', 'debug_issue', 'Debug and fix code issues', params({
+        issue: text('The symptom or error message'),
+        context: text('Relevant code, logs or steps to reproduce')
+      }, ['issue'])],
+      ['coding', 'refactor_code', 'Refactor code for better quality', params({
+        code: text('The code to refactor'),
+        goal: text('What the refactoring should improve')
+      }, ['code'])],
+      ['system design', 'design_architecture', 'Design system architecture', params({
+        requirements: text('What the system must do'),
+        constraints: { type: 'array', items: { type: 'string' }, description: 'Constraints such as budget, latency or existing components' }
+      }, ['requirements'])],
+      ['system design', 'create_patterns', 'Create reusable patterns', params({
+        problem: text('The recurring problem the pattern solves')
+      })],
+      ['performance', 'profile_performance', 'Profile and measure performance', params({
+        target: text('Code, command or component to profile'),
+        metric: { type: 'string', enum: ['time', 'memory', 'throughput'], description: 'What to measure (default: time)' }
+      }, ['target'])],
+      ['performance', 'optimize_bottleneck', 'Optimize performance bottlenecks', params({
+        bottleneck: text('The slow part and how it was measured'),
+        goal: text('Target, e.g. "p95 under 100ms"')
+      }, ['bottleneck'])],
+      ['research', 'research_topic', 'Research and analyze topics', params({
+        topic: text('What to research'),
+        depth: { type: 'string', enum: ['quick', 'thorough'], description: 'How deep to go (default: quick)' }
+      }, ['topic'])],
+      ['research', 'document_findings', 'Document research findings', params({
+        title: text('Title of the write-up'),
+        findings: text('The findings, in Markdown')
+      })]
+    ];
+    for (const [skill, name, description, parameters] of skillTools) {
+      registry.register({ name, description, parameters, skills: [skill], handler: generated });
+    }
+
+    return registry;
   }
 
   async inhabitEmacs() {
     this.log('🎮 Inhabiting Emacs like true developers...');
+    // One buffer per persona; the first two are shown side by side with the main buffer
+    const roles = Array.from(this.agents.keys());
     
     const emacsSetup = `
 (progn
@@ -211,7 +285,7 @@ class UltimateMultiAgentSystem {
       (other-window 1)
       
       ;; Create individual agent buffers
-      (dolist (agent '("architect" "coder" "researcher" "orchestrator" "optimizer"))
+      (dolist (agent ${elispLiteral(roles)})
         (let ((agent-buffer (get-buffer-create (format "*Agent-%s*" agent))))
           (puthash agent agent-buffer mas-agent-buffers)
           (with-current-buffer agent-buffer
@@ -220,11 +294,14 @@ class UltimateMultiAgentSystem {
             (insert "## Status: Initializing...\\n\\n")
             (goto-char (point-max)))))
       
-      ;; Show coder agent (like ThePrimeagen)
-      (switch-to-buffer (gethash "coder" mas-agent-buffers))
-      (split-window-below)
-      (other-window 1)
-      (switch-to-buffer (gethash "architect" mas-agent-buffers))
+      ;; Show the first agents (like ThePrimeagen)
+      (let ((shown ${elispLiteral(roles.slice(0, 2))}))
+        (when shown
+          (switch-to-buffer (gethash (car shown) mas-agent-buffers))
+          (when (cdr shown)
+            (split-window-below)
+            (other-window 1)
+            (switch-to-buffer (gethash (cadr shown) mas-agent-buffers)))))
       
       (message "🤖 Multi-Agent System workspace created - agents are inhabiting Emacs!")))
   
@@ -250,6 +327,14 @@ class UltimateMultiAgentSystem {
       ;; Show in minibuffer for immediate feedback
       (message "🤖 %s: %s" agent-role message)))
   
+  ;; Live token stream from an agent's current run
+  (defun mas-agent-stream (agent-role text)
+    "Append streamed TEXT from AGENT-ROLE to its buffer as it arrives"
+    (when-let ((agent-buffer (gethash agent-role mas-agent-buffers)))
+      (with-current-buffer agent-buffer
+        (goto-char (point-max))
+        (insert text))))
+  
   ;; Command interception for multi-agent analysis
   (defun mas-intercept-command (orig-fun &rest args)
     "Intercept commands for multi-agent analysis"
@@ -302,20 +387,54 @@ class UltimateMultiAgentSystem {
     this.log('🚀 Multi-agent system fully operational!');
   }
 
-  async startAgentLoop(role, agent) {
-    const thinkingInterval = {
-      'architect': 60000,    // Architect thinks every minute
-      'coder': 30000,       // Coder is fast like Primeagen
-      'researcher': 90000,   // Researcher thinks deeply
-      'orchestrator': 45000, // Orchestrator coordinates frequently
-      'optimizer': 75000     // Optimizer measures regularly
-    };
+  // Restarting a role's loop picks up a changed thinkIntervalMs from its persona
+  startAgentLoop(role, agent) {
+    const interval = this.definitions.personas.get(role)?.thinkIntervalMs || DEFAULT_THINK_INTERVAL_MS;
+
+    clearInterval(this.agentLoops.get(role));
+    this.agentLoops.set(role, setInterval(async () => {
+      // Every agent shares the client's circuit breaker, so the whole swarm pauses together
+      if (this.client.circuitBreaker?.isOpen()) return;
 
-    setInterval(async () => {
       if (this.activeAgents.has(role)) {
         await this.agentThink(role, agent, `As the ${role} agent, analyze the current situation and decide what action would be most valuable right now.`);
       }
-    }, thinkingInterval[role] || 60000);
+    }, interval));
+  }
+
+  // A persona file was added, edited or removed while the swarm runs
+  async personaChanged(role, persona) {
+    if (!this.swarmReady) return;
+    const agent = this.agents.get(role);
+
+    if (!persona) {
+      clearInterval(this.agentLoops.get(role));
+      this.agentLoops.delete(role);
+      this.activeAgents.delete(role);
+      this.agents.delete(role);
+      this.agentSkills.delete(role);
+      this.log(`👋 ${role.toUpperCase()} agent left the swarm`);
+      return;
+    }
+
+    if (!agent) {
+      const created = await this.createDynamicAgent(persona);
+      this.agents.set(role, created);
+      this.agentSkills.set(role, persona.skills);
+      if (!this.headless) {
+        await this.executeEmacs(elisp`(when (boundp 'mas-agent-buffers) (puthash ${role} (get-buffer-create ${`*Agent-${role}*`}) mas-agent-buffers))`);
+      }
+      this.startAgentLoop(role, created);
+      this.activeAgents.add(role);
+      this.log(`✅ ${role.toUpperCase()} agent joined the swarm with ${persona.skills.length} skills`);
+      return;
+    }
+
+    // Its conversation carries on; the next turn uses the new instructions and skills
+    Object.assign(agent, { instructions: persona.instructions, skills: persona.skills, personality: persona.personality });
+    this.agentSkills.set(role, persona.skills);
+    if (this.agentLoops.has(role)) this.startAgentLoop(role, agent);
+    this.log(`🔄 ${role.toUpperCase()} persona updated`);
   }
 
   async agentThink(role, agent, prompt) {
@@ -325,32 +444,21 @@ class UltimateMultiAgentSystem {
     this.log(`🧠 ${role.toUpperCase()} thinking...`);
 
     try {
-      // Create thread for agent thinking
-      const threadResult = await this.apiCall('POST', `${ENDPOINT}openai/threads?api-version=2024-05-01-preview`, {
-        messages: [{ role: 'user', content: prompt }]
-      });
+      // Continue the agent's own conversation so it builds on its earlier decisions,
+      // plus anything the team remembers that bears on this prompt
+      const memories = await this.memoryStore.contextFor(prompt);
+      const threadId = await agent.conversation.addUserMessage(memories ? `${prompt}\n\n${memories}` : prompt);
 
-      if (!threadResult.success) {
-        this.log(`❌ ${role} failed to create thread: ${threadResult.error}`);
-        return;
-      }
-
-      const threadId = threadResult.data.id;
-
-      // Start the run with dynamic tools
-      const runResult = await this.apiCall('POST', `${ENDPOINT}openai/threads/${threadId}/runs?api-version=2024-05-01-preview`, {
+      // Stream the run with dynamic tools
+      await this.monitorAgentExecution(role, agent, threadId, {
         assistant_id: agent.azureAgentId,
-        tools: agent.dynamicTools
+        // Looked up on every turn, so tools generated since are offered too
+        tools: this.generateDynamicTools(agent.skills, role),
+        // Every role shares one assistant; the persona is what makes it this agent
+        additional_instructions: agent.instructions,
+        ...agent.conversation.runOptions()
       });
 
-      if (!runResult.success) {
-        this.log(`❌ ${role} failed to start run: ${runResult.error}`);
-        return;
-      }
-
-      const runId = runResult.data.id;
-      await this.monitorAgentExecution(role, agent, threadId, runId);
-
     } catch (error) {
       this.log(`❌ ${role} thinking error: ${error.message}`);
     } finally {
@@ -358,101 +466,98 @@ class UltimateMultiAgentSystem {
     }
   }
 
-  async monitorAgentExecution(role, agent, threadId, runId) {
-    for (let i = 0; i < 20; i++) {
-      const statusResult = await this.apiCall('GET', `${ENDPOINT}openai/threads/${threadId}/runs/${runId}?api-version=2024-05-01-preview`);
-      
-      if (!statusResult.success) return;
-
-      const run = statusResult.data;
-
-      if (run.status === 'requires_action') {
-        this.log(`🎯 ${role.toUpperCase()} wants to take action...`);
-        
-        const toolCalls = run.required_action.submit_tool_outputs.tool_calls;
-        const outputs = [];
-
-        for (const toolCall of toolCalls) {
-          const result = await this.executeDynamicTool(role, toolCall);
-          outputs.push({
-            tool_call_id: toolCall.id,
-            output: JSON.stringify(result)
-          });
+  async monitorAgentExecution(role, agent, threadId, runBody) {
+    let outcome;
+    try {
+      outcome = await this.runs.execute(threadId, runBody, {
+        onDelta: chunk => this.output.stream(role, chunk),
+        onToolCalls: async (toolCalls) => {
+          this.log(`🎯 ${role.toUpperCase()} wants to take action...`);
+          const outputs = [];
+
+          for (const toolCall of toolCalls) {
+            const result = await this.executeDynamicTool(role, toolCall);
+            const { name, arguments: args } = toolCall.function;
+            if (name !== 'remember' && name !== 'recall') {
+              await this.memoryStore.record({ kind: 'action', agent: role, content: describeAction(name, parseArguments(name, args).args ?? args, result) });
+            }
+            outputs.push({
+              tool_call_id: toolCall.id,
+              output: JSON.stringify(result)
+            });
+          }
+
+          return outputs;
         }
+      });
+    } finally {
+      this.output.endStream(role);
+    }
 
-        await this.apiCall('POST', `${ENDPOINT}openai/threads/${threadId}/runs/${runId}/submit_tool_outputs?api-version=2024-05-01-preview`, {
-          tool_outputs: outputs
-        });
-
-      } else if (run.status === 'completed') {
-        // Get agent's thoughts and broadcast them
-        const messagesResult = await this.apiCall('GET', `${ENDPOINT}openai/threads/${threadId}/messages?api-version=2024-05-01-preview`);
-        
-        if (messagesResult.success) {
-          const assistantMessage = messagesResult.data.data.find(msg => msg.role === 'assistant');
-          const thoughts = assistantMessage?.content?.[0]?.text?.value || 'No response';
-          
-          await this.broadcastAgentThoughts(role, thoughts);
-        }
-        return;
-        
-      } else if (run.status === 'failed') {
-        this.log(`❌ ${role} failed: ${run.last_error?.message}`);
-        return;
+    if (outcome.ok) {
+      if (outcome.text) {
+        await this.memoryStore.record({ kind: 'conclusion', agent: role, content: outcome.text.substring(0, 1000) });
       }
-
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      // Broadcast the agent's finished thoughts
+      await this.broadcastAgentThoughts(role, outcome.text || 'No response');
+    } else {
+      this.log(`❌ ${role} run ${describeOutcome(outcome)}`);
     }
+
+    await agent.conversation.recordOutcome(outcome, runBody.assistant_id);
   }
 
   async executeDynamicTool(role, toolCall) {
     const { name, arguments: args } = toolCall.function;
-    const parsedArgs = JSON.parse(args);
-    
-    this.log(`🔧 ${role.toUpperCase()} executing: ${name}`);
 
-    switch (name) {
-      case 'execute_emacs':
-        return await this.executeEmacs(parsedArgs.elisp);
-      case 'speak_with_personality':
-        return await this.speakWithPersonality(role, parsedArgs.text);
-      case 'coordinate_with_agents':
-        return await this.coordinateWithAgents(role, parsedArgs.message);
-      case 'analyze_codebase':
-        return await this.analyzeCodebase();
-      default:
-        // Dynamic tool execution - create tool on-the-fly if needed
-        return await this.executeOrCreateTool(role, name, parsedArgs);
+    // Malformed calls go back to the model with what was wrong, before anyone is asked to approve
+    // them. Unknown tools have no schema yet: executeOrCreateTool writes them first.
+    const known = this.tools.has(name);
+    const plugin = known ? null : this.plugins.get(name, role);
+    const unavailable = known || plugin ? null : this.plugins.unavailable(name, role);
+    if (unavailable) {
+      return { success: false, error: unavailable };
     }
+    const { args: parsedArgs, error } = known ? this.tools.check(name, args)
+      : plugin ? this.plugins.check(name, args) : parseArguments(name, args);
+    if (error) {
+      this.log(`⚠️ ${role.toUpperCase()} called ${name} badly: ${error.error}`);
+      return error;
+    }
+
+    const verdict = await this.approvals.authorize({
+      role,
+      agent: role.toUpperCase(),
+      tool: name,
+      args: parsedArgs,
+      preview: () => name === 'execute_emacs' ? parsedArgs.elisp
+        : plugin ? this.plugins.previewFor(name, parsedArgs) : JSON.stringify(parsedArgs, null, 2),
+      sideEffect: plugin?.sideEffects
+    });
+    if (!verdict.approved) {
+      return { success: false, rejected: true, error: `Not approved (${verdict.by}): ${verdict.reason}` };
+    }
+
+    this.log(`🔧 ${role.toUpperCase()} executing: ${name}`);
+    const result = known ? await this.tools.invoke(name, parsedArgs, { role, name })
+      : plugin ? await this.plugins.invoke(name, parsedArgs, { role, agent: role.toUpperCase() })
+      : await this.executeOrCreateTool(role, name, parsedArgs);
+    return verdict.note && result && typeof result === 'object' ? { ...result, note: `From the user: ${verdict.note}` } : result;
   }
 
   async speakWithPersonality(role, text) {
-    const personalities = {
-      'coder': { voice: 'Alex', rate: 220, personality: 'primeagen' }, // Fast like ThePrimeagen
-      'architect': { voice: 'Victoria', rate: 150, personality: 'thoughtful' },
-      'researcher': { voice: 'Karen', rate: 160, personality: 'analytical' },
-      'orchestrator': { voice: 'Daniel', rate: 175, personality: 'decisive' },
-      'optimizer': { voice: 'Samantha', rate: 165, personality: 'focused' }
-    };
-
-    const personality = personalities[role] || personalities.coder;
+    const voice = this.definitions.personas.get(role)?.voice || { name: DEFAULT_VOICE.voice, rate: DEFAULT_VOICE.rate, style: 'plain' };
     
     // Transform text based on personality
     let transformedText = text;
-    if (personality.personality === 'primeagen') {
+    if (voice.style === 'primeagen') {
       transformedText = this.addPrimeagenStyle(text);
     }
     
-    this.log(`🎙️ ${role.toUpperCase()}: ${transformedText}`);
-    await this.broadcastToEmacs(`🎙️ ${role.toUpperCase()}: ${transformedText}`);
-    
-    // Use personality-appropriate voice and rate
-    const command = `say -v ${personality.voice} -r ${personality.rate} "${transformedText.replace(/"/g, '\\"')}"`;
+    this.output.message(role, `🎙️ ${role.toUpperCase()}: ${transformedText}`);
     
-    return new Promise((resolve) => {
-      const process = spawn('sh', ['-c', command], { stdio: 'ignore' });
-      process.on('close', () => resolve({ success: true }));
-    });
+    // Personality-appropriate voice and rate, queued behind whatever the other agents are saying
+    return this.speech.say(transformedText, { voice: voice.name, rate: voice.rate, agent: role });
   }
 
   addPrimeagenStyle(text) {
@@ -496,59 +601,11 @@ class UltimateMultiAgentSystem {
   async broadcastAgentThoughts(role, thoughts) {
     const shortThoughts = thoughts.substring(0, 200);
     await this.speakWithPersonality(role, shortThoughts);
-    await this.broadcastToEmacs(`🧠 ${role.toUpperCase()} thoughts: ${thoughts}`);
-  }
-
-  async broadcastToEmacs(message) {
-    const elisp = `(mas-agent-broadcast "system" "${message.replace(/"/g, '\\"')}")`;
-    await this.executeEmacs(elisp);
+    this.output.thoughts(role, `🧠 ${role.toUpperCase()} thoughts: ${thoughts}`);
   }
 
   async executeEmacs(elisp) {
-    return new Promise((resolve) => {
-      const process = spawn('emacsclient', ['--eval', elisp], { stdio: 'pipe' });
-      let output = '';
-
-      process.stdout.on('data', (data) => output += data.toString());
-      
-      const timeout = setTimeout(() => {
-        process.kill();
-        resolve({ success: false, error: 'timeout' });
-      }, 10000);
-
-      process.on('close', (code) => {
-        clearTimeout(timeout);
-        resolve({ success: code === 0, result: output.trim() });
-      });
-    });
-  }
-
-  async apiCall(method, url, data = null) {
-    const token = await getApiKey();
-    const options = {
-      method,
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
-      }
-    };
-
-    if (data) {
-      options.body = JSON.stringify(data);
-    }
-
-    try {
-      const response = await fetch(url, options);
-      const result = await response.json();
-      
-      if (!response.ok) {
-        return { success: false, error: `${response.status}: ${result.error?.message || 'Unknown error'}` };
-      }
-      
-      return { success: true, data: result };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+    return this.emacs.eval(elisp);
   }
 
   async assignTask(task) {
@@ -582,8 +639,7 @@ class UltimateMultiAgentSystem {
 
   // Placeholder methods for additional functionality
   async coordinateWithAgents(role, message) {
-    this.log(`🤝 ${role.toUpperCase()} coordinating: ${message}`);
-    await this.broadcastToEmacs(`🤝 ${role.toUpperCase()}: ${message}`);
+    this.output.message(role, `🤝 ${role.toUpperCase()} coordinating: ${message}`);
     return { success: true, coordination: 'message broadcasted' };
   }
 
@@ -592,17 +648,60 @@ class UltimateMultiAgentSystem {
     return { success: true, analysis: `Found ${files.length} code files` };
   }
 
+  // Runs the latest library version of a tool, writing one first when there is none (or when a
+  // declared tool's schema has changed since). A new tool is offered to every agent from then on.
   async executeOrCreateTool(role, toolName, args) {
-    this.log(`⚡ ${role.toUpperCase()} creating dynamic tool: ${toolName}`);
-    // Placeholder for dynamic tool creation
-    return { success: true, result: `Dynamic tool ${toolName} executed with args: ${JSON.stringify(args)}` };
+    if (!TOOL_NAME_PATTERN.test(toolName)) {
+      return { success: false, error: `Invalid tool name: ${toolName}` };
+    }
+
+    const declared = this.tools.get(toolName);
+    let tool = this.toolLibrary.load(toolName);
+    if (tool && declared && JSON.stringify(tool.parameters) !== JSON.stringify(declared.parameters)) {
+      tool = null;
+    }
+
+    if (!tool) {
+      this.log(`⚡ ${role.toUpperCase()} creating dynamic tool: ${toolName}`);
+      try {
+        tool = await this.toolGenerator.create({
+          name: toolName,
+          description: declared?.description,
+          parameters: declared?.parameters,
+          args,
+          role,
+          assistantId: this.agents.get(role)?.azureAgentId
+        });
+      } catch (error) {
+        this.log(`❌ Could not create ${toolName}: ${error.message}`);
+        return { success: false, error: error.message };
+      }
+      this.log(`✅ ${role.toUpperCase()} created ${toolName} v${tool.version}`);
+
+      if (!declared) {
+        this.registerGeneratedTool(tool);
+        // The arguments were sent before the tool had a schema
+        return await this.tools.execute(toolName, args, { role, name: toolName });
+      }
+    }
+
+    return await this.toolGenerator.execute(tool, args);
+  }
+
+  registerGeneratedTool(tool) {
+    this.tools.register({
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters,
+      handler: (args, { role }) => this.executeOrCreateTool(role, tool.name, args)
+    });
   }
 
   startAgentCommunication() {
     this.log('🤝 Starting inter-agent communication system...');
     
     // Simple communication system - agents can broadcast to each other
-    setInterval(async () => {
+    this.timers.push(setInterval(async () => {
       if (this.activeAgents.size > 1) {
         const activeRoles = Array.from(this.activeAgents);
         const randomAgent = activeRoles[Math.floor(Math.random() * activeRoles.length)];
@@ -613,16 +712,45 @@ class UltimateMultiAgentSystem {
           await this.coordinateWithAgents(randomAgent, `Checking in with ${targetAgent} - any insights to share?`);
         }
       }
-    }, 120000); // Every 2 minutes
+    }, 120000)); // Every 2 minutes
+  }
+
+  // Stop every agent loop and cancel in-flight runs so no thread is left locked
+  async shutdown() {
+    this.plugins.close();
+    this.approvals.dispose();
+    this.definitions.close();
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    this.agentLoops.forEach(timer => clearInterval(timer));
+    this.agentLoops.clear();
+    this.activeAgents.clear();
+
+    const cancelled = await this.runs.cancelAll('shutdown');
+    if (cancelled > 0) {
+      this.log(`🛑 Cancelled ${cancelled} active run(s)`);
+    }
+    await this.speech.close();
+    await this.output.close();
+    await this.emacs.close();
   }
 }
 
 // Start the ultimate multi-agent system
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const system = new UltimateMultiAgentSystem();
+  const config = configFromArgs();
+  let system;
+  try {
+    system = new UltimateMultiAgentSystem(config.options());
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  config.describe().forEach(line => system.log(line));
   
-  process.on('SIGINT', () => {
+  process.on('SIGINT', async () => {
     console.log('\n🛑 Multi-agent system shutting down...');
+    await system.shutdown();
     process.exit(0);
   });
   
@@ -0,0 +1,287 @@
+// unified-diff.js - Line diffs in unified format: previews of agent edits, and applying patches
+
+// Myers' O(ND) diff as a list of [' ' | '-' | '+', line]. Files that differ in more than
+// maxEdits lines are reported as a full replacement rather than searched exhaustively.
+export function diffLines(a, b, { maxEdits = 2000 } = {}) {
+  const n = a.length;
+  const m = b.length;
+  const offset = n + m + 1;
+  const v = new Array(2 * offset + 1).fill(0);
+  const trace = [];
+
+  for (let d = 0; d <= n + m; d++) {
+    if (d > maxEdits) {
+      return [...a.map(line => ['-', line]), ...b.map(line => ['+', line])];
+    }
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+  return [];
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    // trace[d] holds v for k in -d-1..d+1 as it was before round d
+    const at = k => trace[d][k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = d === 0 ? 0 : prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push([' ', a[x - 1]]);
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push(['+', b[y - 1]]);
+      } else {
+        ops.push(['-', a[x - 1]]);
+      }
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+export function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines.at(-1) === '') lines.pop();
+  return lines;
+}
+
+export const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+
+// Lines to diff: a last line without a newline keeps a trailing '\n' (which no split line can
+// contain), so adding or removing the final newline is a change like any other
+function diffableLines(text) {
+  const lines = splitLines(text);
+  if (text && !text.endsWith('\n')) lines[lines.length - 1] += '\n';
+  return lines;
+}
+
+// Unified diff of two texts ('' when they are equal); a null oldText means a new file
+export function createUnifiedDiff(oldText, newText, { path = 'file', context = 3 } = {}) {
+  const ops = diffLines(diffableLines(oldText ?? ''), diffableLines(newText ?? ''));
+  const changed = ops.map((op, index) => op[0] !== ' ' ? index : -1).filter(index => index !== -1);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context windows touch into hunks
+  const groups = [];
+  for (const index of changed) {
+    const last = groups.at(-1);
+    if (last && index - last.end <= context * 2) {
+      last.end = index;
+    } else {
+      groups.push({ start: index, end: index });
+    }
+  }
+
+  // Line numbers before each op, in the old and new file
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const [type] of ops) {
+    positions.push([oldLine, newLine]);
+    if (type !== '+') oldLine++;
+    if (type !== '-') newLine++;
+  }
+
+  const header = [`--- ${oldText === null ? '/dev/null' : `a/${path}`}`, `+++ b/${path}`];
+  const hunks = groups.map(({ start, end }) => {
+    const from = Math.max(start - context, 0);
+    const to = Math.min(end + context, ops.length - 1);
+    const slice = ops.slice(from, to + 1);
+    const oldCount = slice.filter(([type]) => type !== '+').length;
+    const newCount = slice.filter(([type]) => type !== '-').length;
+    const [oldStart, newStart] = positions[from];
+
+    return [
+      `@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@`,
+      ...slice.map(([type, line]) => line.endsWith('\n') ? `${type}${line.slice(0, -1)}\n${NO_NEWLINE_MARKER}` : `${type}${line}`)
+    ].join('\n');
+  });
+
+  return `${[...header, ...hunks].join('\n')}\n`;
+}
+
+export class PatchConflictError extends Error {
+  constructor(message, { path = null, hunk = null } = {}) {
+    super(message);
+    this.name = 'PatchConflictError';
+    this.path = path;
+    this.hunk = hunk;
+  }
+}
+
+function patchPath(header) {
+  const name = header.split('\t')[0].trim();
+  return name === '/dev/null' ? null : name.replace(/^[ab]\//, '');
+}
+
+// Files and hunks of a unified diff: [{ oldPath, newPath, hunks: [{ header, oldStart, lines }] }].
+// Line counts in hunk headers are ignored, since hand-written (and model-written) diffs often
+// get them wrong; a hunk runs until the next header. Hunks without file headers get null paths.
+// A line followed by "\ No newline at end of file" is flagged noNewline.
+export function parseUnifiedDiff(text) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+
+  const closeHunk = () => {
+    // Bare empty lines at the end are the diff's own trailing newline, not context
+    while (hunk?.lines.at(-1)?.bare) hunk.lines.pop();
+    hunk = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      closeHunk();
+      file = { oldPath: patchPath(line.slice(4)), newPath: patchPath(lines[i + 1].slice(4)), hunks: [] };
+      files.push(file);
+      i++;
+      continue;
+    }
+
+    const header = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (header) {
+      closeHunk();
+      if (!file) {
+        file = { oldPath: null, newPath: null, hunks: [] };
+        files.push(file);
+      }
+      hunk = { header: line, oldStart: Number(header[1]), newStart: Number(header[2]), lines: [] };
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    if (!hunk) continue;
+    if (line.startsWith('\\')) {
+      if (hunk.lines.length > 0) hunk.lines.at(-1).noNewline = true;
+      continue;
+    }
+
+    if (line === '') {
+      // Some editors strip the leading space from blank context lines
+      hunk.lines.push(Object.assign([' ', ''], { bare: true }));
+    } else if (line[0] === ' ' || line[0] === '-' || line[0] === '+') {
+      hunk.lines.push([line[0], line.slice(1)]);
+    } else {
+      // diff --git / index lines between files
+      closeHunk();
+    }
+  }
+  closeHunk();
+
+  return files.filter(entry => entry.hunks.length > 0 || entry.oldPath !== entry.newPath);
+}
+
+function findBlock(lines, block, preferred, from) {
+  if (block.length === 0) return Math.min(Math.max(preferred, from), lines.length);
+
+  let best = -1;
+  for (let start = from; start + block.length <= lines.length; start++) {
+    if (block.every((line, i) => lines[start + i] === line)
+      && (best === -1 || Math.abs(start - preferred) < Math.abs(best - preferred))) {
+      best = start;
+    }
+  }
+  return best;
+}
+
+function mismatch(lines, block, preferred, label, hunk, index) {
+  const start = Math.min(preferred, Math.max(lines.length - 1, 0));
+  const offset = block.findIndex((line, i) => lines[start + i] !== line);
+  const detail = offset === -1
+    ? 'the file is shorter than the patch expects'
+    : `line ${start + offset + 1} is ${JSON.stringify(lines[start + offset] ?? '<end of file>')} but the patch expects ${JSON.stringify(block[offset])}`;
+
+  return new PatchConflictError(
+    `Hunk ${index + 1} (${hunk.header}) does not apply to ${label}: ${detail}. ` +
+    'The file has changed since the patch was written; read it again and regenerate the patch.',
+    { path: label, hunk: index + 1 }
+  );
+}
+
+// Apply parsed hunks to text. Each hunk's context and removed lines must match the file exactly;
+// they may have moved (the closest match wins), but a hunk that no longer matches is a conflict.
+// The file keeps its final newline (or lack of one) unless a hunk at its end says otherwise
+// with "\ No newline at end of file".
+export function applyHunks(content, hunks, label = 'file') {
+  const lines = splitLines(content);
+  let endsWithNewline = content === '' || content.endsWith('\n');
+  const result = [];
+  let cursor = 0;
+
+  hunks.forEach((hunk, index) => {
+    const old = hunk.lines.filter(([type]) => type !== '+').map(([, line]) => line);
+    const replacement = hunk.lines.filter(([type]) => type !== '-').map(([, line]) => line);
+    const preferred = Math.max(hunk.oldStart - 1, 0);
+
+    const at = findBlock(lines, old, preferred, cursor);
+    if (at === -1) {
+      throw mismatch(lines, old, preferred, label, hunk, index);
+    }
+
+    if (at + old.length === lines.length && hunk.lines.some(line => line.noNewline)) {
+      endsWithNewline = !hunk.lines.filter(([type]) => type !== '-').at(-1)?.noNewline;
+    }
+
+    result.push(...lines.slice(cursor, at), ...replacement);
+    cursor = at + old.length;
+  });
+  result.push(...lines.slice(cursor));
+
+  return result.length > 0 ? `${result.join('\n')}${endsWithNewline ? '\n' : ''}` : '';
+}
+
+// Search/replace edits, applied in order; each search text must occur exactly once
+export function applyEdits(content, edits, label = 'file') {
+  return edits.reduce((text, { search, replace = '' }, index) => {
+    if (!search) {
+      throw new PatchConflictError(`Edit ${index + 1} for ${label} has an empty search text`, { path: label, hunk: index + 1 });
+    }
+
+    const occurrences = text.split(search).length - 1;
+    if (occurrences === 0) {
+      throw new PatchConflictError(
+        `Edit ${index + 1} does not apply to ${label}: the search text was not found. ` +
+        'The file may have changed; read it again before editing.',
+        { path: label, hunk: index + 1 }
+      );
+    }
+    if (occurrences > 1) {
+      throw new PatchConflictError(
+        `Edit ${index + 1} is ambiguous in ${label}: the search text occurs ${occurrences} times; include more surrounding lines.`,
+        { path: label, hunk: index + 1 }
+      );
+    }
+    return text.replace(search, () => replace);
+  }, content);
+}
@@ -0,0 +1,37 @@
+// watch-directory.js - Reload hooks for directories of definition files, plugins and the like
+//
+// Editors save a file in several writes (truncate, write, rename), so a change is only reported
+// once the file has been quiet for delayMs; reloading between the writes would read half a file.
+
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_WATCH_DELAY_MS = 200;
+
+// Calls onChange(file) for files in dir whose name passes filter, after each burst of events.
+// Throws like fs.watch when the directory cannot be watched; later errors only stop the watch.
+export function watchDirectory(dir, { filter = () => true, onChange, delayMs = DEFAULT_WATCH_DELAY_MS, log = () => {} }) {
+  const timers = new Map();
+  const watcher = fs.watch(dir, (event, filename) => {
+    if (!filename || !filter(filename)) return;
+    const file = path.join(dir, filename);
+    clearTimeout(timers.get(file));
+    timers.set(file, setTimeout(() => {
+      timers.delete(file);
+      onChange(file);
+    }, delayMs));
+  });
+  watcher.on('error', error => log(`⚠️ Stopped watching ${dir}: ${error.message}`));
+
+  return {
+    // Watching alone need not keep the process running
+    unref() {
+      watcher.unref();
+    },
+    close() {
+      watcher.close();
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+    }
+  };
+}
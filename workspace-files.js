@@ -0,0 +1,402 @@
+#!/usr/bin/env node
+// workspace-files.js - File access for agents, confined to a workspace root, with an undo journal
+//
+// Paths are resolved through symlinks and refused if they land outside the root. Every write,
+// patch and deletion keeps a timestamped backup of the previous content and is recorded in
+// <root>/.agent-journal/journal.jsonl, so any change can be undone later (see the CLI below).
+
+import fs from 'fs';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+import { applyEdits, applyHunks, createUnifiedDiff, parseUnifiedDiff, PatchConflictError } from './unified-diff.js';
+
+export const DEFAULT_JOURNAL_DIR = '.agent-journal';
+export const DEFAULT_PAGE_LINES = 200;
+
+export class WorkspaceError extends Error {
+  constructor(message, { path: filepath = null } = {}) {
+    super(message);
+    this.name = 'WorkspaceError';
+    this.path = filepath;
+  }
+}
+
+function sha256(content) {
+  return content === null ? null : createHash('sha256').update(content).digest('hex');
+}
+
+function lexists(filepath) {
+  try {
+    fs.lstatSync(filepath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Sortable and readable: 20250101T120000123Z-1a2b
+function changeId() {
+  return `${new Date().toISOString().replace(/[-:.]/g, '')}-${randomUUID().substring(0, 4)}`;
+}
+
+export class Workspace {
+  constructor({ root = process.cwd(), journalDir = DEFAULT_JOURNAL_DIR, maxPageBytes = 64 * 1024, log = () => {} } = {}) {
+    this.root = fs.realpathSync(root);
+    this.journalDir = path.resolve(this.root, journalDir);
+    this.journalFile = path.join(this.journalDir, 'journal.jsonl');
+    this.maxPageBytes = maxPageBytes;
+    this.log = log;
+  }
+
+  contains(filepath, dir = this.root) {
+    return filepath === dir || filepath.startsWith(`${dir}${path.sep}`);
+  }
+
+  // Absolute real path inside the root; symlinks are followed before the check, so a link
+  // pointing out of the workspace is refused just like "../../etc/passwd"
+  resolve(filepath) {
+    if (typeof filepath !== 'string' || !filepath.trim()) {
+      throw new WorkspaceError('A file path is required');
+    }
+
+    const target = path.resolve(this.root, filepath);
+    let existing = target;
+    const missing = [];
+    while (!lexists(existing)) {
+      missing.unshift(path.basename(existing));
+      existing = path.dirname(existing);
+    }
+
+    let real;
+    try {
+      real = path.join(fs.realpathSync(existing), ...missing);
+    } catch {
+      throw new WorkspaceError(`${filepath} is a dangling symlink`, { path: filepath });
+    }
+
+    if (!this.contains(real)) {
+      throw new WorkspaceError(`${filepath} is outside the workspace ${this.root}`, { path: filepath });
+    }
+    if (this.contains(real, this.journalDir)) {
+      throw new WorkspaceError(`${filepath} is inside the undo journal`, { path: filepath });
+    }
+    return real;
+  }
+
+  relative(filepath) {
+    return path.relative(this.root, filepath) || '.';
+  }
+
+  // One page of a text file; offset is the 1-based first line. limit comes from the model, and
+  // anything but a positive number means the default: an empty page would hand back the same
+  // nextOffset forever
+  read(filepath, { offset = 1, limit = DEFAULT_PAGE_LINES } = {}) {
+    const file = this.resolve(filepath);
+    let buffer;
+    try {
+      buffer = fs.readFileSync(file);
+    } catch (error) {
+      throw new WorkspaceError(error.code === 'EISDIR' ? `${filepath} is a directory` : error.message, { path: filepath });
+    }
+    if (buffer.subarray(0, 8000).includes(0)) {
+      throw new WorkspaceError(`${filepath} looks like a binary file`, { path: filepath });
+    }
+
+    const lines = buffer.toString('utf8').split('\n');
+    if (lines.at(-1) === '') lines.pop();
+
+    const start = Math.max(Math.floor(Number(offset)) || 1, 1);
+    const pageLines = Math.floor(Number(limit)) > 0 ? Math.floor(Number(limit)) : DEFAULT_PAGE_LINES;
+    const page = [];
+    let bytes = 0;
+    for (let i = start - 1; i < lines.length && page.length < pageLines; i++) {
+      bytes += Buffer.byteLength(lines[i]) + 1;
+      if (bytes > this.maxPageBytes && page.length > 0) break;
+      page.push(lines[i]);
+    }
+
+    const endLine = start + page.length - 1;
+    return {
+      success: true,
+      path: this.relative(file),
+      content: page.join('\n'),
+      startLine: start,
+      endLine,
+      totalLines: lines.length,
+      hasMore: endLine < lines.length,
+      ...(endLine < lines.length ? { nextOffset: endLine + 1 } : {})
+    };
+  }
+
+  // Unified diff of what write(filepath, content) would change
+  diff(filepath, content) {
+    const file = this.resolve(filepath);
+    const before = lexists(file) ? fs.readFileSync(file, 'utf8') : null;
+    return createUnifiedDiff(before, content, { path: this.relative(file) }) || `(no changes to ${this.relative(file)})`;
+  }
+
+  // Write a file, backing up what was there; returns the journal entry
+  write(filepath, content, { agent = null, op = 'write', note = null } = {}) {
+    const file = this.resolve(filepath);
+    if (lexists(file) && fs.statSync(file).isDirectory()) {
+      throw new WorkspaceError(`${filepath} is a directory`, { path: filepath });
+    }
+
+    const before = lexists(file) ? fs.readFileSync(file) : null;
+    const id = changeId();
+    let backup = null;
+    if (before !== null) {
+      backup = path.join('backups', id);
+      fs.mkdirSync(path.join(this.journalDir, 'backups'), { recursive: true });
+      fs.writeFileSync(path.join(this.journalDir, backup), before);
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+
+    const entry = {
+      id,
+      at: new Date().toISOString(),
+      op,
+      agent,
+      path: this.relative(file),
+      created: before === null,
+      backup,
+      beforeHash: sha256(before),
+      afterHash: sha256(Buffer.from(content)),
+      ...(note ? { note } : {})
+    };
+    this.append(entry);
+    this.log(`📝 ${op} ${entry.path} (${entry.created ? 'created' : `backup ${id}`})`);
+    return entry;
+  }
+
+  // Delete a file, backing it up; undo restores it
+  remove(filepath, { agent = null, op = 'delete', note = null } = {}) {
+    const file = this.resolve(filepath);
+    if (!lexists(file)) {
+      throw new WorkspaceError(`${filepath} does not exist`, { path: filepath });
+    }
+    if (fs.statSync(file).isDirectory()) {
+      throw new WorkspaceError(`${filepath} is a directory`, { path: filepath });
+    }
+
+    const before = fs.readFileSync(file);
+    const id = changeId();
+    const backup = path.join('backups', id);
+    fs.mkdirSync(path.join(this.journalDir, 'backups'), { recursive: true });
+    fs.writeFileSync(path.join(this.journalDir, backup), before);
+    fs.rmSync(file);
+
+    const entry = {
+      id,
+      at: new Date().toISOString(),
+      op,
+      agent,
+      path: this.relative(file),
+      created: false,
+      deleted: true,
+      backup,
+      beforeHash: sha256(before),
+      afterHash: null,
+      ...(note ? { note } : {})
+    };
+    this.append(entry);
+    this.log(`🗑️ ${op} removed ${entry.path} (backup ${id})`);
+    return entry;
+  }
+
+  // What a patch would do, per file: [{ path, before, after, diff }] with after null for a
+  // deletion. Takes { patch } (a unified diff, possibly for several files) or { edits } (search/
+  // replace pairs); filepath names the file when the patch has no headers. Throws
+  // PatchConflictError when the files no longer match what the patch was written against.
+  planPatch({ patch = null, edits = null, filepath = null } = {}) {
+    const targets = [];
+    if (edits) {
+      if (!filepath) throw new WorkspaceError('Search/replace edits need a filepath');
+      if (!Array.isArray(edits) || edits.length === 0) throw new WorkspaceError('edits must be a non-empty list');
+      targets.push({ path: filepath, apply: (content) => applyEdits(content, edits, filepath) });
+    } else if (typeof patch === 'string' && patch.trim()) {
+      const files = parseUnifiedDiff(patch);
+      if (files.length === 0) throw new WorkspaceError('No hunks found in the patch');
+      if (files.length > 1 && filepath) throw new WorkspaceError('filepath can only be given for a single-file patch');
+
+      for (const file of files) {
+        const target = filepath || file.newPath || file.oldPath;
+        if (!target) throw new WorkspaceError('The patch has no ---/+++ file names; pass filepath');
+        targets.push({
+          path: target,
+          create: file.oldPath === null && file.newPath !== null,
+          remove: file.oldPath !== null && file.newPath === null,
+          apply: (content) => applyHunks(content, file.hunks, target)
+        });
+      }
+    } else {
+      throw new WorkspaceError('Either a patch or edits are required');
+    }
+
+    const seen = new Set();
+    return targets.map((target) => {
+      const file = this.resolve(target.path);
+      const label = this.relative(file);
+      if (seen.has(file)) {
+        throw new WorkspaceError(`The patch touches ${label} more than once; combine its hunks`, { path: label });
+      }
+      seen.add(file);
+      const exists = lexists(file);
+      if (exists && fs.statSync(file).isDirectory()) {
+        throw new WorkspaceError(`${label} is a directory`, { path: label });
+      }
+      if (!exists && !target.create) {
+        throw new PatchConflictError(`${label} does not exist; the patch expects an existing file`, { path: label });
+      }
+      if (exists && target.create) {
+        throw new PatchConflictError(`${label} already exists; the patch expects to create it`, { path: label });
+      }
+
+      const before = exists ? fs.readFileSync(file, 'utf8') : null;
+      const patched = target.apply(before ?? '');
+      if (target.remove && patched !== '') {
+        throw new PatchConflictError(`${label} has content the deletion patch does not account for`, { path: label });
+      }
+
+      const after = target.remove ? null : patched;
+      const diff = after === null
+        ? createUnifiedDiff(before, '', { path: label }).replace(`+++ b/${label}`, '+++ /dev/null')
+        : createUnifiedDiff(before, after, { path: label });
+      return { path: label, before, after, diff };
+    });
+  }
+
+  // Apply a patch (see planPatch) to every file it touches, or to none of them when any part
+  // conflicts; each changed file gets its own journal entry
+  applyPatch(spec, { agent = null, note = null } = {}) {
+    const plan = this.planPatch(spec);
+    const changes = plan.filter(change => change.after !== change.before);
+    const entries = changes.map(change => change.after === null
+      ? this.remove(change.path, { agent, op: 'patch', note })
+      : this.write(change.path, change.after, { agent, op: 'patch', note }));
+
+    return {
+      success: true,
+      files: changes.map((change, i) => ({ path: change.path, change: entries[i].id, deleted: change.after === null })),
+      unchanged: plan.filter(change => change.after === change.before).map(change => change.path),
+      diff: changes.map(change => change.diff).join('')
+    };
+  }
+
+  append(entry) {
+    fs.mkdirSync(this.journalDir, { recursive: true });
+    fs.appendFileSync(this.journalFile, `${JSON.stringify(entry)}\n`);
+  }
+
+  // Every change, oldest first, each marked with whether it has been undone
+  history() {
+    let lines;
+    try {
+      lines = fs.readFileSync(this.journalFile, 'utf8').split('\n').filter(Boolean);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = lines.map(line => JSON.parse(line));
+    const undone = new Set(entries.filter(entry => entry.op === 'undo').map(entry => entry.undoes));
+    return entries
+      .filter(entry => entry.op !== 'undo')
+      .map(entry => ({ ...entry, undone: undone.has(entry.id) }));
+  }
+
+  // Restore the file as it was before a change (the latest one by default). Refuses when the
+  // file was changed again afterwards, by an agent or by hand, unless force is set.
+  undo(id = null, { force = false } = {}) {
+    const changes = this.history();
+    const target = id ? changes.find(entry => entry.id === id) : changes.findLast(entry => !entry.undone);
+    if (!target) {
+      throw new WorkspaceError(id ? `No change ${id} in the journal` : 'Nothing to undo');
+    }
+    if (target.undone) {
+      throw new WorkspaceError(`Change ${target.id} was already undone`);
+    }
+
+    const later = changes.slice(changes.indexOf(target) + 1).filter(entry => entry.path === target.path && !entry.undone);
+    if (later.length > 0 && !force) {
+      throw new WorkspaceError(`${target.path} was changed again later; undo ${later.map(entry => entry.id).join(', ')} first`, { path: target.path });
+    }
+
+    const file = this.resolve(target.path);
+    const current = lexists(file) ? fs.readFileSync(file) : null;
+    if (sha256(current) !== target.afterHash && !force) {
+      throw new WorkspaceError(`${target.path} was modified outside the journal since ${target.id}; use force to overwrite it`, { path: target.path });
+    }
+
+    if (target.created) {
+      fs.rmSync(file, { force: true });
+    } else {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.copyFileSync(path.join(this.journalDir, target.backup), file);
+    }
+
+    this.append({ id: changeId(), at: new Date().toISOString(), op: 'undo', undoes: target.id, path: target.path });
+    this.log(`↩️ Undid ${target.op} of ${target.path} (${target.id})`);
+    return target;
+  }
+
+  // Undo every change from id onwards, newest first
+  rollback(id, { force = false } = {}) {
+    const changes = this.history();
+    const index = changes.findIndex(entry => entry.id === id);
+    if (index === -1) {
+      throw new WorkspaceError(`No change ${id} in the journal`);
+    }
+
+    return changes
+      .slice(index)
+      .filter(entry => !entry.undone)
+      .reverse()
+      .map(entry => this.undo(entry.id, { force }));
+  }
+}
+
+// node workspace-files.js [--root .] history [count] | undo [id] [--force] | rollback <id> [--force]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index === -1 ? fallback : args.splice(index, 2)[1];
+  };
+  const flag = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args.splice(index, 1).length > 0;
+  };
+
+  const workspace = new Workspace({ root: option('--root', process.cwd()), log: console.log });
+  const force = flag('--force');
+  const [command = 'history', target] = args;
+
+  try {
+    switch (command) {
+      case 'history': {
+        const changes = workspace.history().slice(-(Number(target) || 20));
+        if (changes.length === 0) console.log('📭 No changes recorded');
+        for (const entry of changes) {
+          const state = (entry.undone ? 'undone' : '').padEnd(7);
+          console.log(`${entry.id}  ${state}${entry.op.padEnd(6)} ${entry.path}${entry.created ? ' (new)' : ''}${entry.deleted ? ' (deleted)' : ''}${entry.agent ? `  by ${entry.agent}` : ''}`);
+        }
+        break;
+      }
+      case 'undo':
+        workspace.undo(target || null, { force });
+        break;
+      case 'rollback':
+        if (!target) throw new WorkspaceError('rollback needs the id of the oldest change to undo');
+        console.log(`✅ Rolled back ${workspace.rollback(target, { force }).length} change(s)`);
+        break;
+      default:
+        throw new WorkspaceError(`Unknown command: ${command}. Available: history, undo, rollback`);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
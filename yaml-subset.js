@@ -0,0 +1,253 @@
+// yaml-subset.js - Reads the YAML that hand-written config files use, without a dependency
+//
+// Supported: block mappings and sequences (including "- key: value" items), comments, plain,
+// 'single' and "double" quoted scalars, literal (|) and folded (>) block scalars, and one-line
+// flow collections ([a, b], { type: x }). Anchors, tags, multi-document streams and multi-line
+// plain scalars are not; they are reported as errors with the line they are on.
+
+export class YamlError extends Error {
+  constructor(message, { line = null } = {}) {
+    super(line ? `line ${line}: ${message}` : message);
+    this.name = 'YamlError';
+    this.line = line;
+  }
+}
+
+const KEY = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#\-?:,[\]{}&*!|>%@`][^:#]*?|-[^\s:#][^:#]*?)\s*:(?=\s|$)/;
+
+function isBlank(raw) {
+  return /^\s*(#.*)?$/.test(raw);
+}
+
+function indentOf(raw, number) {
+  const indent = raw.match(/^[ \t]*/)[0];
+  if (indent.includes('\t')) throw new YamlError('tabs cannot be used for indentation', { line: number });
+  return indent.length;
+}
+
+// Plain scalars: null, booleans and numbers as in YAML 1.2's core schema, anything else a string
+function plainScalar(text) {
+  if (text === '' || text === '~' || /^(null|Null|NULL)$/.test(text)) return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?\d+$/.test(text) || /^0x[0-9a-fA-F]+$|^0o[0-7]+$/.test(text)) return Number(text);
+  if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+function doubleQuoted(body, line) {
+  const escapes = { 0: '\0', a: '\x07', b: '\b', t: '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0' };
+  return body.replace(/\\(?:x([0-9a-fA-F]{2})|u([0-9a-fA-F]{4})|U([0-9a-fA-F]{8})|([\s\S]))/g, (_, x, u, U, char) => {
+    if (x || u || U) return String.fromCodePoint(parseInt(x || u || U, 16));
+    if (!(char in escapes)) throw new YamlError(`unknown escape \\${char}`, { line });
+    return escapes[char];
+  });
+}
+
+// One value on a single line: a quoted string, a flow collection or a plain scalar, followed
+// by nothing but an optional comment
+function inlineValue(text, line) {
+  let position = 0;
+  const rest = () => text.slice(position);
+  const space = () => {
+    while (position < text.length && /\s/.test(text[position])) position++;
+  };
+
+  const value = (inFlow) => {
+    space();
+    const char = text[position];
+    if (char === '"') {
+      const match = rest().match(/^"((?:[^"\\]|\\.)*)"/);
+      if (!match) throw new YamlError('unterminated double-quoted string', { line });
+      position += match[0].length;
+      return doubleQuoted(match[1], line);
+    }
+    if (char === "'") {
+      const match = rest().match(/^'((?:[^']|'')*)'/);
+      if (!match) throw new YamlError('unterminated single-quoted string', { line });
+      position += match[0].length;
+      return match[1].replace(/''/g, "'");
+    }
+    if (char === '[') {
+      position++;
+      const items = [];
+      space();
+      if (text[position] === ']') {
+        position++;
+        return items;
+      }
+      for (;;) {
+        items.push(value(true));
+        space();
+        if (text[position] === ',') {
+          position++;
+          continue;
+        }
+        if (text[position] === ']') {
+          position++;
+          return items;
+        }
+        throw new YamlError(position >= text.length ? 'flow sequences must close on the same line' : `expected , or ] but found ${text[position]}`, { line });
+      }
+    }
+    if (char === '{') {
+      position++;
+      const map = {};
+      space();
+      if (text[position] === '}') {
+        position++;
+        return map;
+      }
+      for (;;) {
+        space();
+        const key = rest().match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,:{}[\]\s][^,:{}[\]]*?)\s*:/);
+        if (!key) throw new YamlError('expected a key: value pair in flow mapping', { line });
+        position += key[0].length;
+        map[scalarKey(key[1], line)] = value(true);
+        space();
+        if (text[position] === ',') {
+          position++;
+          continue;
+        }
+        if (text[position] === '}') {
+          position++;
+          return map;
+        }
+        throw new YamlError(position >= text.length ? 'flow mappings must close on the same line' : `expected , or } but found ${text[position]}`, { line });
+      }
+    }
+    if (['&', '*', '!', '%', '@', '`'].includes(char)) {
+      throw new YamlError(`${char === '&' || char === '*' ? 'anchors and aliases' : char === '!' ? 'tags' : `a plain value starting with ${char}`} are not supported`, { line });
+    }
+    // Plain scalar: runs to a comment (or, inside a flow collection, to , ] or })
+    const match = rest().match(inFlow ? /^[^,\]}#]*?(?=\s*(?:[,\]}]|\s#|$))/ : /^.*?(?=\s+#|\s*$)/);
+    position += match[0].length;
+    return plainScalar(match[0].trim());
+  };
+
+  const result = value(false);
+  space();
+  if (position < text.length && text[position] !== '#') {
+    throw new YamlError(`unexpected text after the value: ${rest().substring(0, 40)}`, { line });
+  }
+  return result;
+}
+
+function scalarKey(text, line) {
+  if (text.startsWith('"')) return doubleQuoted(text.slice(1, -1), line);
+  if (text.startsWith("'")) return text.slice(1, -1).replace(/''/g, "'");
+  return text.trim();
+}
+
+export function parseYaml(text) {
+  const lines = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n')
+    .map((raw, index) => ({ raw, number: index + 1 }));
+  let index = 0;
+
+  const skipBlank = () => {
+    while (index < lines.length && (isBlank(lines[index].raw) || /^---\s*(#.*)?$/.test(lines[index].raw))) {
+      if (/^---/.test(lines[index].raw) && index > 0 && lines.slice(0, index).some(line => !isBlank(line.raw))) {
+        throw new YamlError('only one document per file is supported', { line: lines[index].number });
+      }
+      index++;
+    }
+  };
+  const peek = () => {
+    skipBlank();
+    if (index >= lines.length) return null;
+    const { raw, number } = lines[index];
+    const indent = indentOf(raw, number);
+    return { indent, content: raw.slice(indent), number };
+  };
+
+  // | and > block scalars: every following line indented deeper than the parent, or blank
+  const blockScalar = (header, parentIndent, number) => {
+    const match = header.match(/^([|>])([+-]?)\s*(#.*)?$/);
+    if (!match) throw new YamlError(`unsupported block scalar header ${header}`, { line: number });
+    const [, style, chomping] = match;
+    const body = [];
+    let blockIndent = null;
+    while (index < lines.length) {
+      const { raw, number: at } = lines[index];
+      if (raw.trim() === '') {
+        body.push('');
+        index++;
+        continue;
+      }
+      const indent = indentOf(raw, at);
+      if (indent <= parentIndent) break;
+      blockIndent ??= indent;
+      if (indent < blockIndent) throw new YamlError('block scalar lines must be indented at least as far as its first line', { line: at });
+      body.push(raw.slice(blockIndent));
+      index++;
+    }
+
+    const trailing = body.length - body.findLastIndex(line => line !== '') - 1;
+    const content = body.slice(0, body.length - trailing);
+    let value = style === '|' ? content.join('\n')
+      : content.reduce((folded, line, i) => {
+        if (i === 0) return line;
+        if (line === '' || /^\s/.test(line)) return `${folded}\n${line}`;
+        return folded.endsWith('\n') || content[i - 1] === '' ? `${folded}${line}` : `${folded} ${line}`;
+      }, '');
+    if (content.length > 0 && chomping !== '-') value += '\n';
+    if (chomping === '+') value += '\n'.repeat(trailing);
+    return value;
+  };
+
+  // The value after "key:" or "- ": inline, a block scalar, or a nested block on the next lines
+  const valueAfter = (text, parentIndent, number, allowSequenceAtSameIndent) => {
+    index++;
+    if (/^[|>]/.test(text)) return blockScalar(text, parentIndent, number);
+    if (text !== '' && !text.startsWith('#')) return inlineValue(text, number);
+
+    const next = peek();
+    if (!next) return null;
+    if (next.indent > parentIndent) return block(next.indent);
+    if (allowSequenceAtSameIndent && next.indent === parentIndent && /^-(\s|$)/.test(next.content)) return sequence(parentIndent);
+    return null;
+  };
+
+  const sequence = (indent) => {
+    const items = [];
+    for (let next = peek(); next && next.indent === indent && /^-(\s|$)/.test(next.content); next = peek()) {
+      const item = next.content.slice(1);
+      const offset = item.length - item.trimStart().length + 1;
+      const text = item.trim();
+      if (KEY.test(text)) {
+        // "- key: value": a mapping whose keys line up with this first one
+        lines[index] = { raw: `${' '.repeat(indent + offset)}${text}`, number: next.number };
+        items.push(mapping(indent + offset));
+      } else {
+        items.push(valueAfter(text, indent, next.number, false));
+      }
+    }
+    return items;
+  };
+
+  const mapping = (indent) => {
+    const map = {};
+    for (let next = peek(); next && next.indent === indent && !/^-(\s|$)/.test(next.content); next = peek()) {
+      const key = next.content.match(KEY);
+      if (!key) throw new YamlError(`expected "key: value", found ${next.content.substring(0, 40)}`, { line: next.number });
+      const name = scalarKey(key[1], next.number);
+      if (Object.hasOwn(map, name)) throw new YamlError(`duplicate key ${name}`, { line: next.number });
+      map[name] = valueAfter(next.content.slice(key[0].length).trim(), indent, next.number, true);
+    }
+    const next = peek();
+    if (next && next.indent > indent) throw new YamlError('unexpected indentation (multi-line plain values need | or >)', { line: next.number });
+    return map;
+  };
+
+  const block = (indent) => {
+    const next = peek();
+    return /^-(\s|$)/.test(next.content) ? sequence(indent) : mapping(indent);
+  };
+
+  const first = peek();
+  if (!first) return null;
+  const result = /^-(\s|$)/.test(first.content) || KEY.test(first.content) ? block(first.indent) : valueAfter(first.content, -1, first.number, false);
+  const extra = peek();
+  if (extra) throw new YamlError(`unexpected ${extra.indent > 0 ? 'indentation' : 'content'}: ${extra.content.substring(0, 40)}`, { line: extra.number });
+  return result;
+}